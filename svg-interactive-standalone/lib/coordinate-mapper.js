@@ -5,8 +5,9 @@
  */
 
 class CoordinateMapper {
-    constructor(svg) {
+    constructor(svg, options = {}) {
         this.svg = svg;
+        this.options = options;
         this.axisInfo = this.extractAxisInfo();
     }
 
@@ -16,63 +17,1306 @@ class CoordinateMapper {
      */
     extractAxisInfo() {
         const textElements = this.svg.querySelectorAll('text');
-        const xAxisTicks = [];
-        const yAxisTicks = [];
+        const xCandidates = [];
+        const yCandidates = [];
+        const ignoredLabels = [];
         const plotBounds = this.estimatePlotBounds();
+        const tickMarks = this.findTickMarks();
+        
+        // Estimated bounds are only a guess, so accept labels well inside them
+        const slack = plotBounds.source === 'estimate' ? 50 : 2;
+        const excluded = this.options.excludeTexts || new Set();
+        
+        // In a panel of a faceted figure, labels must sit between this panel and its neighbours
+        const limits = this.options.labelLimits;
+        const within = (pos, axis) => {
+            if (!limits) return true;
+            if (axis === 'x') {
+                return pos.y < limits.bottom && pos.x >= plotBounds.left - slack && pos.x <= plotBounds.right + slack;
+            }
+            return pos.x > limits.left && pos.y >= plotBounds.top - slack && pos.y <= plotBounds.bottom + slack;
+        };
         
         // Parse text elements to find axis ticks
         textElements.forEach(text => {
             const content = text.textContent.trim();
-            const x = parseFloat(text.getAttribute('x'));
-            const y = parseFloat(text.getAttribute('y'));
-            
-            // Try to parse as number (axis tick)
-            const numValue = parseFloat(content);
-            if (!isNaN(numValue) && isFinite(numValue)) {
-                // Determine if it's x-axis or y-axis based on position
-                if (y > plotBounds.bottom - 50) { // Bottom area - likely x-axis
-                    xAxisTicks.push({ value: numValue, svgX: x });
-                } else if (x < plotBounds.left + 50) { // Left area - likely y-axis
-                    yAxisTicks.push({ value: numValue, svgY: y });
-                }
+            if (!content || excluded.has(text)) return;
+            
+            // Try to parse as number or date (axis tick); other labels may be categories
+            const parsed = this.parseTickLabel(content);
+            const pos = this.getTextPosition(text);
+            
+            // Determine if it's x-axis or y-axis based on position relative to the plot area
+            if (pos.y > plotBounds.bottom - slack && within(pos, 'x') &&
+                (plotBounds.source === 'estimate' || (pos.x >= plotBounds.left - pos.width && pos.x <= plotBounds.right + pos.width))) {
+                const mark = this.findNearestTickMark(tickMarks.x, pos, 'x');
+                xCandidates.push({ ...parsed, label: content, pos: pos, svgX: mark ? mark.x : pos.x, anchored: !!mark });
+            } else if (pos.x < plotBounds.left + slack && within(pos, 'y') &&
+                (plotBounds.source === 'estimate' || (pos.y >= plotBounds.top - pos.height && pos.y <= plotBounds.bottom + pos.height))) {
+                const mark = this.findNearestTickMark(tickMarks.y, pos, 'y');
+                yCandidates.push({ ...parsed, label: content, pos: pos, svgY: mark ? mark.y : pos.y, anchored: !!mark });
+            } else {
+                ignoredLabels.push({ label: content, pos: pos });
             }
         });
         
-        // Sort ticks
-        xAxisTicks.sort((a, b) => a.svgX - b.svgX);
-        yAxisTicks.sort((a, b) => b.svgY - a.svgY); // Y is inverted in SVG
+        // Sort candidates
+        xCandidates.sort((a, b) => a.svgX - b.svgX);
+        yCandidates.sort((a, b) => b.svgY - a.svgY); // Y is inverted in SVG
+        
+        const xAxis = this.buildAxis(xCandidates, 'x', this.options.xScale);
+        const yAxis = this.buildAxis(yCandidates, 'y', this.options.yScale);
+        
+        return {
+            xAxis: xAxis.ticks,
+            yAxis: yAxis.ticks,
+            xScale: xAxis.scale,
+            yScale: yAxis.scale,
+            plotBounds: plotBounds,
+            labels: { x: xCandidates, y: yCandidates, ignored: ignoredLabels }
+        };
+    }
+
+    /**
+     * Keep the row (x-axis) or column (y-axis) of labels closest to the plot.
+     * Axis titles overlap the tick labels along the axis but sit further out.
+     * @param {Array} candidates - Tick label candidates with positions
+     * @param {string} axis - 'x' or 'y'
+     * @returns {Array} Candidates in the innermost row/column
+     */
+    selectInnermostLabels(candidates, axis) {
+        if (candidates.length === 0) return [];
+        
+        const extent = axis === 'x' ?
+            c => [c.pos.y - c.pos.height / 2, c.pos.y + c.pos.height / 2] :
+            c => [c.pos.x - c.pos.width / 2, c.pos.x + c.pos.width / 2];
+        
+        // Innermost: smallest top edge below the x-axis, largest right edge left of the y-axis
+        const inner = candidates.reduce((best, c) => {
+            if (!best) return c;
+            return axis === 'x' ? (extent(c)[0] < extent(best)[0] ? c : best) :
+                (extent(c)[1] > extent(best)[1] ? c : best);
+        }, null);
+        const [lo, hi] = extent(inner);
+        
+        return candidates.filter(c => {
+            const [cLo, cHi] = extent(c);
+            return cLo <= hi + 1 && cHi >= lo - 1;
+        });
+    }
+
+    /**
+     * Decide the scale type of an axis and build its tick list
+     * @param {Array} candidates - Tick labels sorted along the axis
+     * @param {string} axis - 'x' or 'y'
+     * @param {string} forcedType - Optional 'linear', 'log', 'date' or 'categorical' from options
+     * @returns {Object} {ticks, scale}
+     */
+    buildAxis(candidates, axis, forcedType) {
+        const posKey = axis === 'x' ? 'svgX' : 'svgY';
+        
+        // Panels of faceted figures only use the labels next to them
+        if (this.options.labelLimits) {
+            candidates = this.selectInnermostLabels(candidates, axis);
+        }
+        
+        const numeric = candidates.filter(c => c.number);
+        const dated = candidates.filter(c => c.date);
+        const isForced = forcedType && forcedType !== 'auto';
+        
+        let type = isForced ? forcedType : null;
+        if (!type) {
+            const row = this.selectInnermostLabels(candidates, axis);
+            const unparsed = row.filter(c => !c.number && !c.date);
+            
+            if (dated.length >= 2 && dated.length === candidates.filter(c => c.number || c.date).length &&
+                dated.some(c => !c.number) && unparsed.length === 0) {
+                // Dates win when every label reads as a date and at least one is not a plain number
+                type = 'date';
+            } else if (unparsed.length > 0 && row.length - unparsed.length < 2) {
+                // Non-numeric labels next to the axis name categories
+                type = 'categorical';
+            } else {
+                type = 'linear';
+            }
+        }
+        
+        let ticks;
+        const scale = { type: type, reversed: false, detected: !isForced };
+        
+        if (type === 'categorical') {
+            // Long labels can overlap a rotated axis title; labels anchored to tick marks win
+            let row = this.selectInnermostLabels(candidates, axis);
+            if (row.some(c => c.anchored)) {
+                row = row.filter(c => c.anchored);
+            }
+            ticks = row.map((c, index) => ({
+                value: index,
+                label: c.label,
+                category: c.label,
+                [posKey]: c[posKey],
+                anchored: c.anchored
+            }));
+            scale.categories = ticks.map(t => t.category);
+            return { ticks, scale };
+        }
+        
+        if (type === 'date') {
+            ticks = dated.map(c => ({ value: c.date.value, label: c.label, [posKey]: c[posKey], anchored: c.anchored }));
+            this.rollDateYears(ticks, dated);
+            scale.hasYear = dated.some(c => c.date.hasYear);
+            scale.hasDate = dated.some(c => !c.date.timeOnly);
+            scale.hasTime = dated.some(c => c.date.hasTime);
+        } else {
+            ticks = numeric.map(c => ({ value: c.number.value, label: c.label, [posKey]: c[posKey], anchored: c.anchored }));
+            if (type === 'log') {
+                ticks = ticks.filter(t => t.value > 0);
+            } else if (!isForced) {
+                if (this.isLogAxis(ticks, posKey)) {
+                    type = scale.type = 'log';
+                }
+            }
+        }
+        
+        if (ticks.length >= 2) {
+            scale.reversed = ticks[ticks.length - 1].value < ticks[0].value;
+        }
+        
+        return { ticks, scale };
+    }
+
+    /**
+     * Check whether numeric ticks are evenly spaced in log10 but not in linear space
+     * @param {Array} ticks - Ticks sorted along the axis
+     * @param {string} posKey - 'svgX' or 'svgY'
+     * @returns {boolean} True if the axis is logarithmic
+     */
+    isLogAxis(ticks, posKey) {
+        if (ticks.length < 3 || ticks.some(t => t.value <= 0)) return false;
+        
+        const positions = ticks.map(t => t[posKey]);
+        const linearResidual = this.fitResidual(positions, ticks.map(t => t.value));
+        const logResidual = this.fitResidual(positions, ticks.map(t => Math.log10(t.value)));
+        
+        return logResidual < 0.02 && linearResidual > 0.05;
+    }
+
+    /**
+     * Least-squares line fit residual, relative to the value range
+     * @param {Array} xs - Positions
+     * @param {Array} ys - Values
+     * @returns {number} Maximum absolute residual divided by the value range
+     */
+    fitResidual(xs, ys) {
+        const n = xs.length;
+        const meanX = xs.reduce((a, b) => a + b, 0) / n;
+        const meanY = ys.reduce((a, b) => a + b, 0) / n;
+        let sxy = 0;
+        let sxx = 0;
+        for (let i = 0; i < n; i++) {
+            sxy += (xs[i] - meanX) * (ys[i] - meanY);
+            sxx += (xs[i] - meanX) * (xs[i] - meanX);
+        }
+        const slope = sxx === 0 ? 0 : sxy / sxx;
+        const intercept = meanY - slope * meanX;
+        const range = Math.max(...ys) - Math.min(...ys);
+        if (range === 0) return 0;
+        
+        const maxResidual = Math.max(...xs.map((x, i) => Math.abs(ys[i] - (slope * x + intercept))));
+        return maxResidual / range;
+    }
+
+    /**
+     * Month-only labels (e.g. "Nov", "Dec", "Jan") carry no year; advance the
+     * year whenever the sequence wraps so the axis stays monotonic
+     * @param {Array} ticks - Date ticks sorted along the axis (modified in place)
+     * @param {Array} candidates - Matching parsed candidates
+     */
+    rollDateYears(ticks, candidates) {
+        for (let i = 1; i < ticks.length; i++) {
+            if (candidates[i].date.hasYear || candidates[i].date.timeOnly) continue;
+            while (ticks[i].value < ticks[i - 1].value) {
+                const d = new Date(ticks[i].value);
+                d.setUTCFullYear(d.getUTCFullYear() + 1);
+                ticks[i].value = d.getTime();
+            }
+        }
+    }
+
+    /**
+     * Parse an axis tick label as a number and/or a date
+     * @param {string} content - Label text
+     * @returns {Object} {number: {value}|null, date: {value, hasYear, hasTime, timeOnly}|null}
+     */
+    parseTickLabel(content) {
+        return {
+            number: this.parseNumericLabel(content),
+            date: this.parseDateLabel(content)
+        };
+    }
+
+    /**
+     * Parse numeric tick labels, including unicode minus, thousands separators
+     * and power-of-ten notation (1e3, 10^3, 10³)
+     * @param {string} content - Label text
+     * @returns {Object|null} {value} or null
+     */
+    parseNumericLabel(content) {
+        const superscripts = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁻': '-', '⁺': '+' };
+        let text = content.replace(/\u2212/g, '-').replace(/\s+/g, '');
+        
+        // 10³ -> 10^3
+        const sup = /^(.*?10)([⁰¹²³⁴⁵⁶⁷⁸⁹⁻⁺]+)$/.exec(text);
+        if (sup) {
+            text = sup[1] + '^' + sup[2].split('').map(ch => superscripts[ch]).join('');
+        }
+        
+        // [m×]10^n
+        const power = /^(?:([-+]?\d*\.?\d+)[x×*·])?10\^\{?([-+]?\d+)\}?$/.exec(text);
+        if (power) {
+            const mantissa = power[1] !== undefined ? parseFloat(power[1]) : 1;
+            return { value: mantissa * Math.pow(10, parseInt(power[2], 10)) };
+        }
+        
+        // 1,000,000 -> 1000000
+        if (/^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) {
+            text = text.replace(/,/g, '');
+        }
+        
+        if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?%?$/.test(text)) {
+            return { value: parseFloat(text) };
+        }
+        
+        // Legacy lenient parse for labels with units (e.g. "10 mm"), unless it reads as a date
+        const numValue = parseFloat(text);
+        if (!isNaN(numValue) && isFinite(numValue) && !this.parseDateLabel(content)) {
+            return { value: numValue };
+        }
+        
+        return null;
+    }
+
+    /**
+     * Parse date / time tick labels (ISO dates, month names, MATLAB datestr forms, HH:MM)
+     * Dates are interpreted in UTC; labels without a year are placed in 2000
+     * @param {string} content - Label text
+     * @returns {Object|null} {value (ms), hasYear, hasTime, timeOnly} or null
+     */
+    parseDateLabel(content) {
+        const text = content.trim();
+        const makeYear = y => (y < 100 ? 2000 + y : y);
+        let match;
+        
+        // HH:MM[:SS] [AM|PM]
+        if ((match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?$/.exec(text))) {
+            let hours = parseInt(match[1], 10) % (match[4] ? 12 : 24);
+            if (match[4] && match[4].toLowerCase() === 'pm') hours += 12;
+            return {
+                value: Date.UTC(1970, 0, 1, hours, parseInt(match[2], 10), parseInt(match[3] || '0', 10)),
+                hasYear: false, hasTime: true, timeOnly: true
+            };
+        }
+        
+        // YYYY-MM[-DD][ HH:MM[:SS]]
+        if ((match = /^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(text))) {
+            return {
+                value: Date.UTC(+match[1], +match[2] - 1, +(match[3] || 1), +(match[4] || 0), +(match[5] || 0), +(match[6] || 0)),
+                hasYear: true, hasTime: match[4] !== undefined, timeOnly: false
+            };
+        }
+        
+        // YYYY/MM/DD
+        if ((match = /^(\d{4})\/(\d{1,2})\/(\d{1,2})$/.exec(text))) {
+            return { value: Date.UTC(+match[1], +match[2] - 1, +match[3]), hasYear: true, hasTime: false, timeOnly: false };
+        }
+        
+        // MM/DD[/YY[YY]] (MATLAB datetick 'mm/dd')
+        if ((match = /^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/.exec(text)) && +match[1] >= 1 && +match[1] <= 12) {
+            return {
+                value: Date.UTC(match[3] ? makeYear(+match[3]) : 2000, +match[1] - 1, +match[2]),
+                hasYear: !!match[3], hasTime: false, timeOnly: false
+            };
+        }
+        
+        // DD-Mon[-YYYY] / DD Mon [YYYY] (MATLAB datestr)
+        if ((match = /^(\d{1,2})[-\s]([A-Za-z]{3,9})\.?(?:[-\s,]+(\d{2}|\d{4}))?$/.exec(text))) {
+            const month = this.parseMonthName(match[2]);
+            if (month >= 0) {
+                return {
+                    value: Date.UTC(match[3] ? makeYear(+match[3]) : 2000, month, +match[1]),
+                    hasYear: !!match[3], hasTime: false, timeOnly: false
+                };
+            }
+        }
+        
+        // Mon [DD][,] [YYYY] / Mon-YY
+        if ((match = /^([A-Za-z]{3,9})\.?(?:[\s-]+(\d{1,2})(?!\d))?,?(?:[\s-]*(\d{4}|'?\d{2}))?$/.exec(text))) {
+            const month = this.parseMonthName(match[1]);
+            if (month >= 0) {
+                const year = match[3] ? makeYear(parseInt(match[3].replace("'", ''), 10)) : null;
+                return {
+                    value: Date.UTC(year || 2000, month, match[2] ? +match[2] : 1),
+                    hasYear: year !== null, hasTime: false, timeOnly: false
+                };
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Resolve an English month name or abbreviation
+     * @param {string} name - Month name
+     * @returns {number} Month index 0-11, or -1
+     */
+    parseMonthName(name) {
+        const months = ['january', 'february', 'march', 'april', 'may', 'june',
+            'july', 'august', 'september', 'october', 'november', 'december'];
+        const lower = name.toLowerCase();
+        if (lower.length < 3) return -1;
+        return months.findIndex(m => m.startsWith(lower) || (lower === 'sept' && m === 'september'));
+    }
+
+    /**
+     * Get the SVG user-space size (viewBox first, then width/height attributes)
+     * @returns {Object} Size {width, height}
+     */
+    getSVGSize() {
+        const viewBox = this.svg.viewBox && this.svg.viewBox.baseVal;
+        if (viewBox && viewBox.width && viewBox.height) {
+            return { width: viewBox.width, height: viewBox.height };
+        }
+        
+        const viewBoxAttr = (this.svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(parseFloat);
+        if (viewBoxAttr.length === 4 && viewBoxAttr[2] > 0 && viewBoxAttr[3] > 0) {
+            return { width: viewBoxAttr[2], height: viewBoxAttr[3] };
+        }
         
         return {
-            xAxis: xAxisTicks,
-            yAxis: yAxisTicks,
-            plotBounds: plotBounds
+            width: parseFloat(this.svg.getAttribute('width')) || 400,
+            height: parseFloat(this.svg.getAttribute('height')) || 300
         };
     }
 
     /**
      * Estimate plot bounds from SVG structure
+     * Prefers the axes clip-path rectangle, then the panel frame, then a fixed margin guess
      * @returns {Object} Plot area bounds
      */
     estimatePlotBounds() {
-        const svgWidth = parseFloat(this.svg.getAttribute('width') || this.svg.viewBox?.baseVal?.width || 400);
-        const svgHeight = parseFloat(this.svg.getAttribute('height') || this.svg.viewBox?.baseVal?.height || 300);
+        if (this.options.plotBounds) {
+            return { source: 'option', ...this.options.plotBounds };
+        }
+        
+        const clipBounds = this.findClipPathBounds();
+        if (clipBounds) return clipBounds;
         
-        // Default plot area (can be refined based on actual grid lines)
+        const frameBounds = this.findFrameBounds();
+        if (frameBounds) return frameBounds;
+        
+        const { width: svgWidth, height: svgHeight } = this.getSVGSize();
+        
+        // Default plot area when no clip-path or frame is available
         return {
             left: svgWidth * 0.1,
             right: svgWidth * 0.9,
             top: svgHeight * 0.1,
-            bottom: svgHeight * 0.9
+            bottom: svgHeight * 0.9,
+            source: 'estimate'
         };
     }
 
+    /**
+     * Find the plot area from the clip-path rectangles referenced by plot content
+     * @returns {Object|null} Plot bounds or null if no suitable clip-path exists
+     */
+    findClipPathBounds() {
+        const plotClips = this.findClipPathCandidates();
+        if (plotClips.length === 0) return null;
+        
+        plotClips.sort((a, b) => b.count - a.count ||
+            (b.bounds.right - b.bounds.left) * (b.bounds.bottom - b.bounds.top) -
+            (a.bounds.right - a.bounds.left) * (a.bounds.bottom - a.bounds.top));
+        
+        return { ...plotClips[0].bounds, source: 'clip-path' };
+    }
+
+    /**
+     * Collect clip-path rectangles referenced in the SVG, excluding whole-figure clips
+     * @returns {Array} Candidates {bounds, count} in SVG root coordinates
+     */
+    findClipPathCandidates() {
+        const svgSize = this.getSVGSize();
+        const candidates = new Map();
+        
+        this.svg.querySelectorAll('[clip-path]').forEach(element => {
+            const match = /url\(\s*['"]?#([^'")\s]+)['"]?\s*\)/.exec(element.getAttribute('clip-path'));
+            if (!match) return;
+            
+            const id = match[1];
+            if (candidates.has(id)) {
+                candidates.get(id).count++;
+                return;
+            }
+            
+            const clipPath = this.findById(id);
+            const rect = clipPath && clipPath.querySelector('rect');
+            if (!rect) return;
+            
+            // Clip rect is in the user space of the referencing element
+            const bounds = this.transformRect(this.getElementMatrix(element), {
+                x: parseFloat(rect.getAttribute('x')) || 0,
+                y: parseFloat(rect.getAttribute('y')) || 0,
+                width: this.parseLength(rect.getAttribute('width'), svgSize.width),
+                height: this.parseLength(rect.getAttribute('height'), svgSize.height)
+            });
+            candidates.set(id, { bounds, count: 1 });
+        });
+        
+        // Clips covering the whole figure are page clips, not axes
+        return Array.from(candidates.values()).filter(({ bounds }) =>
+            bounds.right - bounds.left > 0 && bounds.bottom - bounds.top > 0 &&
+            !((bounds.right - bounds.left) >= svgSize.width * 0.95 && (bounds.bottom - bounds.top) >= svgSize.height * 0.95)
+        );
+    }
+
+    /**
+     * Detect the plot panels of a faceted / multi-axes figure.
+     * Tries axes clip-paths, then matplotlib axes groups, then repeated frame rectangles.
+     * @returns {Array} Panel bounds sorted row by row, empty when the figure has a single panel
+     */
+    findPanels() {
+        const fromClips = this.selectPanelRects(this.findClipPathCandidates().map(c => c.bounds), 'clip-path');
+        if (fromClips.length > 1) return fromClips;
+        
+        const axesGroups = Array.from(this.svg.querySelectorAll('g[id^="axes_"]'))
+            .filter(group => /^axes_\d+$/.test(group.id))
+            .map(group => this.findFrameInGroup(group))
+            .filter(Boolean);
+        const fromAxes = this.selectPanelRects(axesGroups, 'axes-group');
+        if (fromAxes.length > 1) return fromAxes;
+        
+        // Rectangles inside the one clip region or axes are bars, not facet frames
+        const single = fromClips.length === 1 ? fromClips[0] : (fromAxes.length === 1 ? fromAxes[0] : null);
+        const frames = [];
+        this.svg.querySelectorAll('rect, path').forEach(element => {
+            if (element.closest('defs, clipPath')) return;
+            const rect = this.getRectGeometry(element);
+            if (!rect) return;
+            const bounds = this.transformRect(this.getElementMatrix(element), rect);
+            if (single && bounds.left >= single.left - 1 && bounds.right <= single.right + 1 &&
+                bounds.top >= single.top - 1 && bounds.bottom <= single.bottom + 1) return;
+            frames.push(bounds);
+        });
+        const fromFrames = this.selectPanelRects(frames, 'frame');
+        return fromFrames.length > 1 ? fromFrames : [];
+    }
+
+    /**
+     * Find the background patch of a matplotlib axes group
+     * @param {Element} group - <g id="axes_N"> element
+     * @returns {Object|null} Bounds {left, right, top, bottom} or null
+     */
+    findFrameInGroup(group) {
+        const elements = group.querySelectorAll('rect, path');
+        for (const element of elements) {
+            if (element.closest('defs, clipPath')) continue;
+            const rect = this.getRectGeometry(element);
+            if (rect && rect.width > 0 && rect.height > 0) {
+                return this.transformRect(this.getElementMatrix(element), rect);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the rectangle described by a rect element or a rectangular path
+     * @param {Element} element - rect or path element
+     * @returns {Object|null} Rectangle {x, y, width, height} or null
+     */
+    getRectGeometry(element) {
+        const svgSize = this.getSVGSize();
+        if (element.tagName.toLowerCase() === 'rect') {
+            return {
+                x: parseFloat(element.getAttribute('x')) || 0,
+                y: parseFloat(element.getAttribute('y')) || 0,
+                width: this.parseLength(element.getAttribute('width'), svgSize.width),
+                height: this.parseLength(element.getAttribute('height'), svgSize.height)
+            };
+        }
+        return this.parseRectPath(element.getAttribute('d'));
+    }
+
+    /**
+     * Keep the large, non-overlapping rectangles that look like plot panels.
+     * Facet panels share one size; strips, legends and colourbars are much smaller.
+     * @param {Array} rects - Candidate bounds
+     * @param {string} source - Detection method recorded on each panel
+     * @returns {Array} Panel bounds sorted row by row
+     */
+    selectPanelRects(rects, source) {
+        const svgSize = this.getSVGSize();
+        const area = b => (b.right - b.left) * (b.bottom - b.top);
+        const sorted = this.dropStackedRects(rects)
+            .filter(b => area(b) > 0 && area(b) < svgSize.width * svgSize.height * 0.95)
+            .sort((a, b) => area(b) - area(a));
+        if (sorted.length === 0) return [];
+        
+        const maxArea = area(sorted[0]);
+        const panels = [];
+        sorted.forEach(bounds => {
+            if (area(bounds) < maxArea * 0.4) return;
+            
+            // Skip duplicates and rectangles nested in an accepted panel
+            const overlaps = panels.some(p =>
+                bounds.left < p.right - 1 && bounds.right > p.left + 1 &&
+                bounds.top < p.bottom - 1 && bounds.bottom > p.top + 1);
+            if (!overlaps) panels.push({ ...bounds, source: source });
+        });
+        
+        // Row-major order: top to bottom, then left to right
+        return panels.sort((a, b) => (Math.abs(a.top - b.top) > 1 ? a.top - b.top : a.left - b.left));
+    }
+
+    /**
+     * Remove rectangles stacked edge to edge with a larger one (a facet strip on its panel) or with
+     * another strip (colourbar cells, legend keys). Facet panels repeat one size like those cells,
+     * but they are spaced apart, or too large to be strips when drawn flush
+     * @param {Array} rects - Candidate bounds
+     * @returns {Array} Rectangles that are not stacked against a larger rectangle or a strip
+     */
+    dropStackedRects(rects) {
+        const svgSize = this.getSVGSize();
+        const area = b => (b.right - b.left) * (b.bottom - b.top);
+        const isStrip = b => Math.min(b.right - b.left, b.bottom - b.top) < Math.min(svgSize.width, svgSize.height) * 0.06;
+
+        // Bucket the edges by coordinate so each rectangle is only compared with its neighbours
+        const buckets = { left: new Map(), right: new Map(), top: new Map(), bottom: new Map() };
+        rects.forEach(b => Object.keys(buckets).forEach(edge => {
+            const key = Math.round(b[edge]);
+            if (!buckets[edge].has(key)) buckets[edge].set(key, []);
+            buckets[edge].get(key).push(b);
+        }));
+        const near = (edge, value) => [-1, 0, 1]
+            .flatMap(offset => buckets[edge].get(Math.round(value) + offset) || [])
+            .filter(b => Math.abs(b[edge] - value) < 0.5);
+        const overlap = (lo1, hi1, lo2, hi2) => Math.min(hi1, hi2) - Math.max(lo1, lo2) > 0.5;
+
+        return rects.filter(b => {
+            const touching = [
+                ...[...near('top', b.bottom), ...near('bottom', b.top)]
+                    .filter(other => overlap(b.left, b.right, other.left, other.right)),
+                ...[...near('left', b.right), ...near('right', b.left)]
+                    .filter(other => overlap(b.top, b.bottom, other.top, other.bottom))
+            ].filter(other => other !== b);
+            return !touching.some(other => area(b) < area(other) * 0.9 || (isStrip(b) && isStrip(other)));
+        });
+    }
+
+    /**
+     * Find facet strip labels: lone text centred just above a panel (column facets)
+     * or just right of it (row facets, as in facet_grid)
+     * @param {Array} panels - Panel bounds
+     * @returns {Array} Per panel, an array of {text, element}
+     */
+    findFacetLabels(panels) {
+        const texts = Array.from(this.svg.querySelectorAll('text'))
+            .map(element => ({ element, text: element.textContent.trim(), pos: this.getTextPosition(element) }))
+            .filter(t => t.text);
+        
+        return panels.map(panel => {
+            const width = panel.right - panel.left;
+            const height = panel.bottom - panel.top;
+            const centerX = (panel.left + panel.right) / 2;
+            const centerY = (panel.top + panel.bottom) / 2;
+            const labels = [];
+            
+            texts.forEach(t => {
+                const { pos } = t;
+                let side = null;
+                if (pos.y < panel.top && panel.top - pos.y <= 30 && Math.abs(pos.x - centerX) < width * 0.25) {
+                    side = 'top';
+                } else if (pos.x > panel.right && pos.x - panel.right <= 30 && Math.abs(pos.y - centerY) < height * 0.25) {
+                    side = 'right';
+                }
+                if (!side) return;
+                
+                // Tick labels come in rows/columns; strip labels stand alone
+                const hasNeighbours = texts.some(other => {
+                    if (other === t) return false;
+                    if (side === 'top') {
+                        return Math.abs(other.pos.y - pos.y) < Math.max(pos.height, 1) / 2 &&
+                            other.pos.x >= panel.left && other.pos.x <= panel.right;
+                    }
+                    return Math.abs(other.pos.x - pos.x) < Math.max(pos.width, 1) / 2 &&
+                        other.pos.y >= panel.top && other.pos.y <= panel.bottom;
+                });
+                if (!hasNeighbours) labels.push({ text: t.text, element: t.element, side: side });
+            });
+            
+            return labels.sort((a, b) => (a.side === b.side ? 0 : a.side === 'top' ? -1 : 1));
+        });
+    }
+
+    /**
+     * Borrow an axis from another panel's mapper (shared axes in facet grids
+     * only label the outer panels)
+     * @param {string} axis - 'x' or 'y'
+     * @param {CoordinateMapper} source - Mapper of a panel in the same column (x) or row (y)
+     */
+    shareAxis(axis, source) {
+        if (axis === 'x') {
+            this.axisInfo.xAxis = source.axisInfo.xAxis;
+            this.axisInfo.xScale = { ...source.axisInfo.xScale, shared: true };
+        } else {
+            this.axisInfo.yAxis = source.axisInfo.yAxis;
+            this.axisInfo.yScale = { ...source.axisInfo.yScale, shared: true };
+        }
+    }
+
+    /**
+     * Find the plot area from the largest panel background / frame rectangle
+     * @returns {Object|null} Plot bounds or null if no frame was found
+     */
+    findFrameBounds() {
+        const svgSize = this.getSVGSize();
+        const svgArea = svgSize.width * svgSize.height;
+        let best = null;
+        let bestArea = 0;
+        
+        this.svg.querySelectorAll('rect, path').forEach(element => {
+            if (element.closest('defs, clipPath')) return;
+            
+            const rect = this.getRectGeometry(element);
+            if (!rect) return;
+            
+            const bounds = this.transformRect(this.getElementMatrix(element), rect);
+            const area = (bounds.right - bounds.left) * (bounds.bottom - bounds.top);
+            if (area > svgArea * 0.15 && area < svgArea * 0.95 && area > bestArea) {
+                best = bounds;
+                bestArea = area;
+            }
+        });
+        
+        return best ? { ...best, source: 'frame' } : null;
+    }
+
+    /**
+     * Parse a path made of four axis-aligned corners (M/L/H/V/Z only)
+     * @param {string} d - Path data
+     * @returns {Object|null} Rectangle {x, y, width, height} or null
+     */
+    parseRectPath(d) {
+        const points = this.parseSimplePath(d);
+        if (!points || points.length < 4 || points.length > 5) return null;
+        
+        // An open bracket, such as a d3 axis domain, has the corners of a rectangle but only three sides
+        const first = points[0];
+        const last = points[points.length - 1];
+        const returns = points.length === 5 && Math.abs(first.x - last.x) < 0.01 && Math.abs(first.y - last.y) < 0.01;
+        if (!returns && !/z\s*$/i.test(d.trim())) return null;
+        
+        const xs = [...new Set(points.map(p => Math.round(p.x * 100) / 100))];
+        const ys = [...new Set(points.map(p => Math.round(p.y * 100) / 100))];
+        if (xs.length !== 2 || ys.length !== 2) return null;
+        
+        return {
+            x: Math.min(...xs),
+            y: Math.min(...ys),
+            width: Math.abs(xs[1] - xs[0]),
+            height: Math.abs(ys[1] - ys[0])
+        };
+    }
+
+    /**
+     * Parse path data containing only straight segments into vertices
+     * @param {string} d - Path data
+     * @returns {Array|null} Array of {x, y} vertices, or null if the path has curves
+     */
+    parseSimplePath(d) {
+        if (!d || /[^MmLlHhVvZz0-9eE.,+\-\s]/.test(d)) return null;
+        
+        const tokens = d.match(/[MmLlHhVvZz]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+        const points = [];
+        let command = null;
+        let x = 0;
+        let y = 0;
+        let i = 0;
+        
+        while (i < tokens.length) {
+            if (/[a-zA-Z]/.test(tokens[i])) {
+                command = tokens[i++];
+                if (command === 'Z' || command === 'z') continue;
+            }
+            if (command === null) return null;
+            
+            const relative = command === command.toLowerCase();
+            switch (command.toUpperCase()) {
+                case 'M':
+                case 'L':
+                    x = parseFloat(tokens[i++]) + (relative ? x : 0);
+                    y = parseFloat(tokens[i++]) + (relative ? y : 0);
+                    break;
+                case 'H':
+                    x = parseFloat(tokens[i++]) + (relative ? x : 0);
+                    break;
+                case 'V':
+                    y = parseFloat(tokens[i++]) + (relative ? y : 0);
+                    break;
+                default:
+                    i++;
+                    continue;
+            }
+            if (isNaN(x) || isNaN(y)) return null;
+            points.push({ x, y });
+        }
+        
+        return points;
+    }
+
+    /**
+     * Parse path data (M/L/H/V/C/S/Q/T/A/Z, absolute and relative) into subpaths of vertices
+     * Curves and arcs are flattened into sampled vertices
+     * @param {string} d - Path data
+     * @param {number} samples - Vertices per curve segment
+     * @returns {Object|null} {subpaths: [{points, closed}], curved} or null if the data is malformed
+     */
+    parsePathData(d, samples = 8) {
+        if (!d) return null;
+        
+        const tokens = d.match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+        const subpaths = [];
+        let current = null;
+        let command = null;
+        let previous = null;
+        let control = null; // Last control point, reflected by S and T
+        let x = 0, y = 0, startX = 0, startY = 0;
+        let curved = false;
+        let i = 0;
+        
+        const number = () => {
+            const value = parseFloat(tokens[i++]);
+            if (isNaN(value)) throw new Error('Expected a number in path data');
+            return value;
+        };
+        // Arc flags may be written without separators ("a5 5 0 015 5")
+        const flag = () => {
+            const token = tokens[i];
+            if (token === undefined) throw new Error('Expected an arc flag in path data');
+            if (token.length > 1 && (token[0] === '0' || token[0] === '1')) {
+                tokens[i] = token.slice(1);
+                return token[0] === '1';
+            }
+            i++;
+            return parseFloat(token) !== 0;
+        };
+        const lineTo = (px, py) => {
+            if (!current || current.closed) {
+                current = { points: [{ x, y }], closed: false };
+                subpaths.push(current);
+            }
+            current.points.push({ x: px, y: py });
+            x = px;
+            y = py;
+        };
+        const curveTo = (point) => {
+            curved = true;
+            const x0 = x, y0 = y;
+            for (let k = 1; k <= samples; k++) {
+                const p = point(k / samples, x0, y0);
+                lineTo(p.x, p.y);
+            }
+        };
+        
+        try {
+            while (i < tokens.length) {
+                if (/^[a-zA-Z]$/.test(tokens[i])) {
+                    command = tokens[i++];
+                } else if (command === null || command === 'Z' || command === 'z') {
+                    return null;
+                } else if (command === 'M' || command === 'm') {
+                    // Coordinate pairs after a moveto are implicit linetos
+                    command = command === 'M' ? 'L' : 'l';
+                }
+                
+                const relative = command === command.toLowerCase();
+                const ox = relative ? x : 0;
+                const oy = relative ? y : 0;
+                const type = command.toUpperCase();
+                let nextControl = null;
+                
+                switch (type) {
+                    case 'M':
+                        x = number() + ox;
+                        y = number() + oy;
+                        startX = x;
+                        startY = y;
+                        current = { points: [{ x, y }], closed: false };
+                        subpaths.push(current);
+                        break;
+                    case 'L': {
+                        const px = number() + ox;
+                        lineTo(px, number() + oy);
+                        break;
+                    }
+                    case 'H':
+                        lineTo(number() + ox, y);
+                        break;
+                    case 'V':
+                        lineTo(x, number() + oy);
+                        break;
+                    case 'C':
+                    case 'S': {
+                        let c1;
+                        if (type === 'C') {
+                            c1 = { x: number() + ox, y: number() + oy };
+                        } else {
+                            c1 = control && /[CS]/i.test(previous) ? { x: 2 * x - control.x, y: 2 * y - control.y } : { x, y };
+                        }
+                        const c2 = { x: number() + ox, y: number() + oy };
+                        const end = { x: number() + ox, y: number() + oy };
+                        curveTo((t, x0, y0) => {
+                            const u = 1 - t;
+                            return {
+                                x: u * u * u * x0 + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t * t * t * end.x,
+                                y: u * u * u * y0 + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t * t * t * end.y
+                            };
+                        });
+                        nextControl = c2;
+                        break;
+                    }
+                    case 'Q':
+                    case 'T': {
+                        let c;
+                        if (type === 'Q') {
+                            c = { x: number() + ox, y: number() + oy };
+                        } else {
+                            c = control && /[QT]/i.test(previous) ? { x: 2 * x - control.x, y: 2 * y - control.y } : { x, y };
+                        }
+                        const end = { x: number() + ox, y: number() + oy };
+                        curveTo((t, x0, y0) => {
+                            const u = 1 - t;
+                            return {
+                                x: u * u * x0 + 2 * u * t * c.x + t * t * end.x,
+                                y: u * u * y0 + 2 * u * t * c.y + t * t * end.y
+                            };
+                        });
+                        nextControl = c;
+                        break;
+                    }
+                    case 'A': {
+                        const rx = number();
+                        const ry = number();
+                        const rotation = number();
+                        const largeArc = flag();
+                        const sweep = flag();
+                        const end = { x: number() + ox, y: number() + oy };
+                        this.arcToPoints(x, y, rx, ry, rotation, largeArc, sweep, end.x, end.y, samples)
+                            .forEach(p => lineTo(p.x, p.y));
+                        curved = curved || (rx !== 0 && ry !== 0);
+                        break;
+                    }
+                    case 'Z':
+                        if (current) {
+                            current.closed = true;
+                        }
+                        x = startX;
+                        y = startY;
+                        break;
+                    default:
+                        return null;
+                }
+                
+                control = nextControl;
+                previous = command;
+            }
+        } catch (error) {
+            return null;
+        }
+        
+        return { subpaths: subpaths.filter(s => s.points.length > 0), curved };
+    }
+
+    /**
+     * Flatten an elliptical arc into vertices (endpoint to center parameterization, SVG spec F.6.5)
+     * @param {number} x0 - Start x
+     * @param {number} y0 - Start y
+     * @param {number} rx - X radius
+     * @param {number} ry - Y radius
+     * @param {number} rotation - X-axis rotation in degrees
+     * @param {boolean} largeArc - Large-arc flag
+     * @param {boolean} sweep - Sweep flag
+     * @param {number} x - End x
+     * @param {number} y - End y
+     * @param {number} samples - Vertices per quarter turn
+     * @returns {Array} Vertices after the start point, ending exactly at (x, y)
+     */
+    arcToPoints(x0, y0, rx, ry, rotation, largeArc, sweep, x, y, samples) {
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        if (rx === 0 || ry === 0 || (x0 === x && y0 === y)) {
+            return [{ x, y }];
+        }
+        
+        const phi = rotation * Math.PI / 180;
+        const cos = Math.cos(phi);
+        const sin = Math.sin(phi);
+        const dx = (x0 - x) / 2;
+        const dy = (y0 - y) / 2;
+        const x1 = cos * dx + sin * dy;
+        const y1 = -sin * dx + cos * dy;
+        
+        // Radii too small to reach the end point are scaled up
+        const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+        
+        const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+        const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+        const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+        const cxp = coef * rx * y1 / ry;
+        const cyp = -coef * ry * x1 / rx;
+        const cx = cos * cxp - sin * cyp + (x0 + x) / 2;
+        const cy = sin * cxp + cos * cyp + (y0 + y) / 2;
+        
+        const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        const theta = angle(1, 0, (x1 - cxp) / rx, (y1 - cyp) / ry);
+        let delta = angle((x1 - cxp) / rx, (y1 - cyp) / ry, (-x1 - cxp) / rx, (-y1 - cyp) / ry);
+        if (!sweep && delta > 0) delta -= 2 * Math.PI;
+        if (sweep && delta < 0) delta += 2 * Math.PI;
+        
+        const steps = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2) * samples));
+        const points = [];
+        for (let k = 1; k < steps; k++) {
+            const t = theta + delta * k / steps;
+            points.push({
+                x: cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+                y: cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos
+            });
+        }
+        points.push({ x, y });
+        return points;
+    }
+
+    /**
+     * Find short axis-aligned tick marks (line, 2-point polyline/path, or use of a marker def)
+     * @returns {Object} Tick marks {x: [{x, y}], y: [{x, y}]}
+     */
+    findTickMarks() {
+        const marks = { x: [], y: [] };
+        
+        this.svg.querySelectorAll('line, polyline, path, use').forEach(element => {
+            if (element.closest('defs, clipPath')) return;
+            
+            const segment = this.getSegment(element);
+            if (!segment) return;
+            
+            const matrix = this.getElementMatrix(element);
+            const p1 = this.transformPoint(matrix, segment[0].x, segment[0].y);
+            const p2 = this.transformPoint(matrix, segment[1].x, segment[1].y);
+            const dx = Math.abs(p2.x - p1.x);
+            const dy = Math.abs(p2.y - p1.y);
+            const length = Math.hypot(dx, dy);
+            
+            // Tick marks are short; grid lines span the panel
+            if (length < 0.5 || length > 15) return;
+            
+            const mid = { x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 };
+            if (dx < 0.5) {
+                marks.x.push(mid);
+            } else if (dy < 0.5) {
+                marks.y.push(mid);
+            }
+        });
+        
+        return marks;
+    }
+
+    /**
+     * Get the two end points of a single straight segment element
+     * @param {Element} element - line, polyline, path or use element
+     * @returns {Array|null} Two {x, y} points in the element's user space, or null
+     */
+    getSegment(element) {
+        const tag = element.tagName.toLowerCase();
+        let points = null;
+        
+        if (tag === 'line') {
+            points = [
+                { x: parseFloat(element.getAttribute('x1')) || 0, y: parseFloat(element.getAttribute('y1')) || 0 },
+                { x: parseFloat(element.getAttribute('x2')) || 0, y: parseFloat(element.getAttribute('y2')) || 0 }
+            ];
+        } else if (tag === 'polyline') {
+            const coords = (element.getAttribute('points') || '').trim().split(/[\s,]+/).map(parseFloat);
+            if (coords.length === 4) {
+                points = [{ x: coords[0], y: coords[1] }, { x: coords[2], y: coords[3] }];
+            }
+        } else if (tag === 'path') {
+            points = this.parseSimplePath(element.getAttribute('d'));
+        } else if (tag === 'use') {
+            const href = element.getAttribute('href') || element.getAttribute('xlink:href') ||
+                (element.getAttributeNS && element.getAttributeNS('http://www.w3.org/1999/xlink', 'href'));
+            const target = href && href.charAt(0) === '#' ? this.findById(href.slice(1)) : null;
+            if (!target || target.tagName.toLowerCase() === 'use') return null;
+            
+            const base = this.getSegment(target);
+            if (!base) return null;
+            
+            // <use> x/y translate the referenced geometry
+            const ox = parseFloat(element.getAttribute('x')) || 0;
+            const oy = parseFloat(element.getAttribute('y')) || 0;
+            points = base.map(p => ({ x: p.x + ox, y: p.y + oy }));
+        }
+        
+        if (!points || points.length !== 2 || points.some(p => isNaN(p.x) || isNaN(p.y))) return null;
+        return points;
+    }
+
+    /**
+     * Find the tick mark belonging to an axis label
+     * @param {Array} marks - Candidate tick marks for the axis
+     * @param {Object} pos - Label position {x, y, width, height}
+     * @param {string} axis - 'x' or 'y'
+     * @returns {Object|null} Matching tick mark {x, y} or null
+     */
+    findNearestTickMark(marks, pos, axis) {
+        let best = null;
+        let bestDistance = Infinity;
+        
+        marks.forEach(mark => {
+            let along, across;
+            if (axis === 'x') {
+                // Mark sits above the label and roughly at its centre
+                along = Math.abs(mark.x - pos.x);
+                across = pos.y - mark.y;
+                if (along > Math.max(pos.width / 2, 6) || across < 0 || across > 30) return;
+            } else {
+                // Mark sits right of the label and roughly at its centre
+                along = Math.abs(mark.y - pos.y);
+                across = mark.x - pos.x;
+                if (along > Math.max(pos.height / 2, 6) || across < 0 || across > pos.width / 2 + 30) return;
+            }
+            if (along < bestDistance) {
+                best = mark;
+                bestDistance = along;
+            }
+        });
+        
+        return best;
+    }
+
+    /**
+     * Get the centre and extent of a text element in SVG root coordinates
+     * @param {Element} text - SVG text element
+     * @returns {Object} Position {x, y, width, height}
+     */
+    getTextPosition(text) {
+        const matrix = this.getElementMatrix(text);
+        let box = null;
+        
+        try {
+            const bbox = text.getBBox();
+            if (bbox && (bbox.width > 0 || bbox.height > 0)) {
+                box = { x: bbox.x, y: bbox.y, width: bbox.width, height: bbox.height };
+            }
+        } catch (error) {
+            // getBBox fails for elements that are not rendered
+        }
+        
+        if (!box) {
+            const x = parseFloat(text.getAttribute('x')) || 0;
+            const y = parseFloat(text.getAttribute('y')) || 0;
+            box = { x: x, y: y, width: 0, height: 0 };
+        }
+        
+        const bounds = this.transformRect(matrix, box);
+        return {
+            x: (bounds.left + bounds.right) / 2,
+            y: (bounds.top + bounds.bottom) / 2,
+            width: bounds.right - bounds.left,
+            height: bounds.bottom - bounds.top
+        };
+    }
+
+    /**
+     * Resolve the full transform chain of an element into SVG root user space
+     * Uses the screen CTM when the SVG is rendered, otherwise consolidates transform attributes
+     * @param {Element} element - SVG element
+     * @returns {Object} Affine matrix {a, b, c, d, e, f}
+     */
+    getElementMatrix(element) {
+        if (element === this.svg) return { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+        
+        try {
+            const rootCTM = this.svg.getScreenCTM && this.svg.getScreenCTM();
+            const elementCTM = element.getScreenCTM && element.getScreenCTM();
+            if (rootCTM && elementCTM) {
+                const m = rootCTM.inverse().multiply(elementCTM);
+                return { a: m.a, b: m.b, c: m.c, d: m.d, e: m.e, f: m.f };
+            }
+        } catch (error) {
+            // Fall back to walking transform attributes
+        }
+        
+        let matrix = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+        for (let node = element; node && node !== this.svg && node.getAttribute; node = node.parentNode) {
+            const transform = node.getAttribute('transform');
+            if (transform) {
+                matrix = this.multiplyMatrix(this.parseTransform(transform), matrix);
+            }
+        }
+        return matrix;
+    }
+
+    /**
+     * Parse an SVG transform attribute into a single matrix
+     * @param {string} transform - Transform attribute value
+     * @returns {Object} Affine matrix {a, b, c, d, e, f}
+     */
+    parseTransform(transform) {
+        let matrix = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+        const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+        let match;
+        
+        while ((match = pattern.exec(transform)) !== null) {
+            const args = match[2].trim().split(/[\s,]+/).map(parseFloat);
+            let m;
+            switch (match[1]) {
+                case 'matrix':
+                    m = { a: args[0], b: args[1], c: args[2], d: args[3], e: args[4], f: args[5] };
+                    break;
+                case 'translate':
+                    m = { a: 1, b: 0, c: 0, d: 1, e: args[0] || 0, f: args[1] || 0 };
+                    break;
+                case 'scale':
+                    m = { a: args[0], b: 0, c: 0, d: args.length > 1 ? args[1] : args[0], e: 0, f: 0 };
+                    break;
+                case 'rotate': {
+                    const angle = (args[0] || 0) * Math.PI / 180;
+                    const cos = Math.cos(angle);
+                    const sin = Math.sin(angle);
+                    const cx = args[1] || 0;
+                    const cy = args[2] || 0;
+                    // translate(cx, cy) rotate(angle) translate(-cx, -cy)
+                    m = {
+                        a: cos, b: sin, c: -sin, d: cos,
+                        e: cx - cos * cx + sin * cy,
+                        f: cy - sin * cx - cos * cy
+                    };
+                    break;
+                }
+                case 'skewX':
+                    m = { a: 1, b: 0, c: Math.tan(args[0] * Math.PI / 180), d: 1, e: 0, f: 0 };
+                    break;
+                case 'skewY':
+                    m = { a: 1, b: Math.tan(args[0] * Math.PI / 180), c: 0, d: 1, e: 0, f: 0 };
+                    break;
+            }
+            if (m && Object.values(m).every(v => isFinite(v))) {
+                matrix = this.multiplyMatrix(matrix, m);
+            }
+        }
+        
+        return matrix;
+    }
+
+    /**
+     * Multiply two affine matrices (m2 is applied first)
+     * @param {Object} m1 - Outer matrix
+     * @param {Object} m2 - Inner matrix
+     * @returns {Object} Product matrix
+     */
+    multiplyMatrix(m1, m2) {
+        return {
+            a: m1.a * m2.a + m1.c * m2.b,
+            b: m1.b * m2.a + m1.d * m2.b,
+            c: m1.a * m2.c + m1.c * m2.d,
+            d: m1.b * m2.c + m1.d * m2.d,
+            e: m1.a * m2.e + m1.c * m2.f + m1.e,
+            f: m1.b * m2.e + m1.d * m2.f + m1.f
+        };
+    }
+
+    /**
+     * Apply an affine matrix to a point
+     * @param {Object} matrix - Affine matrix
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Object} Transformed point {x, y}
+     */
+    transformPoint(matrix, x, y) {
+        return {
+            x: matrix.a * x + matrix.c * y + matrix.e,
+            y: matrix.b * x + matrix.d * y + matrix.f
+        };
+    }
+
+    /**
+     * Check whether a matrix is the identity
+     * @param {Object} matrix - Affine matrix
+     * @returns {boolean} True for identity
+     */
+    isIdentity(matrix) {
+        return matrix.a === 1 && matrix.b === 0 && matrix.c === 0 &&
+            matrix.d === 1 && matrix.e === 0 && matrix.f === 0;
+    }
+
+    /**
+     * Transform a rectangle and return the axis-aligned bounds of the result
+     * @param {Object} matrix - Affine matrix
+     * @param {Object} rect - Rectangle {x, y, width, height}
+     * @returns {Object} Bounds {left, right, top, bottom}
+     */
+    transformRect(matrix, rect) {
+        const corners = [
+            this.transformPoint(matrix, rect.x, rect.y),
+            this.transformPoint(matrix, rect.x + rect.width, rect.y),
+            this.transformPoint(matrix, rect.x, rect.y + rect.height),
+            this.transformPoint(matrix, rect.x + rect.width, rect.y + rect.height)
+        ];
+        return {
+            left: Math.min(...corners.map(p => p.x)),
+            right: Math.max(...corners.map(p => p.x)),
+            top: Math.min(...corners.map(p => p.y)),
+            bottom: Math.max(...corners.map(p => p.y))
+        };
+    }
+
+    /**
+     * Parse a length attribute, resolving percentages against a reference size
+     * @param {string} value - Attribute value
+     * @param {number} reference - Size that 100% refers to
+     * @returns {number} Length in user units
+     */
+    parseLength(value, reference) {
+        if (!value) return 0;
+        const num = parseFloat(value);
+        return /%\s*$/.test(value) ? reference * num / 100 : (num || 0);
+    }
+
+    /**
+     * Find an element by id inside the SVG
+     * @param {string} id - Element id
+     * @returns {Element|null} Element or null
+     */
+    findById(id) {
+        const escaped = typeof CSS !== 'undefined' && CSS.escape ? CSS.escape(id) : id.replace(/([^\w-])/g, '\\$1');
+        return this.svg.querySelector(`#${escaped}`);
+    }
+
     /**
      * Map SVG X coordinate to data value
      * @param {number} svgX - SVG x coordinate
-     * @returns {number} Data value
+     * @returns {number} Data value (milliseconds since epoch on date axes)
      */
     mapSVGToDataX(svgX) {
-        const { xAxis } = this.axisInfo;
+        const { xAxis, xScale } = this.axisInfo;
+        
+        if (xScale && xScale.type === 'categorical' && xAxis.length === 1) {
+            return 0; // Single category
+        }
         
         if (xAxis.length < 2) {
             // Fallback: linear interpolation based on plot bounds
@@ -83,22 +1327,20 @@ class CoordinateMapper {
         const firstTick = xAxis[0];
         const lastTick = xAxis[xAxis.length - 1];
         
-        const svgRange = lastTick.svgX - firstTick.svgX;
-        const dataRange = lastTick.value - firstTick.value;
-        
-        if (svgRange === 0) return firstTick.value;
-        
-        const ratio = (svgX - firstTick.svgX) / svgRange;
-        return firstTick.value + (ratio * dataRange);
+        return this.interpolate(svgX, firstTick.svgX, firstTick.value, lastTick.svgX, lastTick.value, xScale);
     }
 
     /**
      * Map SVG Y coordinate to data value
      * @param {number} svgY - SVG y coordinate
-     * @returns {number} Data value
+     * @returns {number} Data value (milliseconds since epoch on date axes)
      */
     mapSVGToDataY(svgY) {
-        const { yAxis } = this.axisInfo;
+        const { yAxis, yScale } = this.axisInfo;
+        
+        if (yScale && yScale.type === 'categorical' && yAxis.length === 1) {
+            return 0; // Single category
+        }
         
         if (yAxis.length < 2) {
             // Fallback: linear interpolation based on plot bounds
@@ -106,16 +1348,97 @@ class CoordinateMapper {
             return ((plotBounds.bottom - svgY) / (plotBounds.bottom - plotBounds.top)) * 50; // Assume 0-50 range
         }
         
-        const firstTick = yAxis[0]; // Top tick (highest value)
-        const lastTick = yAxis[yAxis.length - 1]; // Bottom tick (lowest value)
+        const firstTick = yAxis[0]; // Bottom tick
+        const lastTick = yAxis[yAxis.length - 1]; // Top tick
+        
+        return this.interpolate(svgY, firstTick.svgY, firstTick.value, lastTick.svgY, lastTick.value, yScale);
+    }
+
+    /**
+     * Interpolate between two ticks in the axis' scale space
+     * Reversed axes need no special case: the tick values already decrease along the axis
+     * @param {number} svgPos - SVG coordinate to map
+     * @param {number} pos1 - SVG coordinate of the first tick
+     * @param {number} value1 - Value of the first tick
+     * @param {number} pos2 - SVG coordinate of the last tick
+     * @param {number} value2 - Value of the last tick
+     * @param {Object} scale - Axis scale {type}
+     * @returns {number} Data value
+     */
+    interpolate(svgPos, pos1, value1, pos2, value2, scale) {
+        if (pos2 === pos1) return value1;
+        
+        const isLog = scale && scale.type === 'log';
+        const forward = v => (isLog ? Math.log10(v) : v);
+        const ratio = (svgPos - pos1) / (pos2 - pos1);
+        const t = forward(value1) + ratio * (forward(value2) - forward(value1));
         
-        const svgRange = lastTick.svgY - firstTick.svgY;
-        const dataRange = lastTick.value - firstTick.value;
+        return isLog ? Math.pow(10, t) : t;
+    }
+
+    /**
+     * Find the category of a categorical axis for an SVG coordinate.
+     * Each category owns the band halfway to its neighbours, so the nearest tick wins.
+     * @param {number} svgPos - SVG coordinate along the axis
+     * @param {string} axis - 'x' or 'y'
+     * @returns {Object|null} {category, index} or null if the axis is not categorical
+     */
+    getCategory(svgPos, axis) {
+        const ticks = axis === 'x' ? this.axisInfo.xAxis : this.axisInfo.yAxis;
+        if (this.getScale(axis).type !== 'categorical' || ticks.length === 0) return null;
         
-        if (svgRange === 0) return firstTick.value;
+        const posKey = axis === 'x' ? 'svgX' : 'svgY';
+        let best = ticks[0];
+        ticks.forEach(tick => {
+            if (Math.abs(tick[posKey] - svgPos) < Math.abs(best[posKey] - svgPos)) {
+                best = tick;
+            }
+        });
         
-        const ratio = (svgY - firstTick.svgY) / svgRange;
-        return firstTick.value + (ratio * dataRange);
+        return { category: best.category, index: best.value };
+    }
+
+    /**
+     * Get the scale of an axis
+     * @param {string} axis - 'x' or 'y'
+     * @returns {Object} Scale {type, reversed, detected, ...}
+     */
+    getScale(axis) {
+        return (axis === 'x' ? this.axisInfo.xScale : this.axisInfo.yScale) || { type: 'linear', reversed: false };
+    }
+
+    /**
+     * Format a data value for display according to the axis scale
+     * @param {number} value - Data value
+     * @param {string} axis - 'x' or 'y'
+     * @param {number} digits - Decimal places for numeric axes
+     * @returns {string} Formatted value
+     */
+    formatValue(value, axis, digits = 2) {
+        if (value === null || value === undefined || isNaN(value)) return 'N/A';
+        
+        const scale = this.getScale(axis);
+        if (scale.type === 'categorical' && scale.categories.length > 0) {
+            const index = Math.min(Math.max(Math.round(value), 0), scale.categories.length - 1);
+            return scale.categories[index];
+        }
+        
+        if (scale.type === 'date') {
+            const iso = new Date(Math.round(value)).toISOString();
+            const time = iso.slice(11, scale.hasTime && iso.slice(17, 19) !== '00' ? 19 : 16);
+            if (!scale.hasDate) return time;
+            
+            const date = scale.hasYear ? iso.slice(0, 10) :
+                new Date(Math.round(value)).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+            return scale.hasTime ? `${date} ${time}` : date;
+        }
+        
+        if (scale.type === 'log') {
+            // Keep significant digits for values spanning decades
+            return Math.abs(value) >= 1 ? value.toFixed(digits) : value.toPrecision(digits + 1);
+        }
+        
+        return value.toFixed(digits);
     }
 
     /**
@@ -126,15 +1449,19 @@ class CoordinateMapper {
         const textElements = this.svg.querySelectorAll('text');
         let xLabel = 'X';
         let yLabel = 'Y';
+        const categories = new Set([
+            ...(this.getScale('x').categories || []),
+            ...(this.getScale('y').categories || [])
+        ]);
         
         // Look for potential axis labels (longer text, positioned at edges)
         textElements.forEach(text => {
             const content = text.textContent.trim();
-            const x = parseFloat(text.getAttribute('x'));
-            const y = parseFloat(text.getAttribute('y'));
+            const { x, y } = this.getTextPosition(text);
             
-            // Skip if it's a number (likely a tick)
-            if (!isNaN(parseFloat(content))) return;
+            // Skip if it's a number, date or category (likely a tick)
+            const parsed = this.parseTickLabel(content);
+            if (parsed.number || parsed.date || categories.has(content)) return;
             
             // Look for text that might be axis labels
             if (content.length > 3) {
@@ -149,6 +1476,97 @@ class CoordinateMapper {
         return { xLabel, yLabel };
     }
 
+    /**
+     * Rate how far the mapping of an axis can be trusted
+     * @param {string} axis - 'x' or 'y'
+     * @returns {Object} {score (0-1), residual (max tick deviation / value range, null without a fit), warnings}
+     */
+    getAxisQuality(axis) {
+        this.axisQuality = this.axisQuality || {};
+        if (this.axisQuality[axis]) return this.axisQuality[axis];
+        
+        const ticks = axis === 'x' ? this.axisInfo.xAxis : this.axisInfo.yAxis;
+        const posKey = axis === 'x' ? 'svgX' : 'svgY';
+        const scale = this.getScale(axis);
+        const warnings = [];
+        let score = 1;
+        let residual = null;
+        
+        if (scale.type === 'categorical') {
+            if (ticks.length === 0) {
+                score = 0.2;
+                warnings.push(`${axis} axis: no category labels found`);
+            }
+        } else if (ticks.length < 2) {
+            score = 0.2;
+            warnings.push(`${axis} axis: ${ticks.length} tick label(s) found, assuming a range of 0-${axis === 'x' ? 10 : 50}`);
+        } else {
+            // Every tick should sit on the line through all of them in scale space
+            const forward = scale.type === 'log' ? v => Math.log10(v) : v => v;
+            residual = this.fitResidual(ticks.map(t => t[posKey]), ticks.map(t => forward(t.value)));
+            score *= Math.max(0, 1 - residual * 10);
+            if (residual > 0.02) {
+                warnings.push(`${axis} axis: ticks deviate from a ${scale.type} scale by ${(residual * 100).toFixed(1)}% of the range`);
+            }
+            if (ticks.length === 2) {
+                score *= 0.8;
+                warnings.push(`${axis} axis: only two ticks, so the scale cannot be checked`);
+            }
+        }
+        
+        // Without tick marks, positions come from label centres
+        if (ticks.length > 0 && !ticks.some(t => t.anchored)) {
+            score *= 0.9;
+        }
+        
+        this.axisQuality[axis] = { score: Math.round(score * 100) / 100, residual, warnings };
+        return this.axisQuality[axis];
+    }
+
+    /**
+     * Report what the mapper detected and how well it fits
+     * @returns {Object} {plotBounds, axes: {x, y}, ignoredLabels, warnings}
+     */
+    getDiagnostics() {
+        const axes = {};
+        const warnings = [];
+        
+        ['x', 'y'].forEach(axis => {
+            const ticks = axis === 'x' ? this.axisInfo.xAxis : this.axisInfo.yAxis;
+            const posKey = axis === 'x' ? 'svgX' : 'svgY';
+            const scale = this.getScale(axis);
+            const quality = this.getAxisQuality(axis);
+            const used = new Set(ticks.map(t => t.label));
+            
+            axes[axis] = {
+                scale: scale,
+                ticks: ticks.map(t => ({ label: t.label, value: t.value, position: t[posKey], anchored: !!t.anchored })),
+                unusedLabels: this.axisInfo.labels[axis]
+                    .filter(c => !used.has(c.label))
+                    .map(c => ({
+                        label: c.label,
+                        reason: scale.type === 'categorical' ? 'not in the label row next to the axis' :
+                            (c.number || c.date ? `does not fit the ${scale.type} scale` : 'not a number or date')
+                    })),
+                residual: quality.residual,
+                score: quality.score,
+                fallbackRange: scale.type !== 'categorical' && ticks.length < 2 ? [0, axis === 'x' ? 10 : 50] : null
+            };
+            warnings.push(...quality.warnings);
+        });
+        
+        if (this.axisInfo.plotBounds.source === 'estimate') {
+            warnings.push('Plot area estimated from the SVG size: no axes clip-path or frame found');
+        }
+        
+        return {
+            plotBounds: this.axisInfo.plotBounds,
+            axes: axes,
+            ignoredLabels: this.axisInfo.labels.ignored.map(l => ({ label: l.label, reason: 'not next to an axis' })),
+            warnings: warnings
+        };
+    }
+
     /**
      * Get debug information about the mapping
      * @returns {Object} Debug info
@@ -157,6 +1575,8 @@ class CoordinateMapper {
         return {
             xAxisTicks: this.axisInfo.xAxis,
             yAxisTicks: this.axisInfo.yAxis,
+            xScale: this.axisInfo.xScale,
+            yScale: this.axisInfo.yScale,
             plotBounds: this.axisInfo.plotBounds,
             axisLabels: this.getAxisLabels()
         };
@@ -0,0 +1,127 @@
+/**
+ * QuadTree
+ * Point quadtree used as a spatial index for nearest-point hit-testing
+ * Items are plain objects with x/y coordinates
+ */
+
+class QuadTree {
+    constructor(bounds, capacity = 16, depth = 0) {
+        this.bounds = bounds; // {x, y, width, height}
+        this.capacity = capacity;
+        this.depth = depth;
+        this.items = [];
+        this.children = null;
+    }
+
+    /**
+     * Build a tree that covers all items
+     * @param {Array} items - Objects with numeric x and y
+     * @param {number} capacity - Items per node before it splits
+     * @returns {QuadTree} Populated tree
+     */
+    static fromItems(items, capacity = 16) {
+        const valid = items.filter(item => isFinite(item.x) && isFinite(item.y));
+
+        // Loop instead of Math.min(...xs): spreading very large arrays overflows the call stack
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        valid.forEach(item => {
+            minX = Math.min(minX, item.x);
+            minY = Math.min(minY, item.y);
+            maxX = Math.max(maxX, item.x);
+            maxY = Math.max(maxY, item.y);
+        });
+        if (valid.length === 0) {
+            minX = minY = maxX = maxY = 0;
+        }
+        const size = Math.max(maxX - minX, maxY - minY, 1);
+
+        const tree = new QuadTree({ x: minX, y: minY, width: size, height: size }, capacity);
+        valid.forEach(item => tree.insert(item));
+        return tree;
+    }
+
+    /**
+     * Insert an item
+     * @param {Object} item - Object with x and y
+     * @returns {boolean} False if the item lies outside this node
+     */
+    insert(item) {
+        if (!this.contains(item.x, item.y)) return false;
+
+        if (this.children) {
+            return this.children.some(child => child.insert(item));
+        }
+
+        this.items.push(item);
+
+        // Stop splitting at a fixed depth so stacks of identical points cannot recurse forever
+        if (this.items.length > this.capacity && this.depth < 12) {
+            this.subdivide();
+        }
+        return true;
+    }
+
+    /**
+     * Split this node into four children and move its items down
+     */
+    subdivide() {
+        const { x, y, width, height } = this.bounds;
+        const w = width / 2;
+        const h = height / 2;
+        this.children = [
+            new QuadTree({ x: x, y: y, width: w, height: h }, this.capacity, this.depth + 1),
+            new QuadTree({ x: x + w, y: y, width: w, height: h }, this.capacity, this.depth + 1),
+            new QuadTree({ x: x, y: y + h, width: w, height: h }, this.capacity, this.depth + 1),
+            new QuadTree({ x: x + w, y: y + h, width: w, height: h }, this.capacity, this.depth + 1)
+        ];
+
+        const items = this.items;
+        this.items = [];
+        items.forEach(item => this.children.some(child => child.insert(item)));
+    }
+
+    /**
+     * Check whether a position lies inside this node (right/bottom edges inclusive)
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} True if inside
+     */
+    contains(x, y) {
+        const b = this.bounds;
+        return x >= b.x && x <= b.x + b.width && y >= b.y && y <= b.y + b.height;
+    }
+
+    /**
+     * Find all items inside a rectangle
+     * @param {number} x0 - Left
+     * @param {number} y0 - Top
+     * @param {number} x1 - Right
+     * @param {number} y1 - Bottom
+     * @param {Array} found - Accumulator
+     * @returns {Array} Items inside the rectangle
+     */
+    search(x0, y0, x1, y1, found = []) {
+        const b = this.bounds;
+        if (x1 < b.x || x0 > b.x + b.width || y1 < b.y || y0 > b.y + b.height) {
+            return found;
+        }
+
+        this.items.forEach(item => {
+            if (item.x >= x0 && item.x <= x1 && item.y >= y0 && item.y <= y1) {
+                found.push(item);
+            }
+        });
+
+        if (this.children) {
+            this.children.forEach(child => child.search(x0, y0, x1, y1, found));
+        }
+        return found;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuadTree;
+} else if (typeof window !== 'undefined') {
+    window.QuadTree = QuadTree;
+}
\ No newline at end of file
@@ -0,0 +1,176 @@
+/**
+ * Selection Group
+ * Links the selections of several SVGInteractive instances (linked brushing)
+ * Marks are matched across figures by a shared key
+ */
+
+class SelectionGroup {
+    constructor(options = {}) {
+        this.options = {
+            key: options.key || 'data-id', // 'data-id', 'title', 'id' or function(point) => key
+            onChange: options.onChange || (() => {}),
+            ...options
+        };
+
+        this.members = [];
+        this.selectedKeys = new Set();
+        this.listeners = { change: [] };
+    }
+
+    /**
+     * Add an instance to the group and apply the current group selection to it
+     * @param {SVGInteractive} instance - Instance to link
+     */
+    join(instance) {
+        if (this.members.includes(instance)) return;
+
+        this.members.push(instance);
+        instance.selectionGroup = this;
+
+        if (this.selectedKeys.size > 0) {
+            this.applyKeys(instance, this.selectedKeys);
+        }
+    }
+
+    /**
+     * Remove an instance from the group
+     * @param {SVGInteractive} instance - Instance to unlink
+     */
+    leave(instance) {
+        this.members = this.members.filter(member => member !== instance);
+        if (instance.selectionGroup === this) {
+            instance.selectionGroup = null;
+        }
+    }
+
+    /**
+     * Get the linking key of a data point
+     * @param {Object} point - Data point
+     * @returns {string|null} Key, or null when the mark carries none
+     */
+    getKey(point) {
+        const key = this.options.key;
+        let value = null;
+
+        if (typeof key === 'function') {
+            value = key(point);
+        } else if (key === 'title') {
+            const title = Array.from(point.element.children).find(child => child.tagName.toLowerCase() === 'title');
+            value = title ? title.textContent : point.element.getAttribute('title');
+        } else {
+            value = point.element.getAttribute(key);
+        }
+
+        if (value === null || value === undefined) return null;
+        value = String(value).trim();
+        return value === '' ? null : value;
+    }
+
+    /**
+     * Propagate the selection of one member to all others
+     * @param {SVGInteractive} source - Instance whose selection changed
+     */
+    publish(source) {
+        this.selectedKeys = new Set();
+        source.getSelectedData().forEach(point => {
+            const key = this.getKey(point);
+            if (key !== null) {
+                this.selectedKeys.add(key);
+            }
+        });
+
+        this.members.forEach(member => {
+            if (member !== source) {
+                this.applyKeys(member, this.selectedKeys);
+            }
+        });
+
+        this.emit('change', {
+            source,
+            keys: Array.from(this.selectedKeys),
+            selections: this.members.map(member => ({
+                instance: member,
+                points: member.getSelectedData()
+            }))
+        });
+    }
+
+    /**
+     * Select the points of an instance whose keys are in the set
+     * @param {SVGInteractive} instance - Group member
+     * @param {Set} keys - Selected keys
+     */
+    applyKeys(instance, keys) {
+        const ids = instance.getDataPoints()
+            .filter(point => {
+                const key = this.getKey(point);
+                return key !== null && keys.has(key);
+            })
+            .map(point => point.id);
+
+        instance.selectPoints(ids);
+    }
+
+    /**
+     * Clear the selection in every member
+     */
+    clear() {
+        this.selectedKeys.clear();
+        this.members.forEach(member => member.clearSelection());
+        this.emit('change', {
+            source: null,
+            keys: [],
+            selections: this.members.map(member => ({ instance: member, points: [] }))
+        });
+    }
+
+    /**
+     * Get the keys currently selected in the group
+     * @returns {Array} Selected keys
+     */
+    getSelectedKeys() {
+        return Array.from(this.selectedKeys);
+    }
+
+    /**
+     * Subscribe to group events
+     * @param {string} type - Event type ('change')
+     * @param {Function} handler - Called with the event detail
+     */
+    on(type, handler) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(handler);
+    }
+
+    /**
+     * Unsubscribe from group events
+     * @param {string} type - Event type
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(type, handler) {
+        if (this.listeners[type]) {
+            this.listeners[type] = this.listeners[type].filter(h => h !== handler);
+        }
+    }
+
+    /**
+     * Notify listeners
+     * @param {string} type - Event type
+     * @param {Object} detail - Event detail
+     */
+    emit(type, detail) {
+        if (type === 'change') {
+            this.options.onChange(detail);
+        }
+        (this.listeners[type] || []).forEach(handler => handler(detail));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SelectionGroup;
+} else if (typeof window !== 'undefined') {
+    window.SelectionGroup = SelectionGroup;
+}
\ No newline at end of file
@@ -21,13 +21,88 @@ class SVGInteractive {
             showStatistics: options.showStatistics !== false,
             selectionColor: options.selectionColor || '#ff6b35',
             hoverColor: options.hoverColor || '#2196f3',
+            brushMode: options.brushMode || null, // null, 'rect', 'lasso'
+            onBrush: options.onBrush || (() => {}),
+            selectionGroup: options.selectionGroup || null, // SelectionGroup for linked brushing
+            enableZoom: options.enableZoom || false, // wheel/pinch zoom, drag pan, double-click reset
+            maxZoom: options.maxZoom || 20,
+            onZoom: options.onZoom || (() => {}),
+            showCrosshair: options.showCrosshair || false,
+            enableAccessibility: options.enableAccessibility !== false, // keyboard navigation, ARIA labels, live region
+            navigationOrder: options.navigationOrder || 'data', // 'data' (dataX, then dataY) or 'series'
+            longPressDelay: options.longPressDelay || 500, // ms a touch must be held for detail-on-demand
+            hitMode: options.hitMode || 'element', // 'element' (exact mark) or 'nearest' (closest mark within hitRadius)
+            hitRadius: options.hitRadius || 12, // screen pixels
+            polylineHover: options.polylineHover || 'series', // 'series', 'vertex' (nearest vertex) or 'interpolate'
+            compareRule: options.compareRule || false, // vertical rule listing every series at the hovered X
+            legendAction: options.legendAction || 'toggle', // legend click: 'toggle', 'isolate' or 'highlight'
+            onLegendChange: options.onLegendChange || (() => {}),
+            filterMode: options.filterMode || 'dim', // non-matching points: 'dim' or 'hide'
+            onFilter: options.onFilter || (() => {}),
+            showFilterPanel: options.showFilterPanel || false,
+            filterPanelContainer: options.filterPanelContainer || null, // element for the panel (default: after the SVG)
+            debugOverlay: options.debugOverlay || false, // draw plot bounds, ticks and rejected elements
+            showToolbar: options.showToolbar || false, // copy/download buttons for exporting points
+            toolbarContainer: options.toolbarContainer || null, // element for the toolbar (default: after the SVG)
+            exportFilename: options.exportFilename || 'svg-data', // download name without extension
+            persistState: options.persistState || null, // null, 'hash' or 'localStorage'
+            stateKey: options.stateKey || null, // name of the saved state (default: the SVG id or 'figure')
+            themeProfile: options.themeProfile || 'auto', // 'auto', a profile name or a profile object
+            backgroundRules: options.backgroundRules || null, // {include: [rule], exclude: [rule]}
+            glyphRecognizers: options.glyphRecognizers || null, // extra recognisers, tried before the built-ins
+            colorbarBrush: options.colorbarBrush || false, // drag along a colour bar to highlight marks in that value range
             ...options
         };
         
-        this.coordinateMapper = new CoordinateMapper(svgElement);
+        this.mapperOptions = {
+            plotBounds: this.options.plotBounds,
+            xScale: this.options.xScale,
+            yScale: this.options.yScale
+        };
+        this.coordinateMapper = new CoordinateMapper(svgElement, this.mapperOptions);
+        this.panels = [];
         this.dataPoints = [];
         this.selectedPoints = new Set();
         this.tooltip = null;
+        this.brush = null;
+        this.lastBrush = null;
+        this.selectionGroup = null;
+        this.viewBox = null;
+        this.pan = null;
+        this.crosshair = null;
+        this.navOrder = [];
+        this.focusTargets = null;
+        this.focusHandlers = null;
+        this.focusIndex = 0;
+        this.liveRegion = null;
+        this.touch = null;
+        this.pinnedPoint = null;
+        this.activePointers = new Map();
+        this.spatialIndex = null;
+        this.hoverPoint = null;
+        this.trackedVertex = null;
+        this.trackOverlay = null;
+        this.legend = null;
+        this.hiddenSeries = new Set();
+        this.highlightedSeries = null;
+        this.activeFilter = null;
+        this.filteredOut = new Set();
+        this.filterPanel = null;
+        this.toolbar = null;
+        this.toolbarStatusTimer = null;
+        this.filterControls = null;
+        this.persistTimer = null;
+        this.hashHandler = null;
+        this.dataTables = {};
+        this.rejectedElements = [];
+        this.debugOverlay = null;
+        this.themeProfile = null;
+        this.backgroundRules = null;
+        this.colorScale = null;
+        this.colorbarHandlers = null;
+        this.colorbarDrag = null;
+        this.colorbarSelection = null;
+        this.sizeScale = null;
         
         this.init();
     }
@@ -36,659 +111,5350 @@ class SVGInteractive {
      * Initialize the interactive features
      */
     init() {
+        this.setupPanels();
         this.extractDataPoints();
+        this.parseColorbar();
+        this.parseSizeLegend();
+        this.parseLegend();
+        this.recognizeGlyphs();
+        // Rows are bound before bars and bins are decoded, so decoding can use their exact values
+        this.bindEmbeddedData();
+        this.decodeBinGrids();
+        this.decodeBars();
+        this.decodeHistograms();
+        this.assignColorValues();
+        this.assignSizeValues();
+        this.assignPointKeys();
+        this.assessConfidence();
         this.setupTooltip();
         this.addEventListeners();
+        this.setupLegendInteraction();
+        this.setupFilterPanel();
+        this.setupToolbar();
+        this.setupAccessibility();
+        this.setupTouch();
+        this.setupHitTesting();
+        this.setupBrush();
+        this.setupColorbarBrush();
+        this.setupZoom();
+        this.setupCrosshair();
+        this.setupStatePersistence();
+        
+        if (this.options.debugOverlay) {
+            this.showDebugOverlay();
+        }
+        
+        if (this.options.selectionGroup) {
+            this.options.selectionGroup.join(this);
+        }
         
         console.log(`SVG Interactive initialized with ${this.dataPoints.length} data points`);
     }
 
     /**
-     * Extract data points from SVG elements
+     * Detect facet panels (facet_grid / facet_wrap, subplots) and give each its own coordinate mapper
      */
-    extractDataPoints() {
-        let totalProcessed = 0;
+    setupPanels() {
+        const bounds = this.options.plotBounds ? [] : this.coordinateMapper.findPanels();
+        
+        if (bounds.length < 2) {
+            this.panels = [{
+                index: 0,
+                bounds: this.coordinateMapper.axisInfo.plotBounds,
+                facetLabels: [],
+                mapper: this.coordinateMapper
+            }];
+            return;
+        }
+        
+        // Strip labels are neither tick labels nor axis titles
+        const facetLabels = this.coordinateMapper.findFacetLabels(bounds);
+        const excludeTexts = new Set();
+        facetLabels.forEach(labels => labels.forEach(label => excludeTexts.add(label.element)));
         
-        // Extract circles (scatter plots)
-        const circles = this.svg.querySelectorAll('circle');
-        circles.forEach((circle, index) => {
-            this.processElement(circle, 'circle', totalProcessed + index);
+        this.panels = bounds.map((panelBounds, index) => {
+            // Tick labels of a panel sit before the next panel below / after the previous one to the left
+            const below = bounds.filter(b => b.top >= panelBounds.bottom - 1 &&
+                b.left < panelBounds.right && b.right > panelBounds.left);
+            const left = bounds.filter(b => b.right <= panelBounds.left + 1 &&
+                b.top < panelBounds.bottom && b.bottom > panelBounds.top);
+            
+            return {
+                index: index,
+                bounds: panelBounds,
+                facetLabels: facetLabels[index].map(label => label.text),
+                mapper: new CoordinateMapper(this.svg, {
+                    ...this.mapperOptions,
+                    plotBounds: panelBounds,
+                    excludeTexts: excludeTexts,
+                    labelLimits: {
+                        bottom: below.length > 0 ? Math.min(...below.map(b => b.top)) : Infinity,
+                        left: left.length > 0 ? Math.max(...left.map(b => b.right)) : -Infinity
+                    }
+                })
+            };
         });
-        totalProcessed += circles.length;
-
-        // Extract rectangles (bar charts)
-        const rects = this.svg.querySelectorAll('rect');
-        rects.forEach((rect, index) => {
-            // Skip background/grid rectangles
-            if (this.isBackgroundElement(rect)) return;
-            this.processElement(rect, 'rect', totalProcessed + index);
+        
+        // Shared scales only label the outer panels; borrow from the same column (x) or row (y)
+        this.panels.forEach(panel => {
+            ['x', 'y'].forEach(axis => {
+                const ticksOf = p => (axis === 'x' ? p.mapper.axisInfo.xAxis : p.mapper.axisInfo.yAxis);
+                if (ticksOf(panel).length >= 2) return;
+                
+                const donor = this.panels.find(other => other !== panel && ticksOf(other).length >= 2 &&
+                    (axis === 'x' ?
+                        Math.abs(other.bounds.left - panel.bounds.left) < 1 && Math.abs(other.bounds.right - panel.bounds.right) < 1 :
+                        Math.abs(other.bounds.top - panel.bounds.top) < 1 && Math.abs(other.bounds.bottom - panel.bounds.bottom) < 1));
+                if (donor) {
+                    panel.mapper.shareAxis(axis, donor.mapper);
+                }
+            });
         });
-        totalProcessed += rects.length;
+        
+        this.coordinateMapper = this.panels[0].mapper;
+    }
 
-        // Extract paths (lines, custom shapes)
-        const paths = this.svg.querySelectorAll('path');
-        paths.forEach((path, index) => {
-            // Skip background/grid paths
-            if (this.isBackgroundElement(path)) return;
-            this.processElement(path, 'path', totalProcessed + index);
+    /**
+     * Find the panel containing an SVG position (nearest panel if none contains it)
+     * @param {number} x - SVG x coordinate
+     * @param {number} y - SVG y coordinate
+     * @returns {Object} Panel
+     */
+    getPanelAt(x, y) {
+        if (this.panels.length <= 1) return this.panels[0];
+        
+        let best = this.panels[0];
+        let bestDistance = Infinity;
+        this.panels.forEach(panel => {
+            const { left, right, top, bottom } = panel.bounds;
+            const dx = Math.max(left - x, 0, x - right);
+            const dy = Math.max(top - y, 0, y - bottom);
+            const distance = Math.hypot(dx, dy);
+            if (distance < bestDistance) {
+                best = panel;
+                bestDistance = distance;
+            }
         });
-        totalProcessed += paths.length;
+        return best;
+    }
 
-        // Extract polylines (line charts, time series)
-        const polylines = this.svg.querySelectorAll('polyline');
-        polylines.forEach((polyline, index) => {
-            // Skip background/grid polylines
-            if (this.isBackgroundElement(polyline)) return;
-            this.processElement(polyline, 'polyline', totalProcessed + index);
-        });
+    /**
+     * Get the coordinate mapper for a data point's panel
+     * @param {Object} point - Data point
+     * @returns {CoordinateMapper} Mapper
+     */
+    getMapper(point) {
+        const panel = point && this.panels[point.panel];
+        return panel ? panel.mapper : this.coordinateMapper;
     }
 
     /**
-     * Check if element is likely a background/grid element
-     * @param {Element} element - SVG element
-     * @returns {boolean} True if background element
+     * Extract data points from SVG elements
      */
-    isBackgroundElement(element) {
-        const style = window.getComputedStyle(element);
-        const fill = style.fill;
-        const stroke = style.stroke;
-        const strokeWidth = style.strokeWidth;
-        
-        // Check for data attributes that indicate interactive content FIRST
-        // If element has data attributes, it's definitely interactive regardless of appearance
-        if (element.hasAttribute('data-id') || element.hasAttribute('title')) {
-            return false; // Definitely not a background element
-        }
-        
-        // Skip grid lines (usually have specific stroke colors)
-        if (stroke === 'rgb(235, 235, 235)' || stroke === '#EBEBEB' || stroke === '#b0b0b0' || 
-            stroke === 'rgb(176, 176, 176)' || stroke.includes('235, 235, 235') || stroke.includes('176, 176, 176')) {
-            return true;
-        }
-        
-        // For polylines specifically, check for additional grid characteristics
-        if (element.tagName.toLowerCase() === 'polyline') {
-            // Grid lines are usually straight horizontal or vertical lines
-            const points = element.getAttribute('points');
-            if (points) {
-                const coords = points.trim().split(/\s+|,/);
-                if (coords.length === 4) { // Only two points = straight line
-                    const x1 = parseFloat(coords[0]);
-                    const y1 = parseFloat(coords[1]);
-                    const x2 = parseFloat(coords[2]);
-                    const y2 = parseFloat(coords[3]);
-                    
-                    // Check if it's horizontal or vertical
-                    if (Math.abs(x1 - x2) < 1 || Math.abs(y1 - y2) < 1) {
-                        return true; // Likely a grid line
+    extractDataPoints() {
+        // Instance extractors run first so they can claim elements before the built-ins
+        const extractors = [...(this.options.extractors || []), ...SVGInteractive.extractors];
+        const claimed = new Set();
+        const unmatched = new Map(); // element -> reason, reported if no extractor claims it
+
+        extractors.forEach(extractor => {
+            this.svg.querySelectorAll(extractor.selector).forEach(element => {
+                if (claimed.has(element)) return;
+                // Marker, clip and pattern definitions are only drawn through references
+                if (element.closest('defs, clipPath, marker, symbol, pattern, mask')) return;
+                if (extractor.match && !extractor.match(element, this)) {
+                    if (!extractor.quiet) {
+                        unmatched.set(element, this.getBackgroundReason(element) || `not matched by the "${extractor.name}" extractor`);
                     }
+                    return;
                 }
-            }
-            
-            // Grid lines often have thin stroke widths and neutral colors
-            const strokeWidthNum = parseFloat(strokeWidth);
-            if (strokeWidthNum <= 1.2 && (stroke.includes('235, 235, 235') || stroke.includes('176, 176, 176'))) {
-                return true;
-            }
-        }
-        
-        // Skip white fills, transparent elements (but not for polylines which typically have fill=none)
-        if (element.tagName.toLowerCase() !== 'polyline' && 
-            (fill === 'rgb(255, 255, 255)' || fill === 'white')) {
-            return true;
-        }
-        
-        // Check size - very large elements are likely backgrounds
-        try {
-            const bbox = element.getBBox();
-            const svgBbox = this.svg.getBBox();
-            if (bbox.width > svgBbox.width * 0.8 || bbox.height > svgBbox.height * 0.8) {
-                return true;
-            }
-        } catch (error) {
-            // If getBBox fails, continue with other checks
-        }
-        
-        return false;
+
+                claimed.add(element);
+                unmatched.delete(element);
+                this.processElement(element, extractor);
+            });
+        });
+
+        unmatched.forEach((reason, element) => this.rejectElement(element, reason));
     }
 
     /**
-     * Process an SVG element to create a data point
+     * Record an element that was not turned into a data point, for getDiagnostics()
      * @param {Element} element - SVG element
-     * @param {string} type - Element type
-     * @param {number} index - Element index
-     */
-    processElement(element, type, index) {
-        let svgX, svgY, width, height, additionalData = {};
-        
-        // Extract coordinates based on element type
-        switch (type) {
-            case 'circle':
-                svgX = parseFloat(element.getAttribute('cx'));
-                svgY = parseFloat(element.getAttribute('cy'));
-                width = height = parseFloat(element.getAttribute('r')) * 2;
-                break;
-            case 'rect':
-                svgX = parseFloat(element.getAttribute('x')) + parseFloat(element.getAttribute('width')) / 2;
-                svgY = parseFloat(element.getAttribute('y')) + parseFloat(element.getAttribute('height')) / 2;
-                width = parseFloat(element.getAttribute('width'));
-                height = parseFloat(element.getAttribute('height'));
-                break;
-            case 'path':
-                // For paths, use the center of bounding box
-                const bbox = element.getBBox();
-                svgX = bbox.x + bbox.width / 2;
-                svgY = bbox.y + bbox.height / 2;
-                width = bbox.width;
-                height = bbox.height;
-                break;
-            case 'polyline':
-                // For polylines, extract points and use centroid or meaningful points
-                const points = element.getAttribute('points');
-                if (points) {
-                    const coords = this.parsePolylinePoints(points);
-                    if (coords.length > 0) {
-                        // Use centroid of the polyline for main coordinates
-                        const centroid = this.calculateCentroid(coords);
-                        svgX = centroid.x;
-                        svgY = centroid.y;
-                        
-                        // Calculate bounding box
-                        const minX = Math.min(...coords.map(p => p.x));
-                        const maxX = Math.max(...coords.map(p => p.x));
-                        const minY = Math.min(...coords.map(p => p.y));
-                        const maxY = Math.max(...coords.map(p => p.y));
-                        
-                        width = maxX - minX;
-                        height = maxY - minY;
-                        
-                        // Store additional data for polylines
-                        additionalData.points = coords;
-                        additionalData.startPoint = coords[0];
-                        additionalData.endPoint = coords[coords.length - 1];
-                        additionalData.pointCount = coords.length;
-                    } else {
-                        return; // Skip if no valid points
-                    }
-                } else {
-                    return; // Skip if no points attribute
-                }
-                break;
-            default:
-                return; // Skip unsupported elements
-        }
-        
-        // Convert to data coordinates
-        const dataX = this.coordinateMapper.mapSVGToDataX(svgX);
-        const dataY = this.coordinateMapper.mapSVGToDataY(svgY);
-        
-        const dataPoint = {
-            id: index,
-            element: element,
-            type: type,
-            svgX: svgX,
-            svgY: svgY,
-            dataX: dataX,
-            dataY: dataY,
-            width: width,
-            height: height,
-            originalStyle: {
-                fill: element.style.fill || window.getComputedStyle(element).fill,
-                stroke: element.style.stroke || window.getComputedStyle(element).stroke,
-                strokeWidth: element.style.strokeWidth || window.getComputedStyle(element).strokeWidth
-            },
-            ...additionalData
-        };
-        
-        this.dataPoints.push(dataPoint);
+     * @param {string} reason - Why it was left out
+     */
+    rejectElement(element, reason) {
+        this.rejectedElements.push({ element, reason });
     }
 
     /**
-     * Parse polyline points string into coordinate array
-     * @param {string} pointsStr - Points attribute string
-     * @returns {Array} Array of {x, y} coordinates
+     * Register a mark extractor for every instance created afterwards
+     * An extractor is {name, selector, match(element, chart), extract(element, chart)}; extract returns
+     * one record or an array of records {x, y, width, height, points?, ...} in the element's own user space,
+     * or a string giving the reason the element is not data
+     * @param {Object} extractor - Extractor definition
+     * @param {Object} options - {before: name} to run ahead of a registered extractor (default: ahead of the built-ins)
      */
-    parsePolylinePoints(pointsStr) {
-        try {
-            const coords = [];
-            const points = pointsStr.trim().split(/[\s,]+/);
-            
-            for (let i = 0; i < points.length; i += 2) {
-                if (i + 1 < points.length) {
-                    const x = parseFloat(points[i]);
-                    const y = parseFloat(points[i + 1]);
-                    
-                    if (!isNaN(x) && !isNaN(y)) {
-                        coords.push({ x, y });
-                    }
-                }
-            }
-            
-            return coords;
-        } catch (error) {
-            console.warn('Error parsing polyline points:', error);
-            return [];
+    static registerExtractor(extractor, options = {}) {
+        if (!extractor || !extractor.selector || typeof extractor.extract !== 'function') {
+            throw new Error('An extractor needs a selector and an extract function');
         }
+
+        SVGInteractive.unregisterExtractor(extractor.name);
+        const before = options.before ? SVGInteractive.extractors.findIndex(e => e.name === options.before) : 0;
+        SVGInteractive.extractors.splice(before < 0 ? SVGInteractive.extractors.length : before, 0, extractor);
     }
 
     /**
-     * Calculate centroid of polyline points
-     * @param {Array} coords - Array of {x, y} coordinates
-     * @returns {Object} Centroid {x, y}
+     * Remove a registered extractor
+     * @param {string} name - Extractor name
      */
-    calculateCentroid(coords) {
-        if (coords.length === 0) return { x: 0, y: 0 };
-        
-        const sum = coords.reduce((acc, point) => ({
-            x: acc.x + point.x,
-            y: acc.y + point.y
-        }), { x: 0, y: 0 });
-        
-        return {
-            x: sum.x / coords.length,
-            y: sum.y / coords.length
-        };
+    static unregisterExtractor(name) {
+        if (!name) return;
+        SVGInteractive.extractors = SVGInteractive.extractors.filter(extractor => extractor.name !== name);
     }
 
     /**
-     * Setup tooltip element
+     * Register a glyph recogniser for every instance created afterwards
+     * A recogniser is {name, recognize(scene, chart)} returning glyphs {kind, primary, parts, position, center,
+     * summary, value}; see createGlyphScene() for the scene it receives
+     * @param {Object} recognizer - Recogniser definition
+     * @param {Object} options - {before: name} to run ahead of a registered recogniser (default: ahead of the built-ins)
      */
-    setupTooltip() {
-        if (!this.options.enableTooltips && !this.options.enableDetailOnDemand) return;
-        
-        this.tooltip = document.createElement('div');
-        this.tooltip.className = 'svg-interactive-tooltip';
-        
-        // Enhanced styling based on tooltip style
-        const baseStyle = `
-            position: absolute;
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-            pointer-events: none;
-            z-index: 10000;
-            opacity: 0;
-            transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-            box-shadow: 0 4px 20px rgba(0, 0, 0, 0.15);
-            border-radius: 8px;
-            backdrop-filter: blur(10px);
-            word-wrap: break-word;
-            line-height: 1.4;
-        `;
-        
-        let styleVariant = '';
-        switch (this.options.tooltipStyle) {
-            case 'basic':
-                styleVariant = `
-                    background: rgba(0, 0, 0, 0.9);
-                    color: white;
-                    padding: 8px 12px;
-                    font-size: 12px;
-                    max-width: 200px;
-                `;
-                break;
-            case 'enhanced':
-                styleVariant = `
-                    background: rgba(255, 255, 255, 0.95);
-                    color: #333;
-                    padding: 12px 16px;
-                    font-size: 13px;
-                    max-width: 280px;
-                    border: 1px solid rgba(0, 0, 0, 0.1);
-                    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.1);
-                `;
-                break;
-            case 'detailed':
-                styleVariant = `
-                    background: linear-gradient(135deg, rgba(255, 255, 255, 0.98), rgba(248, 249, 250, 0.98));
-                    color: #2c3e50;
-                    padding: 16px 20px;
-                    font-size: 14px;
-                    max-width: 350px;
-                    border: 1px solid rgba(52, 152, 219, 0.2);
-                    box-shadow: 0 12px 40px rgba(0, 0, 0, 0.12);
-                `;
-                break;
+    static registerGlyphRecognizer(recognizer, options = {}) {
+        if (!recognizer || !recognizer.name || typeof recognizer.recognize !== 'function') {
+            throw new Error('A glyph recogniser needs a name and a recognize function');
         }
-        
-        this.tooltip.style.cssText = baseStyle + styleVariant;
-        document.body.appendChild(this.tooltip);
-        
-        // Add tooltip hover delay timer
-        this.tooltipTimer = null;
+
+        SVGInteractive.unregisterGlyphRecognizer(recognizer.name);
+        const recognizers = SVGInteractive.glyphRecognizers;
+        const before = options.before ? recognizers.findIndex(r => r.name === options.before) : 0;
+        recognizers.splice(before < 0 ? recognizers.length : before, 0, recognizer);
     }
 
     /**
-     * Add event listeners to data points
+     * Remove a registered glyph recogniser
+     * @param {string} name - Recogniser name
      */
-    addEventListeners() {
-        this.dataPoints.forEach(point => {
-            const element = point.element;
-            
-            // Make element interactive
-            element.style.cursor = 'pointer';
-            
-            // Mouse enter (hover start)
-            element.addEventListener('mouseenter', (event) => {
-                this.handleMouseEnter(event, point);
-            });
-            
-            // Mouse move (tooltip positioning)
-            element.addEventListener('mousemove', (event) => {
-                this.handleMouseMove(event, point);
-            });
-            
-            // Mouse leave (hover end)
-            element.addEventListener('mouseleave', (event) => {
-                this.handleMouseLeave(event, point);
-            });
-            
-            // Click (selection)
-            element.addEventListener('click', (event) => {
-                this.handleClick(event, point);
-            });
-        });
+    static unregisterGlyphRecognizer(name) {
+        if (!name) return;
+        SVGInteractive.glyphRecognizers = SVGInteractive.glyphRecognizers.filter(recognizer => recognizer.name !== name);
     }
 
     /**
-     * Handle mouse enter event
-     * @param {Event} event - Mouse event
-     * @param {Object} point - Data point
+     * Register a theme profile; custom profiles are tried before the built-ins during detection
+     * A profile is {label, detect(svg, chart), extends?, rules: [rule], include?: [rule]}
+     * @param {string} name - Profile name, usable as options.themeProfile
+     * @param {Object} profile - Profile definition
      */
-    handleMouseEnter(event, point) {
-        // Apply hover styling immediately
-        this.applyHoverStyle(point);
-        
-        // Show tooltip with delay
-        if ((this.options.enableTooltips || this.options.enableDetailOnDemand) && this.tooltip) {
-            // Clear any existing timer
-            if (this.tooltipTimer) {
-                clearTimeout(this.tooltipTimer);
-            }
-            
-            // Set delay before showing tooltip
-            this.tooltipTimer = setTimeout(() => {
-                const content = this.options.tooltipFormat(point, this.getDataContext(point));
-                this.tooltip.innerHTML = content;
-                this.showTooltip();
-            }, this.options.tooltipDelay);
+    static registerThemeProfile(name, profile) {
+        if (!name || !profile || !Array.isArray(profile.rules)) {
+            throw new Error('A theme profile needs a name and a rules array');
         }
-        
-        // Call user callback
-        this.options.onHover(point, 'enter');
+
+        const profiles = { [name]: profile };
+        Object.keys(SVGInteractive.themeProfiles).forEach(key => {
+            if (key !== name) profiles[key] = SVGInteractive.themeProfiles[key];
+        });
+        SVGInteractive.themeProfiles = profiles;
     }
 
     /**
-     * Handle mouse move event
-     * @param {Event} event - Mouse event
-     * @param {Object} point - Data point
+     * Get the geometry of an element from the first extractor that handles its tag
+     * Used to resolve <use> references, whose targets sit in <defs>
+     * @param {Element} element - SVG element
+     * @returns {Object|null} Record {x, y, width, height, points?} or null
      */
-    handleMouseMove(event, point) {
-        if (this.tooltip && this.options.enableTooltips) {
-            this.tooltip.style.left = (event.pageX + 10) + 'px';
-            this.tooltip.style.top = (event.pageY - 10) + 'px';
-        }
+    extractGeometry(element) {
+        const extractors = [...(this.options.extractors || []), ...SVGInteractive.extractors];
+        const extractor = extractors.find(e => e.name !== 'use' && element.matches(e.selector));
+        if (!extractor) return null;
+
+        const record = extractor.extract(element, this);
+        if (typeof record === 'string') return null;
+        return Array.isArray(record) ? record[0] || null : record;
     }
 
     /**
-     * Handle mouse leave event
-     * @param {Event} event - Mouse event
-     * @param {Object} point - Data point
+     * Read data tables embedded in the SVG as JSON, in <metadata> or <script type="application/json">
+     * A table is either an array of rows or {name, x, y, series, rows}, where x, y and series name columns
+     * @returns {Object} Tables by name ({rows, x, y, series}); the first table is also stored as 'default'
      */
-    handleMouseLeave(event, point) {
-        // Remove hover styling (if not selected)
-        if (!this.selectedPoints.has(point.id)) {
-            this.resetStyle(point);
-        }
-        
-        // Clear tooltip timer and hide tooltip
-        if (this.tooltipTimer) {
-            clearTimeout(this.tooltipTimer);
-            this.tooltipTimer = null;
-        }
-        
-        if (this.tooltip) {
-            this.hideTooltip();
-        }
-        
-        // Call user callback
-        this.options.onHover(point, 'leave');
+    readEmbeddedData() {
+        const tables = {};
+        const blocks = this.svg.querySelectorAll('metadata, script[type="application/json"]');
+        blocks.forEach((block, index) => {
+            const text = block.textContent.trim();
+            // <metadata> usually holds RDF; only JSON content is data
+            if (!/^[[{]/.test(text)) return;
+
+            let json;
+            try {
+                json = JSON.parse(text);
+            } catch (error) {
+                console.warn('Ignoring embedded data that is not valid JSON:', error);
+                return;
+            }
+
+            const table = Array.isArray(json) ? { rows: json } : { ...json, rows: json.rows || json.data };
+            if (!Array.isArray(table.rows)) return;
+
+            const name = table.name || block.getAttribute('id') || `table${index}`;
+            tables[name] = table;
+            if (!tables.default) {
+                tables.default = table;
+            }
+        });
+        return tables;
     }
 
     /**
-     * Handle click event
-     * @param {Event} event - Mouse event
-     * @param {Object} point - Data point
+     * Group the primitives of box plots, violins and error bars into one glyph point each
+     * Recognisers run per panel in both orientations; whiskers, caps and white boxes are often rejected
+     * as background, so rejected elements inside the panel take part as well
      */
-    handleClick(event, point) {
-        const isMultiSelect = this.options.enableMultiSelect && (event.ctrlKey || event.metaKey);
-        
-        // Handle selection
-        if (this.selectedPoints.has(point.id)) {
-            // Deselect
-            this.selectedPoints.delete(point.id);
-            this.resetStyle(point);
-        } else {
-            // Select
-            if (!isMultiSelect) {
-                // Clear other selections
-                this.clearSelection();
+    recognizeGlyphs() {
+        const recognizers = [...(this.options.glyphRecognizers || []), ...SVGInteractive.glyphRecognizers];
+        if (recognizers.length === 0) return;
+
+        const glyphs = [];
+        this.panels.forEach(panel => {
+            const items = this.getGlyphCandidates(panel);
+            if (items.length === 0) return;
+
+            const used = new Set();
+            [true, false].forEach(vertical => {
+                const scene = this.createGlyphScene(panel, items, vertical, used);
+                recognizers.forEach(recognizer => {
+                    let found;
+                    try {
+                        found = recognizer.recognize(scene, this) || [];
+                    } catch (error) {
+                        console.warn(`Glyph recogniser "${recognizer.name}" failed:`, error);
+                        return;
+                    }
+                    found.forEach(glyph => {
+                        if (glyph.parts.some(part => used.has(part.element))) return;
+                        glyph.parts.forEach(part => used.add(part.element));
+                        glyphs.push({ ...glyph, panel, vertical });
+                    });
+                });
+            });
+        });
+        if (glyphs.length === 0) return;
+
+        const consumed = new Set(glyphs.flatMap(glyph => glyph.parts.map(part => part.element)));
+        this.dataPoints = this.dataPoints.filter(point => !consumed.has(point.element));
+        this.rejectedElements = this.rejectedElements.filter(({ element }) => !consumed.has(element));
+        glyphs.forEach(glyph => this.addGlyphPoint(glyph));
+        this.dataPoints.forEach((point, index) => {
+            point.id = index;
+        });
+    }
+
+    /**
+     * Collect the shapes inside a panel that may belong to a glyph: its data points plus rejected
+     * lines, polylines, polygons, paths and rects (legend keys excluded)
+     * @param {Object} panel - Panel
+     * @returns {Array} Items {element, point, points, box, center, marker, area}
+     */
+    getGlyphCandidates(panel) {
+        const { left, right, top, bottom } = panel.bounds;
+        const inside = (x, y) => x >= left - 1 && x <= right + 1 && y >= top - 1 && y <= bottom + 1;
+        const items = [];
+        const seen = new Set();
+
+        const addItem = (element, point, points, center, size) => {
+            if (seen.has(element) || !inside(center.x, center.y)) return;
+            seen.add(element);
+            const box = points ? {
+                left: Math.min(...points.map(p => p.x)),
+                right: Math.max(...points.map(p => p.x)),
+                top: Math.min(...points.map(p => p.y)),
+                bottom: Math.max(...points.map(p => p.y))
+            } : {
+                left: center.x - size.width / 2,
+                right: center.x + size.width / 2,
+                top: center.y - size.height / 2,
+                bottom: center.y + size.height / 2
+            };
+            const tag = element.tagName.toLowerCase();
+            items.push({
+                element,
+                point,
+                points,
+                box,
+                center,
+                marker: Boolean(point) && (['circle', 'ellipse', 'use'].includes(point.type) || point.pathKind === 'marker'),
+                area: tag === 'polygon' || (point ? point.pathKind === 'area' : tag === 'path' && points && points.length > 2 &&
+                    Math.hypot(points[0].x - points[points.length - 1].x, points[0].y - points[points.length - 1].y) < 0.5)
+            });
+        };
+
+        this.dataPoints.forEach(point => {
+            if (point.panel !== panel.index || point.type === 'text') return;
+            let points = point.points || null;
+            if (!points && point.type === 'rect') {
+                const dx = point.width / 2;
+                const dy = point.height / 2;
+                points = [[-dx, -dy], [dx, -dy], [dx, dy], [-dx, dy]].map(([x, y]) => ({ x: point.svgX + x, y: point.svgY + y }));
             }
-            this.selectedPoints.add(point.id);
-            this.applySelectionStyle(point);
-        }
-        
-        // Get selected points data
-        const selectedData = this.getSelectedData();
-        
-        // Call user callback
-        this.options.onSelect(selectedData, point);
+            addItem(point.element, point, points, { x: point.svgX, y: point.svgY }, point);
+        });
+
+        const mapper = this.coordinateMapper;
+        this.rejectedElements.forEach(({ element, reason }) => {
+            if (reason === 'legend key' || !element.matches('line, polyline, polygon, path, rect')) return;
+            let points = mapper.getSegment(element);
+            if (!points) {
+                const record = this.extractGeometry(element);
+                if (!record) return;
+                points = record.points || [[-1, -1], [1, -1], [1, 1], [-1, 1]]
+                    .map(([x, y]) => ({ x: record.x + x * record.width / 2, y: record.y + y * record.height / 2 }));
+            }
+            const matrix = mapper.getElementMatrix(element);
+            points = points.map(p => mapper.transformPoint(matrix, p.x, p.y));
+            if (points.some(p => !isFinite(p.x) || !isFinite(p.y))) return;
+
+            // Frames and backgrounds span the panel; glyph parts never do
+            const xs = points.map(p => p.x);
+            const ys = points.map(p => p.y);
+            const spanX = (Math.max(...xs) - Math.min(...xs)) / (right - left);
+            const spanY = (Math.max(...ys) - Math.min(...ys)) / (bottom - top);
+            if (spanX > 0.95 && spanY > 0.95) return;
+
+            const center = { x: (Math.min(...xs) + Math.max(...xs)) / 2, y: (Math.min(...ys) + Math.max(...ys)) / 2 };
+            addItem(element, null, points, center);
+        });
+
+        return items;
     }
 
     /**
-     * Apply hover styling to element
-     * @param {Object} point - Data point
+     * Describe a panel's glyph candidates for recognisers in one orientation
+     * Horizontal glyphs swap x and y, so recognisers only handle the vertical case: the position
+     * runs along x and values along y
+     * @param {Object} panel - Panel
+     * @param {Array} items - Items from getGlyphCandidates()
+     * @param {boolean} vertical - Orientation to recognise
+     * @param {Set} used - Elements already claimed by a glyph
+     * @returns {Object} Scene {panel, vertical, bounds, items, rectangles, segments, markers, isFree, toValue, toPosition}
      */
-    applyHoverStyle(point) {
-        const element = point.element;
-        
-        if (point.type === 'polyline') {
-            // For polylines, keep original color and just enhance visibility
-            element.style.strokeWidth = '2.5px'; // Slightly thicker
-            element.style.filter = 'drop-shadow(1px 1px 3px rgba(0,0,0,0.4))'; // Subtle highlight
-            // Keep original stroke color
-        } else {
-            // For other elements, apply blue hover color
-            element.style.stroke = this.options.hoverColor;
-            element.style.strokeWidth = '2px';
-            element.style.filter = 'drop-shadow(2px 2px 4px rgba(0,0,0,0.3))';
-        }
+    createGlyphScene(panel, items, vertical, used) {
+        const mapper = panel.mapper;
+        const orient = (p) => (vertical ? { x: p.x, y: p.y } : { x: p.y, y: p.x });
+        const orientBox = (box) => (vertical ? { ...box } : { left: box.top, right: box.bottom, top: box.left, bottom: box.right });
+
+        const oriented = items.map(item => {
+            const points = item.points ? item.points.map(orient) : null;
+            const result = { ...item, points, box: orientBox(item.box), center: orient(item.center) };
+            if (points && points.length === 2) {
+                const [a, b] = points;
+                result.a = a;
+                result.b = b;
+                result.isVertical = Math.abs(a.x - b.x) < 0.75 && Math.abs(a.y - b.y) > 0.5;
+                result.isHorizontal = Math.abs(a.y - b.y) < 0.75 && Math.abs(a.x - b.x) > 0.5;
+            }
+            return result;
+        });
+
+        return {
+            panel,
+            vertical,
+            bounds: orientBox(panel.bounds),
+            items: oriented,
+            rectangles: oriented.filter(item => item.points && !item.marker && this.isRectangle(item.points.slice())),
+            segments: oriented.filter(item => item.a),
+            markers: oriented.filter(item => item.marker),
+            isFree: (item) => !used.has(item.element),
+            toValue: (svg) => (vertical ? mapper.mapSVGToDataY(svg) : mapper.mapSVGToDataX(svg)),
+            toPosition: (svg) => (vertical ? mapper.mapSVGToDataX(svg) : mapper.mapSVGToDataY(svg)),
+            positionAxis: vertical ? 'x' : 'y',
+            valueAxis: vertical ? 'y' : 'x'
+        };
     }
 
     /**
-     * Apply selection styling to element
-     * @param {Object} point - Data point
+     * Recognise box plots: a box crossed by a median with a whisker leaving at least one end,
+     * optional whisker caps and outlier markers beyond the whiskers
+     * @param {Object} scene - Scene from createGlyphScene()
+     * @returns {Array} Glyphs {kind, primary, parts, position, center, summary, value}
      */
-    applySelectionStyle(point) {
-        const element = point.element;
-        
-        if (point.type === 'polyline') {
-            // For polylines (line charts), only enhance the stroke without changing color
-            element.style.strokeWidth = '3px'; // Make line thicker
-            element.style.filter = 'drop-shadow(0 0 4px rgba(0,0,0,0.3))'; // Subtle shadow
-            // Keep original stroke color, don't change to orange
-        } else {
-            // For other elements (circles, rects), apply the original orange selection
-            element.style.fill = this.options.selectionColor;
-            element.style.stroke = this.options.selectionColor;
-            element.style.strokeWidth = '2px';
-            element.style.filter = 'drop-shadow(0 0 8px ' + this.options.selectionColor + ')';
-        }
+    recognizeBoxPlots(scene) {
+        const glyphs = [];
+        const near = (a, b, tolerance = 1) => Math.abs(a - b) <= tolerance;
+        const sorted = (values) => values.sort((a, b) => a - b);
+
+        scene.rectangles.forEach(box => {
+            if (!scene.isFree(box)) return;
+            const { left, right, top, bottom } = box.box;
+            const width = right - left;
+            const cx = (left + right) / 2;
+            const free = scene.segments.filter(s => s !== box && scene.isFree(s));
+
+            const median = free.find(s => s.isHorizontal &&
+                near(Math.min(s.a.x, s.b.x), left) && near(Math.max(s.a.x, s.b.x), right) &&
+                s.a.y > top - 1 && s.a.y < bottom + 1);
+            if (!median) return;
+
+            // Whiskers run along the centre line from a box edge outwards
+            const whisker = (edge, outwards) => free.find(s => s.isVertical && near(s.a.x, cx, Math.max(1, width * 0.05)) &&
+                (outwards < 0
+                    ? near(Math.max(s.a.y, s.b.y), edge) && Math.min(s.a.y, s.b.y) < edge - 0.5
+                    : near(Math.min(s.a.y, s.b.y), edge) && Math.max(s.a.y, s.b.y) > edge + 0.5));
+            const upper = whisker(top, -1);
+            const lower = whisker(bottom, 1);
+            if (!upper && !lower) return;
+
+            const high = upper ? Math.min(upper.a.y, upper.b.y) : top;
+            const low = lower ? Math.max(lower.a.y, lower.b.y) : bottom;
+            const caps = free.filter(s => s.isHorizontal && s !== median &&
+                near((s.a.x + s.b.x) / 2, cx) && Math.abs(s.a.x - s.b.x) <= width + 1 &&
+                (near(s.a.y, high) || near(s.a.y, low)));
+            const outliers = scene.markers.filter(m => scene.isFree(m) && Math.abs(m.center.x - cx) <= width / 2 &&
+                (m.center.y < high - 0.5 || m.center.y > low + 0.5));
+
+            const [q1, q3] = sorted([scene.toValue(top), scene.toValue(bottom)]);
+            const [lowerWhisker, upperWhisker] = sorted([scene.toValue(high), scene.toValue(low)]);
+            const medianValue = scene.toValue(median.a.y);
+            glyphs.push({
+                kind: 'boxplot',
+                primary: box,
+                parts: [box, median, upper, lower, ...caps, ...outliers].filter(Boolean),
+                position: cx,
+                center: median.a.y,
+                summary: {
+                    lowerWhisker,
+                    q1,
+                    median: medianValue,
+                    q3,
+                    upperWhisker,
+                    outliers: sorted(outliers.map(m => scene.toValue(m.center.y)))
+                },
+                value: medianValue
+            });
+        });
+        return glyphs;
     }
 
     /**
-     * Reset element styling
-     * @param {Object} point - Data point
+     * Recognise violins: closed outlines mirrored about a centre line, with optional quantile lines inside
+     * @param {Object} scene - Scene from createGlyphScene()
+     * @returns {Array} Glyphs {kind, primary, parts, position, center, summary, value}
      */
-    resetStyle(point) {
-        const element = point.element;
-        const original = point.originalStyle;
-        element.style.fill = original.fill;
-        element.style.stroke = original.stroke;
-        element.style.strokeWidth = original.strokeWidth;
-        element.style.filter = '';
+    recognizeViolins(scene) {
+        const glyphs = [];
+        const sorted = (values) => values.sort((a, b) => a - b);
+
+        scene.items.forEach(item => {
+            if (!item.area || !item.points || item.points.length < 20 || !scene.isFree(item)) return;
+            const { left, right, top, bottom } = item.box;
+            const width = right - left;
+            const height = bottom - top;
+            if (!(width > 0) || !(height > 0)) return;
+            const cx = (left + right) / 2;
+            const cy = (top + bottom) / 2;
+
+            // Ellipses are mirrored too; a violin's outline does not follow one
+            const onEllipse = item.points.every(p =>
+                Math.abs(((p.x - cx) / (width / 2)) ** 2 + ((p.y - cy) / (height / 2)) ** 2 - 1) < 0.1);
+            if (onEllipse) return;
+
+            // Every vertex has a partner reflected about the centre line at (nearly) the same value
+            const tolerance = Math.max(0.5, width * 0.01);
+            const rows = new Map();
+            item.points.forEach(p => {
+                const key = Math.round(p.y * 2);
+                if (!rows.has(key)) rows.set(key, []);
+                rows.get(key).push(p);
+            });
+            const mirrored = item.points.filter(p => {
+                const key = Math.round(p.y * 2);
+                return [key - 1, key, key + 1].some(k => (rows.get(k) || [])
+                    .some(q => Math.abs(q.x + p.x - 2 * cx) < tolerance && Math.abs(q.y - p.y) <= 0.5));
+            });
+            if (mirrored.length < item.points.length * 0.9) return;
+
+            const widest = item.points.reduce((best, p) => (Math.abs(p.x - cx) > Math.abs(best.x - cx) ? p : best));
+            const quantiles = scene.segments.filter(s => s.isHorizontal && scene.isFree(s) &&
+                Math.abs((s.a.x + s.b.x) / 2 - cx) <= Math.max(1, width * 0.05) &&
+                Math.abs(s.a.x - s.b.x) <= width + 1 && s.a.y > top && s.a.y < bottom);
+
+            const [min, max] = sorted([scene.toValue(top), scene.toValue(bottom)]);
+            const mode = scene.toValue(widest.y);
+            glyphs.push({
+                kind: 'violin',
+                primary: item,
+                parts: [item, ...quantiles],
+                position: cx,
+                center: widest.y,
+                summary: {
+                    min,
+                    max,
+                    mode,
+                    quantiles: sorted(quantiles.map(s => scene.toValue(s.a.y)))
+                },
+                value: mode
+            });
+        });
+        return glyphs;
     }
 
     /**
-     * Clear all selections
+     * Recognise error bars and intervals: an error-bar polyline, a crossbar (box with a middle line),
+     * or a vertical range with caps, a point on it, or sitting on a category tick
+     * @param {Object} scene - Scene from createGlyphScene()
+     * @returns {Array} Glyphs {kind, primary, parts, position, center, summary, value}
      */
-    clearSelection() {
-        this.selectedPoints.forEach(id => {
-            const point = this.dataPoints.find(p => p.id === id);
-            if (point) {
-                this.resetStyle(point);
-            }
+    recognizeIntervals(scene) {
+        const glyphs = [];
+        const near = (a, b, tolerance = 1) => Math.abs(a - b) <= tolerance;
+        const { left, right, top, bottom } = scene.bounds;
+        const mapper = scene.panel.mapper;
+        const ticks = mapper.getScale(scene.positionAxis).type === 'categorical'
+            ? (scene.positionAxis === 'x' ? mapper.axisInfo.xAxis.map(t => t.svgX) : mapper.axisInfo.yAxis.map(t => t.svgY))
+            : [];
+
+        const addInterval = (primary, parts, cx, high, low, middle) => {
+            const onRange = scene.markers.filter(m => scene.isFree(m) && !parts.includes(m) &&
+                near(m.center.x, cx) && m.center.y >= high - 0.5 && m.center.y <= low + 0.5);
+            const marker = onRange.sort((a, b) => Math.abs(a.center.y - (high + low) / 2) - Math.abs(b.center.y - (high + low) / 2))[0];
+            const centerSvg = marker ? marker.center.y : (middle !== undefined ? middle : (high + low) / 2);
+            const [lower, upper] = [scene.toValue(high), scene.toValue(low)].sort((a, b) => a - b);
+            const center = scene.toValue(centerSvg);
+            glyphs.push({
+                kind: 'interval',
+                primary,
+                parts: [...parts, marker].filter(Boolean),
+                position: cx,
+                center: centerSvg,
+                summary: { lower, center, upper },
+                value: center
+            });
+            return marker;
+        };
+
+        // Error-bar polylines: both caps and the range drawn as one path (ggplot2 geom_errorbar)
+        scene.items.forEach(item => {
+            if (item.marker || item.area || !item.points || item.points.length < 4 || !scene.isFree(item)) return;
+            if (this.isRectangle(item.points.slice())) return;
+            const ys = [...new Set(item.points.map(p => Math.round(p.y * 2) / 2))];
+            if (ys.length !== 2) return;
+            const [high, low] = ys.sort((a, b) => a - b);
+            const stem = item.points.find((p, i) => i > 0 && near(p.x, item.points[i - 1].x, 0.5) && !near(p.y, item.points[i - 1].y, 0.5));
+            const xs = item.points.map(p => p.x);
+            if (!stem || !near((Math.min(...xs) + Math.max(...xs)) / 2, stem.x)) return;
+            addInterval(item, [item], stem.x, high, low);
         });
-        this.selectedPoints.clear();
+
+        // Crossbars: boxes with a middle line but no whiskers
+        scene.rectangles.forEach(box => {
+            if (!scene.isFree(box) || glyphs.some(glyph => glyph.parts.includes(box))) return;
+            const { left: boxLeft, right: boxRight, top: boxTop, bottom: boxBottom } = box.box;
+            const middle = scene.segments.find(s => s.isHorizontal && scene.isFree(s) &&
+                near(Math.min(s.a.x, s.b.x), boxLeft) && near(Math.max(s.a.x, s.b.x), boxRight) &&
+                s.a.y > boxTop + 0.5 && s.a.y < boxBottom - 0.5);
+            if (!middle) return;
+            addInterval(box, [box, middle], (boxLeft + boxRight) / 2, boxTop, boxBottom, middle.a.y);
+        });
+
+        // Ranges: vertical segments that are not axis lines, ticks or grid lines
+        const claimed = () => new Set(glyphs.flatMap(glyph => glyph.parts));
+        scene.segments.forEach(s => {
+            if (!s.isVertical || !scene.isFree(s) || claimed().has(s)) return;
+            const cx = s.a.x;
+            const high = Math.min(s.a.y, s.b.y);
+            const low = Math.max(s.a.y, s.b.y);
+            if (low - high > (bottom - top) * 0.95 || near(cx, left) || near(cx, right)) return;
+            // Ticks drawn inwards start at the frame
+            if (near(high, top) || near(low, bottom)) return;
+
+            const used = claimed();
+            const caps = scene.segments.filter(c => c.isHorizontal && scene.isFree(c) && !used.has(c) &&
+                near((c.a.x + c.b.x) / 2, cx) && (near(c.a.y, high) || near(c.a.y, low)));
+            // A point strictly inside the range; one at the end is a lollipop, not an interval
+            const hasMarker = scene.markers.some(m => scene.isFree(m) && !used.has(m) &&
+                near(m.center.x, cx) && m.center.y > high + 1 && m.center.y < low - 1);
+            const onTick = ticks.some(tick => near(tick, cx));
+            if (caps.length === 0 && !hasMarker && !onTick) return;
+
+            addInterval(s, [s, ...caps], cx, high, low);
+        });
+
+        return glyphs;
     }
 
     /**
-     * Get selected data points
-     * @returns {Array} Array of selected data points
+     * Turn a recognised glyph into one data point whose parts hover, select and filter together
+     * @param {Object} glyph - Glyph from a recogniser, with its panel and orientation
      */
-    getSelectedData() {
-        return this.dataPoints.filter(point => this.selectedPoints.has(point.id));
+    addGlyphPoint(glyph) {
+        const { panel, vertical } = glyph;
+        const mapper = panel.mapper;
+        const positionAxis = vertical ? 'x' : 'y';
+        const category = mapper.getCategory(glyph.position, positionAxis);
+        const position = category ? category.index : (vertical ? mapper.mapSVGToDataX(glyph.position) : mapper.mapSVGToDataY(glyph.position));
+
+        // Extent of all parts, back in SVG orientation
+        const boxes = glyph.parts.map(part => part.box);
+        const extent = {
+            left: Math.min(...boxes.map(b => b.left)),
+            right: Math.max(...boxes.map(b => b.right)),
+            top: Math.min(...boxes.map(b => b.top)),
+            bottom: Math.max(...boxes.map(b => b.bottom))
+        };
+        const along = extent.right - extent.left;
+        const across = extent.bottom - extent.top;
+
+        const elements = glyph.parts.map(part => part.element);
+        const partStyles = new Map(elements.map(element => [element, this.getOriginalStyle(element)]));
+        const seriesPart = glyph.parts.find(part => part.point && part.point.series !== null && part.point.series !== undefined);
+
+        this.dataPoints.push({
+            id: this.dataPoints.length,
+            element: glyph.primary.element,
+            type: glyph.kind,
+            svgX: vertical ? glyph.position : glyph.center,
+            svgY: vertical ? glyph.center : glyph.position,
+            dataX: vertical ? position : glyph.value,
+            dataY: vertical ? glyph.value : position,
+            category: category ? category.category : null,
+            series: seriesPart ? seriesPart.point.series : null,
+            panel: panel.index,
+            facetLabels: panel.facetLabels,
+            width: vertical ? along : across,
+            height: vertical ? across : along,
+            originalStyle: partStyles.get(glyph.primary.element),
+            parts: elements,
+            partStyles: partStyles,
+            glyph: {
+                kind: glyph.kind,
+                orientation: vertical ? 'vertical' : 'horizontal',
+                valueAxis: vertical ? 'y' : 'x',
+                ...glyph.summary
+            }
+        });
     }
 
     /**
-     * Show tooltip with animation
+     * Describe a glyph's summary for tooltips and accessible labels
+     * @param {Object} point - Data point
+     * @returns {Array} [{name, value}] (empty for marks that are not glyphs)
      */
-    showTooltip() {
-        if (this.tooltip) {
-            this.tooltip.style.opacity = '1';
-            this.tooltip.style.transform = 'translateY(0) scale(1)';
+    getGlyphFields(point) {
+        if (!point.glyph) return [];
+        const mapper = this.getMapper(point);
+        const g = point.glyph;
+        const format = (value) => mapper.formatValue(value, g.valueAxis, 3);
+        const list = (values) => (values.length > 5
+            ? `${values.slice(0, 5).map(format).join(', ')} … (${values.length})`
+            : values.map(format).join(', '));
+
+        if (g.kind === 'boxplot') {
+            return [
+                { name: 'Upper whisker', value: format(g.upperWhisker) },
+                { name: 'Q3', value: format(g.q3) },
+                { name: 'Median', value: format(g.median) },
+                { name: 'Q1', value: format(g.q1) },
+                { name: 'Lower whisker', value: format(g.lowerWhisker) },
+                ...(g.outliers.length > 0 ? [{ name: 'Outliers', value: list(g.outliers) }] : [])
+            ];
+        }
+        if (g.kind === 'violin') {
+            return [
+                { name: 'Max', value: format(g.max) },
+                { name: 'Mode', value: format(g.mode) },
+                { name: 'Min', value: format(g.min) },
+                ...(g.quantiles.length > 0 ? [{ name: 'Quantiles', value: list(g.quantiles) }] : [])
+            ];
         }
+        return [
+            { name: 'Upper', value: format(g.upper) },
+            { name: 'Centre', value: format(g.center) },
+            { name: 'Lower', value: format(g.lower) }
+        ];
     }
-    
+
     /**
-     * Hide tooltip with animation
+     * Decode bar charts per panel: read each bar's value at the edge away from the shared baseline,
+     * chain stacked segments and group dodged bars into one category
      */
-    hideTooltip() {
-        if (this.tooltip) {
-            this.tooltip.style.opacity = '0';
-            this.tooltip.style.transform = 'translateY(-5px) scale(0.95)';
-        }
+    decodeBars() {
+        this.panels.forEach(panel => {
+            const bars = this.dataPoints
+                .filter(point => point.panel === panel.index && !point.bin)
+                .map(point => ({ point, box: this.getBarBox(point) }))
+                .filter(bar => bar.box);
+            if (bars.length < 2) return;
+
+            const layout = this.detectBarLayout(bars, panel.mapper);
+            if (!layout) return;
+
+            const chains = this.chainBars(bars, layout);
+            const decoded = chains.reduce((sum, chain) => sum + chain.length, 0);
+
+            // Equal-sized square markers in a row also share an edge; real bar charts anchor most rects
+            if (decoded < 2 || decoded < bars.length / 2) return;
+
+            this.assignBarValues(chains, layout, panel.mapper);
+            this.groupDodgedBars(chains, layout, panel.mapper);
+        });
     }
-    
+
     /**
-     * Get data context for enhanced tooltips
+     * Get the rectangle of a bar-shaped mark: a rect, or an area path/polygon with four axis-aligned corners
+     * Small squares are markers, not bars
      * @param {Object} point - Data point
-     * @returns {Object} Context information
+     * @returns {Object|null} Box {left, right, top, bottom} in SVG coordinates, or null
      */
-    getDataContext(point) {
-        if (!this.options.showDataContext && !this.options.showStatistics) {
-            return {};
-        }
-        
-        const allPoints = this.dataPoints;
-        const xValues = allPoints.map(p => p.dataX);
-        const yValues = allPoints.map(p => p.dataY);
-        
-        // Calculate statistics
-        const xStats = this.calculateStats(xValues);
-        const yStats = this.calculateStats(yValues);
-        
-        // Find nearest neighbors
-        const neighbors = this.findNearestNeighbors(point, 3);
-        
-        // Calculate percentiles
-        const xPercentile = this.calculatePercentile(point.dataX, xValues);
-        const yPercentile = this.calculatePercentile(point.dataY, yValues);
-        
-        return {
-            stats: { x: xStats, y: yStats },
-            neighbors: neighbors,
-            percentiles: { x: xPercentile, y: yPercentile },
-            totalPoints: allPoints.length,
-            selectedCount: this.selectedPoints.size
-        };
+    getBarBox(point) {
+        if (point.width <= 15 && Math.abs(point.width - point.height) < 0.5) return null;
+        return this.getCellBox(point);
     }
-    
+
     /**
-     * Calculate basic statistics for a dataset
-     * @param {Array} values - Numeric values
-     * @returns {Object} Statistics
+     * Check whether vertices outline an axis-aligned rectangle (optionally closed by repeating the first)
+     * @param {Array} points - Vertices {x, y}
+     * @returns {boolean} True for a rectangle
      */
-    calculateStats(values) {
-        const sorted = [...values].sort((a, b) => a - b);
-        const sum = values.reduce((a, b) => a + b, 0);
-        const mean = sum / values.length;
-        
-        return {
-            min: Math.min(...values),
-            max: Math.max(...values),
-            mean: mean,
-            median: sorted[Math.floor(sorted.length / 2)],
-            count: values.length
+    isRectangle(points) {
+        if (points.length < 4 || points.length > 5) return false;
+        const distinct = (values) => values
+            .sort((a, b) => a - b)
+            .filter((value, i, sorted) => i === 0 || value - sorted[i - 1] > 0.5).length;
+        return distinct(points.map(p => p.x)) === 2 && distinct(points.map(p => p.y)) === 2;
+    }
+
+    /**
+     * Find the bar orientation and baseline: the edge coordinate most bars share
+     * @param {Array} bars - [{point, box}]
+     * @param {CoordinateMapper} mapper - Panel mapper
+     * @returns {Object|null} {vertical, baseline} (baseline in SVG coordinates), or null
+     */
+    detectBarLayout(bars, mapper) {
+        const mostCommon = (values) => {
+            const counts = new Map();
+            values.forEach(value => {
+                const key = Math.round(value * 2) / 2;
+                counts.set(key, (counts.get(key) || 0) + 1);
+            });
+            let best = { value: null, count: 0 };
+            counts.forEach((count, value) => {
+                if (count > best.count) best = { value, count };
+            });
+            return best;
         };
+
+        // Vertical bars share a top or bottom edge, horizontal ones a left or right edge
+        const vertical = mostCommon(bars.flatMap(bar => [bar.box.top, bar.box.bottom]));
+        const horizontal = mostCommon(bars.flatMap(bar => [bar.box.left, bar.box.right]));
+        if (Math.max(vertical.count, horizontal.count) < 2) return null;
+
+        let isVertical = vertical.count > horizontal.count;
+        if (vertical.count === horizontal.count) {
+            // Adjacent dodged bars share side edges too; the category axis decides
+            isVertical = mapper.getScale('y').type !== 'categorical';
+        }
+        return { vertical: isVertical, baseline: isVertical ? vertical.value : horizontal.value };
     }
-    
+
     /**
-     * Calculate percentile rank of a value
-     * @param {number} value - Value to rank
-     * @param {Array} dataset - All values
-     * @returns {number} Percentile (0-100)
+     * Chain bars into stacks: a segment starts at the baseline or at the far edge of the segment below it
+     * @param {Array} bars - [{point, box}]
+     * @param {Object} layout - {vertical, baseline}
+     * @returns {Array} Stacks, each an array of {point, box, near, far, lo, hi} from the baseline outwards
      */
-    calculatePercentile(value, dataset) {
-        const sorted = [...dataset].sort((a, b) => a - b);
-        const index = sorted.findIndex(v => v >= value);
-        return Math.round((index / sorted.length) * 100);
+    chainBars(bars, layout) {
+        const b = layout.baseline;
+        const items = bars.map(bar => {
+            const edges = layout.vertical ? [bar.box.bottom, bar.box.top] : [bar.box.left, bar.box.right];
+            const [near, far] = Math.abs(edges[0] - b) <= Math.abs(edges[1] - b) ? edges : [edges[1], edges[0]];
+            return {
+                ...bar,
+                near,
+                far,
+                lo: layout.vertical ? bar.box.left : bar.box.top,
+                hi: layout.vertical ? bar.box.right : bar.box.bottom
+            };
+        }).sort((a, b2) => Math.abs(a.near - b) - Math.abs(b2.near - b));
+
+        const chains = [];
+        items.forEach(item => {
+            if (Math.abs(item.near - b) < 0.5) {
+                chains.push([item]);
+                return;
+            }
+            // Stack on a chain with the same span whose outer edge this segment starts at, on the same side
+            const chain = chains.find(c => {
+                const top = c[c.length - 1];
+                return Math.abs(top.lo - item.lo) < 0.5 && Math.abs(top.hi - item.hi) < 0.5 &&
+                    Math.abs(top.far - item.near) < 0.5 && (top.far - b) * (item.far - b) > 0;
+            });
+            if (chain) chain.push(item);
+        });
+        return chains;
     }
-    
+
     /**
-     * Find nearest neighbors to a point
-     * @param {Object} point - Target point
-     * @param {number} count - Number of neighbors to find
-     * @returns {Array} Nearest neighbor points
+     * Store bar values: the far edge as the point's value, plus segment and cumulative values for stacks
+     * A bound row gives the bar's own value (the segment's, in a stack); segments above it add onto it
+     * @param {Array} chains - Stacks from chainBars()
+     * @param {Object} layout - {vertical, baseline}
+     * @param {CoordinateMapper} mapper - Panel mapper
      */
-    findNearestNeighbors(point, count = 3) {
-        const distances = this.dataPoints
-            .filter(p => p.id !== point.id)
-            .map(p => ({
-                point: p,
-                distance: Math.sqrt(
-                    Math.pow(p.dataX - point.dataX, 2) + 
-                    Math.pow(p.dataY - point.dataY, 2)
-                )
-            }))
-            .sort((a, b) => a.distance - b.distance)
-            .slice(0, count);
-        
-        return distances.map(d => d.point);
+    assignBarValues(chains, layout, mapper) {
+        const valueAxis = layout.vertical ? 'y' : 'x';
+        const toData = (svg) => (layout.vertical ? mapper.mapSVGToDataY(svg) : mapper.mapSVGToDataX(svg));
+        const baseline = toData(layout.baseline);
+
+        chains.forEach(chain => {
+            let below = baseline;
+            chain.forEach((item, index) => {
+                const point = item.point;
+                const exact = point.row ? this.getRowValues(point, point.row)[layout.vertical ? 'dataY' : 'dataX'] : null;
+
+                // Bars on the baseline read their far edge; stacked segments the difference
+                const measured = index === 0 ? toData(item.far) : toData(item.far) - toData(item.near);
+                const value = exact !== null ? exact : measured;
+                const start = index === 0 ? baseline : below;
+                const end = index === 0 ? value : below + value;
+                below = end;
+
+                point.bar = {
+                    orientation: layout.vertical ? 'vertical' : 'horizontal',
+                    valueAxis: valueAxis,
+                    baseline: baseline,
+                    start: start,
+                    end: end,
+                    value: value,
+                    cumulative: end,
+                    stacked: chain.length > 1,
+                    stackIndex: index,
+                    stackSize: chain.length,
+                    group: null,
+                    groupIndex: null,
+                    groupSize: null
+                };
+                if (layout.vertical) {
+                    point.dataY = end;
+                } else {
+                    point.dataX = end;
+                }
+            });
+        });
     }
-    
+
     /**
-     * Default tooltip format function
-     * @param {Object} point - Data point
-     * @param {Object} context - Data context
-     * @returns {string} Tooltip HTML content
+     * Recognise dodged groups: adjacent stacks of different colours share one category
+     * @param {Array} chains - Stacks from chainBars()
+     * @param {Object} layout - {vertical, baseline}
+     * @param {CoordinateMapper} mapper - Panel mapper
      */
-    defaultTooltipFormat(point, context = {}) {
-        const labels = this.coordinateMapper.getAxisLabels();
-        
-        // Get element-specific info
-        let elementInfo = '';
-        let dataInfo = '';
-        
-        if (point.type === 'polyline') {
+    groupDodgedBars(chains, layout, mapper) {
+        const positionAxis = layout.vertical ? 'x' : 'y';
+        const toData = (svg) => (layout.vertical ? mapper.mapSVGToDataX(svg) : mapper.mapSVGToDataY(svg));
+        const columns = chains.map(chain => ({
+            chain,
+            lo: chain[0].lo,
+            hi: chain[0].hi,
+            color: this.getMarkColor(chain[0].point.element)
+        })).sort((a, b) => a.lo - b.lo);
+
+        // Runs of touching columns
+        const runs = [];
+        columns.forEach(column => {
+            const run = runs[runs.length - 1];
+            const last = run && run[run.length - 1];
+            const gap = last ? column.lo - last.hi : Infinity;
+            if (last && gap < 0.5 && gap > -0.5) {
+                run.push(column);
+            } else {
+                runs.push([column]);
+            }
+        });
+
+        runs.forEach(run => {
+            // Same-coloured neighbours are histogram bins, not a dodged group
+            const colors = new Set(run.map(column => column.color));
+            if (run.length < 2 || colors.size !== run.length) return;
+
+            const center = (run[0].lo + run[run.length - 1].hi) / 2;
+            const category = mapper.getCategory(center, positionAxis);
+            const group = category ? category.category : toData(center);
+
+            run.forEach((column, groupIndex) => column.chain.forEach(item => {
+                const point = item.point;
+                point.bar.group = group;
+                point.bar.groupIndex = groupIndex;
+                point.bar.groupSize = run.length;
+                if (category) {
+                    point.category = category.category;
+                }
+                if (positionAxis === 'x') {
+                    point.dataX = category ? category.index : group;
+                } else {
+                    point.dataY = category ? category.index : group;
+                }
+            }));
+        });
+    }
+
+    /**
+     * Describe a bar for tooltips: segment and cumulative values for stacks
+     * @param {Object} point - Data point
+     * @returns {Array} [{name, value}] (empty for marks that are not stacked bars)
+     */
+    getBarFields(point) {
+        if (!point.bar || !point.bar.stacked) return [];
+        const mapper = this.getMapper(point);
+        const axis = point.bar.valueAxis;
+        return [
+            { name: 'Segment', value: mapper.formatValue(point.bar.value, axis, 3) },
+            { name: 'Cumulative', value: mapper.formatValue(point.bar.cumulative, axis, 3) }
+        ];
+    }
+
+    /**
+     * Recognise 2-D bins and tiles per panel: equal-sized rects on a regular lattice that touch their
+     * neighbours. Runs before decodeBars(), which would otherwise read grid columns as stacked bars
+     */
+    decodeBinGrids() {
+        this.panels.forEach(panel => {
+            const cells = this.dataPoints
+                .filter(point => point.panel === panel.index && !point.glyph)
+                .map(point => ({ point, box: this.getCellBox(point) }))
+                .filter(cell => cell.box);
+            if (cells.length < 4) return;
+
+            const mostCommon = (values) => {
+                const counts = new Map();
+                values.forEach(value => {
+                    const key = Math.round(value * 2) / 2;
+                    counts.set(key, (counts.get(key) || 0) + 1);
+                });
+                return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+            };
+            const width = mostCommon(cells.map(cell => cell.box.right - cell.box.left));
+            const height = mostCommon(cells.map(cell => cell.box.bottom - cell.box.top));
+            const left = Math.min(...cells.map(cell => cell.box.left));
+            const top = Math.min(...cells.map(cell => cell.box.top));
+            const onLattice = (value, origin, step) => Math.abs((value - origin) / step - Math.round((value - origin) / step)) * step < 0.5;
+
+            const grid = cells.filter(({ box }) => Math.abs(box.right - box.left - width) < 0.5 &&
+                Math.abs(box.bottom - box.top - height) < 0.5 &&
+                onLattice(box.left, left, width) && onLattice(box.top, top, height));
+            const columns = new Set(grid.map(cell => Math.round((cell.box.left - left) / width)));
+            const rows = new Set(grid.map(cell => Math.round((cell.box.top - top) / height)));
+            if (grid.length < 4 || columns.size < 2 || rows.size < 2 || grid.length < cells.length / 2) return;
+
+            // Square scatter markers can line up too, but they rarely share edges
+            const key = (cell) => `${Math.round((cell.box.left - left) / width)},${Math.round((cell.box.top - top) / height)}`;
+            const occupied = new Set(grid.map(key));
+            const touching = grid.filter(cell => {
+                const [column, row] = key(cell).split(',').map(Number);
+                return [[1, 0], [-1, 0], [0, 1], [0, -1]].some(([dc, dr]) => occupied.has(`${column + dc},${row + dr}`));
+            });
+            if (touching.length < grid.length * 0.8) return;
+
+            const mapper = panel.mapper;
+            const range = (a, b, axis) => {
+                if (mapper.getScale(axis).type === 'categorical') return [null, null];
+                const values = axis === 'x' ? [mapper.mapSVGToDataX(a), mapper.mapSVGToDataX(b)] : [mapper.mapSVGToDataY(a), mapper.mapSVGToDataY(b)];
+                return values.sort((v, w) => v - w);
+            };
+            grid.forEach(({ point, box }) => {
+                const [binStart, binEnd] = range(box.left, box.right, 'x');
+                const [binYStart, binYEnd] = range(box.top, box.bottom, 'y');
+                point.bin = {
+                    kind: 'grid',
+                    axis: null,
+                    binStart,
+                    binEnd,
+                    binYStart,
+                    binYEnd,
+                    // Without a data-count or a bound count, assignColorValues() reads it from a colour bar
+                    count: this.getBinCount(point),
+                    measure: 'count'
+                };
+            });
+        });
+    }
+
+    /**
+     * Get the count a 2-D bin carries as data: its data-count attribute, or the count column of its
+     * bound row (named by the table's count property, else 'count')
+     * @param {Object} point - Data point
+     * @returns {number|null} Count, or null if the bin carries none
+     */
+    getBinCount(point) {
+        const attribute = parseFloat(point.element.getAttribute('data-count'));
+        if (isFinite(attribute)) return attribute;
+
+        if (point.row) {
+            const table = this.dataTables[point.dataTable];
+            const value = parseFloat(point.row[(table && table.count) || 'count']);
+            if (isFinite(value)) return value;
+        }
+        return null;
+    }
+
+    /**
+     * Get the rectangle of a cell-shaped mark; unlike getBarBox() small squares count
+     * @param {Object} point - Data point
+     * @returns {Object|null} Box {left, right, top, bottom} in SVG coordinates, or null
+     */
+    getCellBox(point) {
+        const rectangular = point.type === 'rect' ||
+            (point.pathKind === 'area' || point.type === 'polygon') && point.points && this.isRectangle(point.points);
+        if (!rectangular || !(point.width > 0) || !(point.height > 0)) return null;
+        return {
+            left: point.svgX - point.width / 2,
+            right: point.svgX + point.width / 2,
+            top: point.svgY - point.height / 2,
+            bottom: point.svgY + point.height / 2
+        };
+    }
+
+    /**
+     * Recognise histograms among decoded bars: runs of at least three touching, equal-width columns
+     * of one colour (or stacks). Each bar gets its bin interval and its count (or density)
+     */
+    decodeHistograms() {
+        this.panels.forEach(panel => {
+            const bars = this.dataPoints.filter(point => point.panel === panel.index && point.bar && point.bar.group === null);
+            if (bars.length < 3) return;
+
+            const mapper = panel.mapper;
+            const vertical = bars[0].bar.orientation === 'vertical';
+            const positionAxis = vertical ? 'x' : 'y';
+            if (mapper.getScale(positionAxis).type === 'categorical') return;
+
+            // Stacked segments share their column
+            const columns = [];
+            bars.forEach(point => {
+                const box = this.getBarBox(point);
+                const lo = vertical ? box.left : box.top;
+                const hi = vertical ? box.right : box.bottom;
+                const column = columns.find(c => Math.abs(c.lo - lo) < 0.5 && Math.abs(c.hi - hi) < 0.5);
+                if (column) {
+                    column.points.push(point);
+                } else {
+                    columns.push({ lo, hi, points: [point], color: this.getMarkColor(point.element) });
+                }
+            });
+            columns.sort((a, b) => a.lo - b.lo);
+
+            const runs = [];
+            columns.forEach(column => {
+                const run = runs[runs.length - 1];
+                const last = run && run[run.length - 1];
+                const width = column.hi - column.lo;
+                if (last && Math.abs(column.lo - last.hi) < 0.5 && Math.abs(width - (last.hi - last.lo)) < Math.max(0.5, width * 0.01) &&
+                    (column.points.length > 1 || last.points.length > 1 || column.color === last.color)) {
+                    run.push(column);
+                } else {
+                    runs.push([column]);
+                }
+            });
+
+            const valueLabel = vertical ? mapper.getAxisLabels().yLabel : mapper.getAxisLabels().xLabel;
+            runs.filter(run => run.length >= 3).forEach(run => {
+                const values = run.flatMap(column => column.points.map(point => point.bar.value));
+                const measure = /density/i.test(valueLabel) || Math.max(...values) < 1 ? 'density' : 'count';
+
+                run.forEach(column => {
+                    const ends = vertical
+                        ? [mapper.mapSVGToDataX(column.lo), mapper.mapSVGToDataX(column.hi)]
+                        : [mapper.mapSVGToDataY(column.lo), mapper.mapSVGToDataY(column.hi)];
+                    const [binStart, binEnd] = ends.sort((a, b) => a - b);
+                    column.points.forEach(point => {
+                        point.bin = {
+                            kind: 'histogram',
+                            axis: positionAxis,
+                            binStart,
+                            binEnd,
+                            binYStart: null,
+                            binYEnd: null,
+                            // Counts read from pixels are rounded to whole observations
+                            count: measure === 'count' ? Math.round(point.bar.value) : point.bar.value,
+                            measure
+                        };
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * Describe a bin for tooltips: "12.5–15.0: 37 observations", or its X and Y ranges for 2-D bins
+     * @param {Object} point - Data point
+     * @returns {Array} [{name, value}] (empty for marks that are not bins)
+     */
+    getBinFields(point) {
+        if (!point.bin) return [];
+        const mapper = this.getMapper(point);
+        const bin = point.bin;
+        const range = (start, end, axis) => `${mapper.formatValue(start, axis, 1)}–${mapper.formatValue(end, axis, 1)}`;
+        const amount = bin.measure === 'density'
+            ? `density ${mapper.formatValue(bin.count, point.bar ? point.bar.valueAxis : 'y', 3)}`
+            : `${bin.count} observation${bin.count === 1 ? '' : 's'}`;
+
+        if (bin.kind === 'histogram') {
+            return [{ name: range(bin.binStart, bin.binEnd, bin.axis), value: amount }];
+        }
+
+        const labels = mapper.getAxisLabels();
+        return [
+            ...(bin.binStart !== null ? [{ name: labels.xLabel, value: range(bin.binStart, bin.binEnd, 'x') }] : []),
+            ...(bin.binYStart !== null ? [{ name: labels.yLabel, value: range(bin.binYStart, bin.binYEnd, 'y') }] : []),
+            ...(bin.count !== null ? [{ name: 'Count', value: amount }] : [])
+        ];
+    }
+
+    /**
+     * Get the bin ranges covered by points: touching histogram bins merge into one range, 2-D bins
+     * are listed one by one
+     * @param {Array} points - Data points (default: the selection)
+     * @returns {Array} Ranges {panel, kind, x: [start, end]|null, y: [start, end]|null, count, bins}
+     */
+    getBinRanges(points = this.getSelectedData()) {
+        const ranges = [];
+        const histogram = points.filter(point => point.bin && point.bin.kind === 'histogram')
+            .sort((a, b) => a.panel - b.panel || a.bin.binStart - b.bin.binStart);
+
+        const add = (a, b) => (a === null || b === null ? null : a + b);
+        let previous = null;
+        histogram.forEach(point => {
+            const bin = point.bin;
+            const last = ranges[ranges.length - 1];
+            const follows = previous && previous.panel === point.panel && previous.bin.axis === bin.axis;
+            // Edges read from pixels differ slightly between neighbouring bins
+            const tolerance = (bin.binEnd - bin.binStart) * 0.05;
+            if (follows && Math.abs(previous.bin.binStart - bin.binStart) <= tolerance) {
+                // Another segment of a stacked bin
+                last.count = add(last.count, bin.count);
+            } else if (follows && Math.abs(previous.bin.binEnd - bin.binStart) <= tolerance) {
+                last[bin.axis][1] = bin.binEnd;
+                last.count = add(last.count, bin.count);
+                last.bins += 1;
+            } else {
+                ranges.push({
+                    panel: point.panel,
+                    kind: 'histogram',
+                    x: bin.axis === 'x' ? [bin.binStart, bin.binEnd] : null,
+                    y: bin.axis === 'y' ? [bin.binStart, bin.binEnd] : null,
+                    count: bin.count,
+                    bins: 1
+                });
+            }
+            previous = point;
+        });
+
+        points.filter(point => point.bin && point.bin.kind === 'grid').forEach(point => {
+            const bin = point.bin;
+            ranges.push({
+                panel: point.panel,
+                kind: 'grid',
+                x: bin.binStart !== null ? [bin.binStart, bin.binEnd] : null,
+                y: bin.binYStart !== null ? [bin.binYStart, bin.binYEnd] : null,
+                count: bin.count,
+                bins: 1
+            });
+        });
+        return ranges;
+    }
+
+    /**
+     * Attach embedded data rows to the points that reference them and use their exact values
+     * Marks reference rows with data-row="12" or, for lines, data-rows="0-99" / "3,5,8";
+     * data-table picks a table by name. Points without rows keep the values inferred from the axes.
+     * Glyphs take the row's value as their centre value and any columns named after summary fields
+     */
+    bindEmbeddedData() {
+        this.dataTables = this.readEmbeddedData();
+        if (!this.dataTables.default) return;
+
+        this.dataPoints.forEach(point => {
+            const element = point.element;
+            const reference = element.getAttribute('data-row') !== null ? element.getAttribute('data-row') : element.getAttribute('data-rows');
+            if (reference === null) return;
+
+            const tableName = element.getAttribute('data-table') || 'default';
+            const table = this.dataTables[tableName];
+            if (!table) return;
+
+            const indices = this.parseRowIndices(reference, table.rows.length).filter(i => table.rows[i] !== undefined);
+            if (indices.length === 0) return;
+
+            point.dataTable = tableName;
+            if (this.isLineMark(point) || indices.length > 1) {
+                point.rowIndices = indices;
+                point.rows = indices.map(i => table.rows[i]);
+                return;
+            }
+
+            point.rowIndex = indices[0];
+            point.row = table.rows[indices[0]];
+            const values = this.getRowValues(point, point.row);
+            if (values.dataX !== null) point.dataX = values.dataX;
+            if (values.dataY !== null) point.dataY = values.dataY;
+            if (values.category !== null) point.category = values.category;
+            if (values.series !== null) point.series = values.series;
+            point.exact = values.dataX !== null || values.dataY !== null;
+            if (point.glyph) {
+                this.bindGlyphRow(point, values);
+            }
+        });
+    }
+
+    /**
+     * Copy a bound row into a glyph's summary: the value-axis value replaces the value the glyph is
+     * read at (median, mode or centre), and numeric columns named after summary fields replace those
+     * @param {Object} point - Glyph point with a bound row
+     * @param {Object} values - Row values from getRowValues()
+     */
+    bindGlyphRow(point, values) {
+        const glyph = point.glyph;
+        const valueFields = { boxplot: 'median', violin: 'mode', interval: 'center' };
+        const value = glyph.valueAxis === 'y' ? values.dataY : values.dataX;
+        if (value !== null && valueFields[glyph.kind]) {
+            glyph[valueFields[glyph.kind]] = value;
+        }
+
+        Object.keys(glyph).forEach(field => {
+            const cell = point.row[field];
+            if (typeof glyph[field] === 'number' && typeof cell === 'number' && isFinite(cell)) {
+                glyph[field] = cell;
+                point.exact = true;
+            } else if (Array.isArray(glyph[field]) && Array.isArray(cell) && cell.every(v => typeof v === 'number')) {
+                glyph[field] = [...cell].sort((a, b) => a - b);
+                point.exact = true;
+            }
+        });
+
+        // The point is read where the glyph is
+        const center = glyph[valueFields[glyph.kind]];
+        if (center !== undefined) {
+            if (glyph.valueAxis === 'y') {
+                point.dataY = center;
+            } else {
+                point.dataX = center;
+            }
+        }
+    }
+
+    /**
+     * Give every point a key that survives re-extraction: element id, data-id or bound row,
+     * falling back to the mark's tag and position, since extraction order changes when glyphs are
+     * regrouped or the figure is re-exported; repeats get a '#n' suffix
+     */
+    assignPointKeys() {
+        const used = new Set();
+        this.dataPoints.forEach(point => {
+            const element = point.element;
+            let key;
+            if (element.getAttribute('id')) {
+                key = `id:${element.getAttribute('id')}`;
+            } else if (element.getAttribute('data-id')) {
+                key = `data-id:${element.getAttribute('data-id')}`;
+            } else if (point.rowIndex !== undefined) {
+                key = `row:${point.dataTable}/${point.rowIndex}`;
+            } else {
+                // Rounded to 0.1 SVG units so float noise from a re-export does not change the key
+                const round = (value) => Math.round(value * 10) / 10;
+                key = `at:${element.tagName.toLowerCase()}/${round(point.svgX)},${round(point.svgY)}`;
+            }
+
+            // Elements split into several records (multi-subpath markers, value labels) share a base key
+            let unique = key;
+            for (let n = 2; used.has(unique); n++) {
+                unique = `${key}#${n}`;
+            }
+            used.add(unique);
+            point.key = unique;
+        });
+    }
+
+    /**
+     * Parse a row reference: "12", "0-99" or "3,5,8" (ranges and lists can be mixed)
+     * @param {string} reference - Attribute value
+     * @param {number} rowCount - Number of rows in the table; ranges stop at its last row
+     * @returns {Array} Row indices
+     */
+    parseRowIndices(reference, rowCount) {
+        const indices = [];
+        reference.split(/[\s,]+/).forEach(part => {
+            const range = /^(\d+)(?:[-:](\d+))?$/.exec(part);
+            if (!range) return;
+            const start = parseInt(range[1], 10);
+            const end = Math.min(range[2] !== undefined ? parseInt(range[2], 10) : start, rowCount - 1);
+            for (let i = start; i <= end; i++) {
+                indices.push(i);
+            }
+        });
+        return indices;
+    }
+
+    /**
+     * Read the x, y and series columns of a row in the units the point uses
+     * Dates become milliseconds on date axes; strings on categorical axes become the category
+     * @param {Object} point - Data point bound to a table
+     * @param {Object} row - Table row
+     * @returns {Object} {dataX, dataY, category, series}, null where the row has no usable value
+     */
+    getRowValues(point, row) {
+        const table = this.dataTables[point.dataTable];
+        const mapper = this.getMapper(point);
+        const result = { dataX: null, dataY: null, category: null, series: null };
+        if (!table || !row) return result;
+
+        ['x', 'y'].forEach(axis => {
+            if (!table[axis] || row[table[axis]] === undefined || row[table[axis]] === null) return;
+
+            const value = row[table[axis]];
+            const scale = mapper.getScale(axis);
+            let number = typeof value === 'number' ? value : NaN;
+            if (typeof value === 'string') {
+                if (scale.type === 'categorical') {
+                    result.category = value;
+                } else if (scale.type === 'date') {
+                    number = Date.parse(value);
+                } else {
+                    number = parseFloat(value);
+                }
+            }
+            if (isFinite(number)) {
+                result[axis === 'x' ? 'dataX' : 'dataY'] = number;
+            }
+        });
+
+        if (table.series && row[table.series] !== undefined && row[table.series] !== null) {
+            result.series = String(row[table.series]);
+        }
+        return result;
+    }
+
+    /**
+     * Get the columns of a row other than the x, y and series columns
+     * @param {Object} point - Data point bound to a table
+     * @param {Object} row - Table row (defaults to the point's row)
+     * @returns {Array} [{name, value}]
+     */
+    getRowFields(point, row = point.row) {
+        const table = this.dataTables[point.dataTable];
+        if (!table || !row || typeof row !== 'object') return [];
+
+        const reserved = [table.x, table.y, table.series];
+        return Object.keys(row)
+            .filter(name => !reserved.includes(name))
+            .map(name => ({ name, value: row[name] }));
+    }
+
+    /**
+     * Render row fields as tooltip lines
+     * @param {Array} fields - [{name, value}] from getRowFields
+     * @returns {string} HTML
+     */
+    formatRowFields(fields) {
+        const format = (value) => (typeof value === 'number' && !Number.isInteger(value) ? parseFloat(value.toPrecision(6)) : value);
+        return fields.map(field => `<div><strong>${this.escapeHTML(field.name)}:</strong> ${this.escapeHTML(format(field.value))}</div>`).join('');
+    }
+
+    /**
+     * Escape text from embedded data before it goes into tooltip HTML
+     * @param {*} text - Value to show
+     * @returns {string} Escaped text
+     */
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+    }
+
+    /**
+     * Give every point a confidence score (0-1) for its data values
+     */
+    assessConfidence() {
+        this.dataPoints.forEach(point => {
+            point.confidence = this.getPointConfidence(point);
+        });
+    }
+
+    /**
+     * Score how far a point's data values can be trusted
+     * Exact embedded values score 1; inferred values combine the axis fit quality
+     * and a penalty for extrapolating beyond the outermost ticks
+     * @param {Object} point - Data point
+     * @returns {number} Confidence between 0 and 1
+     */
+    getPointConfidence(point) {
+        if (point.exact) return 1;
+
+        const mapper = this.getMapper(point);
+        let score = 1;
+        ['x', 'y'].forEach(axis => {
+            score *= mapper.getAxisQuality(axis).score;
+
+            const ticks = axis === 'x' ? mapper.axisInfo.xAxis : mapper.axisInfo.yAxis;
+            if (ticks.length < 2 || mapper.getScale(axis).type === 'categorical') return;
+
+            const posKey = axis === 'x' ? 'svgX' : 'svgY';
+            const positions = ticks.map(t => t[posKey]);
+            const low = Math.min(...positions);
+            const high = Math.max(...positions);
+            const outside = Math.max(low - point[posKey], point[posKey] - high, 0) / ((high - low) || 1);
+            score *= Math.max(0.5, 1 - outside);
+        });
+        return Math.round(score * 100) / 100;
+    }
+
+    /**
+     * Find the legend (swatch + label pairs), drop its marks from the data and tag points with their series
+     */
+    parseLegend() {
+        // The colour bar and the size legend are not legend entries
+        const scales = new Set();
+        if (this.colorScale) {
+            this.colorScale.elements.forEach(element => scales.add(element));
+            this.colorScale.ticks.forEach(tick => scales.add(tick.element));
+            if (this.colorScale.titleElement) scales.add(this.colorScale.titleElement);
+        }
+        if (this.sizeScale) {
+            this.sizeScale.keys.forEach(key => {
+                scales.add(key.element);
+                scales.add(key.text);
+            });
+            if (this.sizeScale.titleElement) scales.add(this.sizeScale.titleElement);
+        }
+
+        const texts = Array.from(this.svg.querySelectorAll('text'))
+            .filter(element => !scales.has(element))
+            .map(element => ({ element, label: element.textContent.trim(), pos: this.coordinateMapper.getTextPosition(element) }))
+            .filter(t => t.label);
+        if (texts.length === 0) return;
+
+        const swatches = this.findSwatchCandidates().filter(swatch => !scales.has(swatch.element));
+        const entries = [];
+        texts.forEach(text => {
+            const swatch = this.findLegendSwatch(text, swatches);
+            if (swatch) {
+                entries.push({
+                    label: text.label,
+                    text: text.element,
+                    swatch: swatch.element,
+                    box: swatch.box,
+                    color: this.getMarkColor(swatch.element),
+                    shape: this.getMarkShape(swatch.element),
+                    pos: text.pos
+                });
+            }
+        });
+
+        // A single swatch next to a label is more likely an annotation than a legend
+        if (entries.length < 2) return;
+
+        // Legend title: label-less text just above the first entry, aligned with the swatches
+        const first = entries.reduce((a, b) => (b.pos.y < a.pos.y ? b : a));
+        const entryTexts = new Set(entries.map(e => e.text));
+        const title = texts
+            .filter(t => !entryTexts.has(t.element) && t.pos.y < first.pos.y &&
+                first.pos.y - t.pos.y < first.pos.height * 3 &&
+                Math.abs((t.pos.x - t.pos.width / 2) - first.box.left) < first.pos.height * 2)
+            .sort((a, b) => b.pos.y - a.pos.y)[0];
+
+        this.legend = {
+            title: title ? title.label : null,
+            titleElement: title ? title.element : null,
+            entries: entries,
+            bounds: this.getLegendBounds(entries, title)
+        };
+
+        // Legend keys and labels are not data
+        const swatchElements = new Set(entries.map(e => e.swatch));
+        entries.forEach(e => swatchElements.add(e.text));
+        if (title) swatchElements.add(title.element);
+        const inPanel = (x, y) => this.panels.some(panel =>
+            x >= panel.bounds.left && x <= panel.bounds.right && y >= panel.bounds.top && y <= panel.bounds.bottom);
+        const b = this.legend.bounds;
+        this.dataPoints = this.dataPoints.filter(point => {
+            const isLegend = swatchElements.has(point.element) ||
+                !!point.element.closest('g[id^="legend"]') ||
+                (point.svgX >= b.left && point.svgX <= b.right && point.svgY >= b.top && point.svgY <= b.bottom && !inPanel(point.svgX, point.svgY));
+            if (isLegend) {
+                this.rejectElement(point.element, 'legend key');
+            }
+            return !isLegend;
+        });
+
+        this.dataPoints.forEach(point => {
+            point.series = this.matchLegendEntry(point);
+        });
+    }
+
+    /**
+     * Collect small graphics that could be legend swatches, with their SVG-space bounds
+     * @returns {Array} [{element, box}]
+     */
+    findSwatchCandidates() {
+        const candidates = [];
+        this.svg.querySelectorAll('line, rect, circle, ellipse, path, polyline, polygon, use').forEach(element => {
+            if (element.closest('defs, clipPath, marker, symbol, pattern, mask')) return;
+
+            let bbox = null;
+            const tag = element.tagName.toLowerCase();
+            try {
+                bbox = element.getBBox();
+            } catch (error) {
+                // Not rendered
+            }
+            if (tag === 'line' && (!bbox || (bbox.width === 0 && bbox.height === 0))) {
+                const [x1, y1, x2, y2] = ['x1', 'y1', 'x2', 'y2'].map(attr => parseFloat(element.getAttribute(attr)) || 0);
+                bbox = { x: Math.min(x1, x2), y: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) };
+            }
+            if (!bbox || (bbox.width === 0 && bbox.height === 0)) return;
+            if (bbox.width > 40 || bbox.height > 40) return;
+
+            const box = this.coordinateMapper.transformRect(this.coordinateMapper.getElementMatrix(element), bbox);
+            candidates.push({ element, box });
+        });
+        return candidates;
+    }
+
+    /**
+     * Find the swatch drawn immediately left of a label
+     * @param {Object} text - {element, label, pos}
+     * @param {Array} candidates - Output of findSwatchCandidates
+     * @returns {Object|null} {element, box} or null
+     */
+    findLegendSwatch(text, candidates) {
+        const h = text.pos.height || 10;
+        const left = text.pos.x - text.pos.width / 2;
+
+        const near = candidates.filter(({ box }) =>
+            box.right <= left + 1 && box.right >= left - h * 2 &&
+            Math.abs((box.top + box.bottom) / 2 - text.pos.y) <= h * 0.6 &&
+            box.right - box.left <= h * 3 && box.bottom - box.top <= h * 3);
+
+        // Keys often stack a neutral background rect under the glyph: take the topmost coloured one
+        const coloured = near.filter(c => !this.isNeutralColor(this.getMarkColor(c.element)));
+        return coloured.length > 0 ? coloured[coloured.length - 1] : null;
+    }
+
+    /**
+     * Bounding box around all legend entries and the title
+     * @param {Array} entries - Legend entries
+     * @param {Object} title - Title text or undefined
+     * @returns {Object} {left, right, top, bottom}
+     */
+    getLegendBounds(entries, title) {
+        const boxes = entries.map(e => e.box).concat(entries.map(e => ({
+            left: e.pos.x - e.pos.width / 2,
+            right: e.pos.x + e.pos.width / 2,
+            top: e.pos.y - e.pos.height / 2,
+            bottom: e.pos.y + e.pos.height / 2
+        })));
+        if (title) {
+            boxes.push({
+                left: title.pos.x - title.pos.width / 2,
+                right: title.pos.x + title.pos.width / 2,
+                top: title.pos.y - title.pos.height / 2,
+                bottom: title.pos.y + title.pos.height / 2
+            });
+        }
+        return {
+            left: Math.min(...boxes.map(b => b.left)),
+            right: Math.max(...boxes.map(b => b.right)),
+            top: Math.min(...boxes.map(b => b.top)),
+            bottom: Math.max(...boxes.map(b => b.bottom))
+        };
+    }
+
+    /**
+     * Match a data mark to a legend entry by colour, then marker shape
+     * @param {Object} point - Data point
+     * @returns {string|null} Series label or null
+     */
+    matchLegendEntry(point) {
+        const entries = this.legend.entries;
+        const color = this.getMarkColor(point.element);
+        const shape = this.getMarkShape(point.element);
+
+        let matches = entries.filter(e => e.color && e.color === color);
+        if (matches.length > 1) {
+            const byShape = matches.filter(e => e.shape === shape);
+            if (byShape.length > 0) matches = byShape;
+        }
+
+        // Shape-only legends (same colour, different markers)
+        if (matches.length === 0) {
+            const byShape = entries.filter(e => e.shape === shape && e.shape !== 'line');
+            if (byShape.length === 1) matches = byShape;
+        }
+
+        return matches.length > 0 ? matches[0].label : null;
+    }
+
+    /**
+     * Get the identifying colour of a mark (stroke for lines and open markers, fill otherwise)
+     * @param {Element} element - SVG element
+     * @returns {string|null} Normalised '#rrggbb' colour or null
+     */
+    getMarkColor(element) {
+        const fill = this.normalizeColor(this.getPaint(element, 'fill'));
+        const stroke = this.normalizeColor(this.getPaint(element, 'stroke'));
+        const tag = element.tagName.toLowerCase();
+        if (tag === 'line' || tag === 'polyline' || !fill) {
+            return stroke || fill;
+        }
+        return fill;
+    }
+
+    /**
+     * Read a paint property from inline style, computed style or the presentation attribute
+     * @param {Element} element - SVG element
+     * @param {string} property - 'fill' or 'stroke'
+     * @returns {string} Raw paint value ('' if unset)
+     */
+    getPaint(element, property) {
+        const computed = window.getComputedStyle(element)[property];
+        return element.style[property] || computed || element.getAttribute(property) || '';
+    }
+
+    /**
+     * Describe a mark's shape so legend glyphs and data marks can be compared
+     * @param {Element} element - SVG element
+     * @returns {string} 'circle', 'rect', 'line', 'path:<commands>' or 'use:<href>'
+     */
+    getMarkShape(element) {
+        const tag = element.tagName.toLowerCase();
+        if (tag === 'line' || tag === 'polyline') return 'line';
+        if (tag === 'use') {
+            return 'use:' + (element.getAttribute('href') || element.getAttribute('xlink:href') ||
+                (element.getAttributeNS && element.getAttributeNS('http://www.w3.org/1999/xlink', 'href')) || '');
+        }
+        if (tag === 'path') {
+            const fill = this.normalizeColor(element.style.fill || element.getAttribute('fill') || window.getComputedStyle(element).fill);
+            if (!fill) return 'line';
+            return 'path:' + (element.getAttribute('d') || '').replace(/[^a-zA-Z]/g, '').toUpperCase();
+        }
+        return tag;
+    }
+
+    /**
+     * Normalise a CSS colour to '#rrggbb'
+     * @param {string} value - Colour string (hex, rgb(), or a basic name)
+     * @returns {string|null} Normalised colour, or null for none/transparent
+     */
+    normalizeColor(value) {
+        const color = (value || '').trim().toLowerCase();
+        if (!color || color === 'none' || color === 'transparent' || color.startsWith('url(')) return null;
+
+        const names = {
+            black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000', blue: '#0000ff',
+            gray: '#808080', grey: '#808080', orange: '#ffa500', purple: '#800080', yellow: '#ffff00'
+        };
+        if (names[color]) return names[color];
+
+        let match = color.match(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/);
+        if (match) return '#' + match.slice(1).map(c => c + c).join('');
+        if (/^#[0-9a-f]{6}$/.test(color)) return color;
+
+        match = color.match(/^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:[,\s/]+([\d.]+))?/);
+        if (match) {
+            if (match[4] !== undefined && parseFloat(match[4]) === 0) return null;
+            return '#' + match.slice(1, 4).map(v => Math.round(parseFloat(v)).toString(16).padStart(2, '0')).join('');
+        }
+        return color;
+    }
+
+    /**
+     * White and light grey are legend key / panel backgrounds, not series colours
+     * @param {string|null} color - Normalised colour
+     * @returns {boolean} True if neutral
+     */
+    isNeutralColor(color) {
+        if (!color) return true;
+        const match = color.match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/);
+        if (!match) return false;
+        const [r, g, b] = match.slice(1).map(v => parseInt(v, 16));
+        return r === g && g === b && r >= 0xd0;
+    }
+
+    /**
+     * Find a colour bar (a stack of colour cells or a linear gradient beside numeric labels) and fit
+     * its position → value scale. Its cells and labels are taken out of the data before legends are parsed
+     */
+    parseColorbar() {
+        const cells = this.findColorbarCells();
+        const bars = [...this.findColorbarStacks(cells), ...this.findColorbarGradients(cells)];
+        let scale = null;
+        bars.some(bar => {
+            scale = this.fitColorbar(bar);
+            return scale !== null;
+        });
+        if (!scale) return;
+
+        this.colorScale = scale;
+        const elements = new Set([...scale.elements, ...scale.ticks.map(tick => tick.element)]);
+        if (scale.titleElement) elements.add(scale.titleElement);
+        this.dataPoints = this.dataPoints.filter(point => {
+            if (!elements.has(point.element)) return true;
+            this.rejectElement(point.element, 'colour bar');
+            return false;
+        });
+    }
+
+    /**
+     * Collect rectangles outside the panels, with their fill and SVG-space bounds
+     * @returns {Array} [{element, box, fill}] where fill is the raw paint value
+     */
+    findColorbarCells() {
+        const cells = [];
+        const inPanel = (x, y) => this.panels.some(({ bounds }) =>
+            x > bounds.left && x < bounds.right && y > bounds.top && y < bounds.bottom);
+
+        this.svg.querySelectorAll('rect, path, polygon').forEach(element => {
+            if (element.closest('defs, clipPath, marker, symbol, pattern, mask')) return;
+
+            const tag = element.tagName.toLowerCase();
+            let rect = null;
+            if (tag === 'rect') {
+                rect = ['x', 'y', 'width', 'height'].reduce((r, attr) => ({ ...r, [attr]: parseFloat(element.getAttribute(attr)) || 0 }), {});
+            } else if (tag === 'path') {
+                rect = this.coordinateMapper.parseRectPath(element.getAttribute('d') || '');
+            } else {
+                const points = this.parsePolylinePoints(element.getAttribute('points') || '');
+                if (this.isRectangle(points.slice())) {
+                    const xs = points.map(p => p.x);
+                    const ys = points.map(p => p.y);
+                    rect = { x: Math.min(...xs), y: Math.min(...ys), width: Math.max(...xs) - Math.min(...xs), height: Math.max(...ys) - Math.min(...ys) };
+                }
+            }
+            if (!rect || !(rect.width > 0) || !(rect.height > 0)) return;
+
+            const box = this.coordinateMapper.transformRect(this.coordinateMapper.getElementMatrix(element), rect);
+            if (inPanel((box.left + box.right) / 2, (box.top + box.bottom) / 2)) return;
+            cells.push({ element, box, fill: this.getPaint(element, 'fill') });
+        });
+        return cells;
+    }
+
+    /**
+     * Find colour bars drawn as stacks of touching, solid-coloured cells (ggplot2 with raster = FALSE,
+     * matplotlib colour bar meshes, stepped colour bars)
+     * @param {Array} candidates - Cells from findColorbarCells()
+     * @returns {Array} Bars {elements, box, vertical, cells, samples: [{position, color}]}
+     */
+    findColorbarStacks(candidates) {
+        const cells = candidates
+            .map(cell => ({ ...cell, color: this.normalizeColor(cell.fill) }))
+            .filter(cell => cell.color && cell.color.startsWith('#'));
+        const bars = [];
+
+        [true, false].forEach(vertical => {
+            const [lo, hi, start, end] = vertical ? ['left', 'right', 'top', 'bottom'] : ['top', 'bottom', 'left', 'right'];
+            const sorted = cells.slice().sort((a, b) => a.box[start] - b.box[start]);
+            const runs = [];
+            sorted.forEach(cell => {
+                // Cells of one bar share both long edges and follow on without gaps
+                const run = runs.find(r => {
+                    const last = r[r.length - 1];
+                    return Math.abs(last.box[lo] - cell.box[lo]) < 0.5 && Math.abs(last.box[hi] - cell.box[hi]) < 0.5 &&
+                        Math.abs(last.box[end] - cell.box[start]) < 0.5;
+                });
+                if (run) {
+                    run.push(cell);
+                } else {
+                    runs.push([cell]);
+                }
+            });
+
+            runs.forEach(run => {
+                if (run.length < 5 || new Set(run.map(cell => cell.color)).size < 3) return;
+                bars.push({
+                    elements: run.map(cell => cell.element),
+                    box: {
+                        left: Math.min(...run.map(cell => cell.box.left)),
+                        right: Math.max(...run.map(cell => cell.box.right)),
+                        top: Math.min(...run.map(cell => cell.box.top)),
+                        bottom: Math.max(...run.map(cell => cell.box.bottom))
+                    },
+                    vertical,
+                    cells: run.map(cell => (cell.box[start] + cell.box[end]) / 2),
+                    samples: run.map(cell => ({ position: (cell.box[start] + cell.box[end]) / 2, color: cell.color }))
+                });
+            });
+        });
+        return bars;
+    }
+
+    /**
+     * Find colour bars drawn as one shape filled with a linearGradient
+     * The gradient is sampled along its vector; stops are interpolated in sRGB as SVG renders them
+     * @param {Array} candidates - Cells from findColorbarCells()
+     * @returns {Array} Bars {elements, box, vertical, cells, samples: [{position, color}]}
+     */
+    findColorbarGradients(candidates) {
+        const bars = [];
+        candidates.forEach(({ element, box, fill }) => {
+            const reference = /^url\(\s*['"]?#([^'")\s]+)['"]?\s*\)/.exec(fill || '');
+            const gradient = reference ? this.coordinateMapper.findById(reference[1]) : null;
+            if (!gradient || gradient.tagName.toLowerCase() !== 'lineargradient') return;
+
+            // Stops may be inherited from a referenced gradient
+            let source = gradient;
+            let stops = [];
+            for (let depth = 0; source && depth < 5 && stops.length === 0; depth++) {
+                stops = Array.from(source.querySelectorAll('stop')).map(stop => {
+                    const offset = stop.getAttribute('offset') || '0';
+                    const color = stop.style.stopColor || stop.getAttribute('stop-color') || '#000000';
+                    return {
+                        offset: Math.min(Math.max(offset.trim().endsWith('%') ? parseFloat(offset) / 100 : parseFloat(offset) || 0, 0), 1),
+                        rgb: this.parseRGB(this.normalizeColor(color))
+                    };
+                }).filter(stop => stop.rgb);
+                const href = source.getAttribute('href') || source.getAttribute('xlink:href') || '';
+                source = href.startsWith('#') ? this.coordinateMapper.findById(href.slice(1)) : null;
+            }
+            if (stops.length < 2) return;
+
+            // Gradient vector in SVG coordinates
+            const fraction = (attr, fallback) => {
+                const value = gradient.getAttribute(attr);
+                if (value === null) return fallback;
+                return value.trim().endsWith('%') ? parseFloat(value) / 100 : parseFloat(value);
+            };
+            const [x1, y1, x2, y2] = [fraction('x1', 0), fraction('y1', 0), fraction('x2', 1), fraction('y2', 0)];
+            let from;
+            let to;
+            if (gradient.getAttribute('gradientUnits') === 'userSpaceOnUse') {
+                const matrix = this.coordinateMapper.getElementMatrix(element);
+                from = this.coordinateMapper.transformPoint(matrix, x1, y1);
+                to = this.coordinateMapper.transformPoint(matrix, x2, y2);
+            } else {
+                const width = box.right - box.left;
+                const height = box.bottom - box.top;
+                from = { x: box.left + x1 * width, y: box.top + y1 * height };
+                to = { x: box.left + x2 * width, y: box.top + y2 * height };
+            }
+            const vertical = Math.abs(to.y - from.y) > Math.abs(to.x - from.x);
+
+            const samples = [];
+            for (let i = 0; i <= 64; i++) {
+                const offset = i / 64;
+                const next = stops.findIndex(stop => stop.offset >= offset);
+                let rgb;
+                if (next <= 0) {
+                    rgb = stops[next === 0 ? 0 : stops.length - 1].rgb;
+                } else {
+                    const a = stops[next - 1];
+                    const b = stops[next];
+                    const t = b.offset > a.offset ? (offset - a.offset) / (b.offset - a.offset) : 0;
+                    rgb = a.rgb.map((channel, k) => channel + t * (b.rgb[k] - channel));
+                }
+                samples.push({
+                    position: vertical ? from.y + offset * (to.y - from.y) : from.x + offset * (to.x - from.x),
+                    color: '#' + rgb.map(v => Math.round(v).toString(16).padStart(2, '0')).join('')
+                });
+            }
+            bars.push({ elements: [element], box, vertical, cells: null, samples });
+        });
+        return bars;
+    }
+
+    /**
+     * Read a colour bar's numeric labels and fit a linear or logarithmic position → value scale
+     * @param {Object} bar - Candidate from findColorbarStacks() or findColorbarGradients()
+     * @returns {Object|null} Colour scale, or null when the bar has fewer than two numeric labels
+     */
+    fitColorbar(bar) {
+        const { box, vertical } = bar;
+        const mapper = this.coordinateMapper;
+        const texts = Array.from(this.svg.querySelectorAll('text'))
+            .map(element => ({ element, label: element.textContent.trim(), pos: mapper.getTextPosition(element) }))
+            .filter(text => text.label);
+
+        // Labels run alongside the bar, on either side
+        const sides = vertical
+            ? [t => t.pos.x - t.pos.width / 2 >= box.right - 1 && t.pos.x - t.pos.width / 2 <= box.right + 40,
+                t => t.pos.x + t.pos.width / 2 <= box.left + 1 && t.pos.x + t.pos.width / 2 >= box.left - 40]
+            : [t => t.pos.y - t.pos.height / 2 >= box.bottom - 1 && t.pos.y - t.pos.height / 2 <= box.bottom + 30,
+                t => t.pos.y + t.pos.height / 2 <= box.top + 1 && t.pos.y + t.pos.height / 2 >= box.top - 30];
+        const along = (t) => (vertical ? t.pos.y : t.pos.x);
+        const [min, max] = vertical ? [box.top, box.bottom] : [box.left, box.right];
+        const labelled = sides.map(side => texts
+            .filter(t => side(t) && along(t) >= min - 2 && along(t) <= max + 2)
+            .map(t => ({ ...t, number: mapper.parseNumericLabel(t.label) }))
+            .filter(t => t.number))
+            .sort((a, b) => b.length - a.length)[0];
+        const ticks = labelled.map(t => ({ element: t.element, value: t.number.value, position: along(t) }))
+            .sort((a, b) => a.position - b.position);
+        if (ticks.length < 2 || new Set(ticks.map(t => t.value)).size < 2) return null;
+
+        // One label per cell, at its centre, is a discrete legend
+        if (bar.cells && ticks.length === bar.cells.length &&
+            ticks.every(tick => bar.cells.some(center => Math.abs(center - tick.position) < 1))) {
+            return null;
+        }
+
+        const posKey = vertical ? 'svgY' : 'svgX';
+        const log = mapper.isLogAxis(ticks.map(t => ({ value: t.value, [posKey]: t.position })), posKey);
+        const xs = ticks.map(t => t.position);
+        const ys = ticks.map(t => (log ? Math.log10(t.value) : t.value));
+        const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+        const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+        const sxx = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+        if (sxx === 0) return null;
+        const slope = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0) / sxx;
+        const intercept = meanY - slope * meanX;
+
+        // Title: text just before the bar (above a vertical one, beside a horizontal one)
+        const tickElements = new Set(ticks.map(t => t.element));
+        const title = texts
+            .filter(t => !tickElements.has(t.element) && !mapper.parseNumericLabel(t.label) && (vertical
+                ? t.pos.y < box.top && box.top - t.pos.y < 40 && t.pos.x + t.pos.width / 2 >= box.left - 5 && t.pos.x - t.pos.width / 2 <= box.right + 60
+                : (t.pos.x < box.left && box.left - t.pos.x - t.pos.width / 2 < 40 || t.pos.y < box.top && box.top - t.pos.y < 30) &&
+                    t.pos.y >= box.top - 30 && t.pos.y <= box.bottom + 10))
+            .sort((a, b) => (vertical ? b.pos.y - a.pos.y : b.pos.x - a.pos.x))[0];
+
+        const scale = {
+            orientation: vertical ? 'vertical' : 'horizontal',
+            bounds: box,
+            scale: log ? 'log' : 'linear',
+            slope,
+            intercept,
+            title: title ? title.label : null,
+            titleElement: title ? title.element : null,
+            ticks,
+            elements: bar.elements,
+            samples: bar.samples
+                .map(sample => ({ ...sample, lab: this.colorToLab(sample.color) }))
+                .sort((a, b) => a.position - b.position)
+        };
+        const ends = [min, max].map(position => this.getColorbarValue(position, scale));
+        scale.domain = [Math.min(...ends), Math.max(...ends)];
+        return scale;
+    }
+
+    /**
+     * Read the value at a position along the colour bar
+     * @param {number} position - SVG coordinate along the bar
+     * @param {Object} scale - Colour scale (default: the detected one)
+     * @returns {number} Value
+     */
+    getColorbarValue(position, scale = this.colorScale) {
+        const value = scale.slope * position + scale.intercept;
+        return scale.scale === 'log' ? Math.pow(10, value) : value;
+    }
+
+    /**
+     * Find the position along the colour bar that shows a value
+     * @param {number} value - Value
+     * @returns {number} SVG coordinate along the bar
+     */
+    getColorbarPosition(value) {
+        const scale = this.colorScale;
+        const v = scale.scale === 'log' ? Math.log10(value) : value;
+        return (v - scale.intercept) / scale.slope;
+    }
+
+    /**
+     * Invert the colour scale: find the closest point on the colour bar's path through CIELAB space
+     * Colours further than ΔE 12 from the bar are not on the scale
+     * @param {string} color - Normalised colour
+     * @returns {number|null} Value, or null if the colour is not on the scale
+     */
+    getColorValue(color) {
+        const scale = this.colorScale;
+        const lab = scale && color ? this.colorToLab(color) : null;
+        if (!lab) return null;
+
+        const samples = scale.samples.filter(sample => sample.lab);
+        const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+        let best = { distance: Infinity, position: null };
+        samples.forEach((sample, i) => {
+            const d = distance(lab, sample.lab);
+            if (d < best.distance) best = { distance: d, position: sample.position };
+
+            // Between neighbouring samples the bar blends linearly
+            const next = samples[i + 1];
+            if (!next) return;
+            const segment = next.lab.map((v, k) => v - sample.lab[k]);
+            const length = segment.reduce((sum, v) => sum + v * v, 0);
+            if (length === 0) return;
+            const t = Math.min(Math.max(segment.reduce((sum, v, k) => sum + v * (lab[k] - sample.lab[k]), 0) / length, 0), 1);
+            const projected = sample.lab.map((v, k) => v + t * segment[k]);
+            const dt = distance(lab, projected);
+            if (dt < best.distance) {
+                best = { distance: dt, position: sample.position + t * (next.position - sample.position) };
+            }
+        });
+
+        return best.distance <= 12 ? this.getColorbarValue(best.position) : null;
+    }
+
+    /**
+     * Give every point the value its colour encodes on the colour bar
+     * 2-D bins without a count take it from their colour
+     */
+    assignColorValues() {
+        if (!this.colorScale) return;
+        const density = /density/i.test(this.colorScale.title || '');
+
+        this.dataPoints.forEach(point => {
+            point.colorValue = this.getColorValue(this.getMarkColor(point.element));
+            if (point.bin && point.bin.kind === 'grid' && point.bin.count === null && point.colorValue !== null) {
+                point.bin.count = density ? point.colorValue : Math.round(point.colorValue);
+                point.bin.measure = density ? 'density' : 'count';
+            }
+        });
+    }
+
+    /**
+     * Format a value read from the colour bar or the size legend with four significant digits
+     * @param {number|null} value - Value
+     * @returns {string} Formatted value
+     */
+    formatScaleValue(value) {
+        if (value === null || value === undefined || !isFinite(value)) return 'N/A';
+        return String(parseFloat(value.toPrecision(4)));
+    }
+
+    /**
+     * Describe a point's colour value for tooltips
+     * @param {Object} point - Data point
+     * @returns {Array} [{name, value}] (empty without a colour bar or a matching colour)
+     */
+    getColorFields(point) {
+        if (!this.colorScale || point.colorValue === null || point.colorValue === undefined) return [];
+        return [{ name: this.colorScale.title || 'Colour value', value: this.formatScaleValue(point.colorValue) }];
+    }
+
+    /**
+     * Parse a normalised #rrggbb colour
+     * @param {string|null} color - Normalised colour
+     * @returns {Array|null} [r, g, b] in 0-255, or null
+     */
+    parseRGB(color) {
+        const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/.exec(color || '');
+        return match ? match.slice(1).map(hex => parseInt(hex, 16)) : null;
+    }
+
+    /**
+     * Convert a colour to CIELAB (D65), where Euclidean distance follows perceived difference
+     * @param {string|null} color - Normalised colour
+     * @returns {Array|null} [L, a, b], or null for colours that are not #rrggbb
+     */
+    colorToLab(color) {
+        const rgb = this.parseRGB(color);
+        if (!rgb) return null;
+
+        const [r, g, b] = rgb.map(v => {
+            const c = v / 255;
+            return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+        const xyz = [
+            (0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047,
+            0.2126 * r + 0.7152 * g + 0.0722 * b,
+            (0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883
+        ].map(v => (v > 216 / 24389 ? Math.cbrt(v) : (24389 / 27 * v + 16) / 116));
+
+        return [116 * xyz[1] - 16, 500 * (xyz[0] - xyz[1]), 200 * (xyz[1] - xyz[2])];
+    }
+
+    /**
+     * Find a size legend (circles of increasing radius, each with a numeric label to its right) and fit
+     * its value → radius mapping. Its keys and labels are taken out of the data before legends are parsed
+     */
+    parseSizeLegend() {
+        const colorbar = new Set();
+        if (this.colorScale) {
+            this.colorScale.ticks.forEach(tick => colorbar.add(tick.element));
+            if (this.colorScale.titleElement) colorbar.add(this.colorScale.titleElement);
+        }
+        const texts = Array.from(this.svg.querySelectorAll('text'))
+            .filter(element => !colorbar.has(element))
+            .map(element => ({ element, label: element.textContent.trim(), pos: this.coordinateMapper.getTextPosition(element) }))
+            .filter(t => t.label)
+            .map(t => ({ ...t, number: this.coordinateMapper.parseNumericLabel(t.label) }));
+
+        // Keys: circles outside the panels with a number just right of them
+        const inPanel = (x, y) => this.panels.some(({ bounds }) =>
+            x > bounds.left && x < bounds.right && y > bounds.top && y < bounds.bottom);
+        const keys = [];
+        this.dataPoints.forEach(point => {
+            if (point.type !== 'circle' || !(point.width > 0) || inPanel(point.svgX, point.svgY)) return;
+            const radius = point.width / 2;
+            const label = texts
+                .filter(t => {
+                    const h = t.pos.height || 10;
+                    const left = t.pos.x - t.pos.width / 2;
+                    return t.number && left >= point.svgX + radius - 1 && left <= point.svgX + radius + h * 2.5 &&
+                        Math.abs(t.pos.y - point.svgY) <= h * 0.6;
+                })
+                .sort((a, b) => a.pos.x - b.pos.x)[0];
+            if (!label) return;
+
+            // Two circles claiming one label: the nearer one is its key
+            const rival = keys.findIndex(key => key.text === label);
+            if (rival >= 0) {
+                if (keys[rival].point.svgX + keys[rival].radius >= point.svgX + radius) return;
+                keys.splice(rival, 1);
+            }
+            keys.push({ point, radius, value: label.number.value, text: label });
+        });
+
+        // Keys of one legend line up in a column or a row, with neighbours close together
+        const runs = [];
+        [true, false].forEach(vertical => {
+            const across = (key) => (vertical ? key.point.svgX : key.point.svgY);
+            const along = (key) => (vertical ? key.point.svgY : key.point.svgX);
+            const lines = [];
+            keys.forEach(key => {
+                const line = lines.find(l => Math.abs(across(l[0]) - across(key)) < 2);
+                if (line) {
+                    line.push(key);
+                } else {
+                    lines.push([key]);
+                }
+            });
+            lines.forEach(line => {
+                line.sort((a, b) => along(a) - along(b));
+                let run = [line[0]];
+                line.slice(1).forEach(key => {
+                    const last = run[run.length - 1];
+                    const h = key.text.pos.height || 10;
+                    const gap = vertical
+                        ? (key.point.svgY - key.radius) - (last.point.svgY + last.radius)
+                        : (key.point.svgX - key.radius) - (last.text.pos.x + last.text.pos.width / 2);
+                    if (gap <= h * (vertical ? 2.5 : 4)) {
+                        run.push(key);
+                    } else {
+                        runs.push({ keys: run, vertical });
+                        run = [key];
+                    }
+                });
+                runs.push({ keys: run, vertical });
+            });
+        });
+
+        let scale = null;
+        runs.filter(run => run.keys.length >= 2)
+            .sort((a, b) => b.keys.length - a.keys.length)
+            .some(run => {
+                scale = this.fitSizeLegend(run.keys, run.vertical, texts);
+                return scale !== null;
+            });
+        if (!scale) return;
+
+        this.sizeScale = scale;
+        const elements = new Set(scale.keys.flatMap(key => [key.element, key.text]));
+        if (scale.titleElement) elements.add(scale.titleElement);
+
+        // Key backgrounds sit inside the legend as well
+        const b = scale.bounds;
+        this.dataPoints = this.dataPoints.filter(point => {
+            const isLegend = elements.has(point.element) ||
+                (point.svgX >= b.left && point.svgX <= b.right && point.svgY >= b.top && point.svgY <= b.bottom && !inPanel(point.svgX, point.svgY));
+            if (isLegend) {
+                this.rejectElement(point.element, 'size legend');
+            }
+            return !isLegend;
+        });
+    }
+
+    /**
+     * Fit a size legend's radii to its values, with area (r² = a·v + b) or radius (r = a·v + b)
+     * proportional to the value, whichever matches the keys better
+     * @param {Array} keys - Keys of one legend, in order along it
+     * @param {boolean} vertical - Whether the keys are stacked in a column
+     * @param {Array} texts - Texts of the figure, for the title
+     * @returns {Object|null} Size scale, or null if the radii do not grow with the values
+     */
+    fitSizeLegend(keys, vertical, texts) {
+        const sorted = [...keys].sort((a, b) => a.value - b.value);
+        if (sorted.some((key, i) => i > 0 && (key.value === sorted[i - 1].value || key.radius <= sorted[i - 1].radius + 0.25))) {
+            return null;
+        }
+
+        const values = sorted.map(key => key.value);
+        const models = ['area', 'radius'].map(model => {
+            const ys = sorted.map(key => (model === 'area' ? key.radius * key.radius : key.radius));
+            const meanX = values.reduce((a, b) => a + b, 0) / values.length;
+            const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+            const sxx = values.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+            const slope = values.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0) / sxx;
+            const intercept = meanY - slope * meanX;
+
+            // Compare both models in pixels of radius
+            const radius = (value) => {
+                const y = slope * value + intercept;
+                return model === 'area' ? Math.sqrt(Math.max(y, 0)) : y;
+            };
+            const residual = Math.sqrt(sorted.reduce((sum, key) => sum + (radius(key.value) - key.radius) ** 2, 0) / sorted.length);
+            return { model, slope, intercept, residual };
+        }).filter(fit => fit.slope > 0);
+        if (models.length === 0) return null;
+
+        // Two keys fit both exactly; area is the usual encoding
+        const fit = models.reduce((best, candidate) => (candidate.residual < best.residual - 1e-6 ? candidate : best));
+
+        // Title: text above the first key of a column, or left of the first key of a row
+        const first = keys[0];
+        const h = first.text.pos.height || 10;
+        const left = Math.min(...keys.map(key => key.point.svgX - key.radius));
+        const right = Math.max(...keys.map(key => key.text.pos.x + key.text.pos.width / 2));
+        const top = first.point.svgY - first.radius;
+        const title = texts
+            .filter(t => !t.number && (vertical
+                ? t.pos.y < top && top - t.pos.y < h * 3 &&
+                    (Math.abs((t.pos.x - t.pos.width / 2) - left) < h * 2 || (t.pos.x >= left && t.pos.x <= right))
+                : Math.abs(t.pos.y - first.point.svgY) < h && t.pos.x + t.pos.width / 2 <= left + 1 &&
+                    left - (t.pos.x + t.pos.width / 2) < h * 3))
+            .sort((a, b) => (vertical ? b.pos.y - a.pos.y : b.pos.x - a.pos.x))[0];
+
+        const entries = keys.map(key => ({
+            box: {
+                left: key.point.svgX - key.radius,
+                right: key.point.svgX + key.radius,
+                top: key.point.svgY - key.radius,
+                bottom: key.point.svgY + key.radius
+            },
+            pos: key.text.pos
+        }));
+
+        return {
+            orientation: vertical ? 'vertical' : 'horizontal',
+            model: fit.model,
+            slope: fit.slope,
+            intercept: fit.intercept,
+            residual: fit.residual,
+            title: title ? title.label : null,
+            titleElement: title ? title.element : null,
+            keys: keys.map(key => ({ element: key.point.element, text: key.text.element, radius: key.radius, value: key.value })),
+            bounds: this.getLegendBounds(entries, title)
+        };
+    }
+
+    /**
+     * Read the value a circle's radius encodes on the size legend
+     * @param {number} radius - Radius in SVG units
+     * @returns {number} Value
+     */
+    getSizeValue(radius) {
+        const scale = this.sizeScale;
+        const y = scale.model === 'area' ? radius * radius : radius;
+        return (y - scale.intercept) / scale.slope;
+    }
+
+    /**
+     * Give every circle the value its radius encodes on the size legend
+     */
+    assignSizeValues() {
+        if (!this.sizeScale) return;
+
+        this.dataPoints.forEach(point => {
+            if (point.type === 'circle' && !point.glyph && point.width > 0) {
+                point.sizeValue = this.getSizeValue(point.width / 2);
+            }
+        });
+    }
+
+    /**
+     * Describe a point's size value for tooltips
+     * @param {Object} point - Data point
+     * @returns {Array} [{name, value}] (empty without a size legend or for marks other than circles)
+     */
+    getSizeFields(point) {
+        if (!this.sizeScale || point.sizeValue === null || point.sizeValue === undefined) return [];
+        return [{ name: this.sizeScale.title || 'Size value', value: this.formatScaleValue(point.sizeValue) }];
+    }
+
+    /**
+     * Make legend entries clickable and keyboard accessible
+     */
+    setupLegendInteraction() {
+        if (!this.legend) return;
+
+        this.legend.entries.forEach(entry => {
+            [entry.text, entry.swatch].forEach(element => {
+                element.style.cursor = 'pointer';
+                element.addEventListener('click', (event) => this.handleLegendClick(event, entry));
+            });
+
+            if (this.options.enableAccessibility) {
+                entry.text.setAttribute('tabindex', '0');
+                entry.text.setAttribute('role', 'button');
+                entry.text.setAttribute('aria-pressed', 'true');
+                entry.text.addEventListener('keydown', (event) => {
+                    if (event.key === 'Enter' || event.key === ' ') {
+                        event.preventDefault();
+                        this.handleLegendClick(event, entry);
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * Handle a click on a legend entry (Shift+click always isolates)
+     * @param {Event} event - Click or key event
+     * @param {Object} entry - Legend entry
+     */
+    handleLegendClick(event, entry) {
+        const action = event.shiftKey ? 'isolate' : this.options.legendAction;
+        const series = entry.label;
+
+        if (action === 'isolate') {
+            const others = this.legend.entries.map(e => e.label).filter(label => label !== series);
+            const isolated = !this.hiddenSeries.has(series) && others.every(label => this.hiddenSeries.has(label));
+            // Isolating the already isolated series shows everything again
+            this.hiddenSeries = new Set(isolated ? [] : others);
+        } else if (action === 'highlight') {
+            this.highlightedSeries = this.highlightedSeries === series ? null : series;
+        } else {
+            this.setSeriesVisible(series, this.hiddenSeries.has(series));
+            return;
+        }
+
+        this.applySeriesState();
+    }
+
+    /**
+     * Show or hide a series
+     * @param {string} series - Series label
+     * @param {boolean} visible - Visibility
+     */
+    setSeriesVisible(series, visible) {
+        if (visible) {
+            this.hiddenSeries.delete(series);
+        } else {
+            this.hiddenSeries.add(series);
+        }
+        this.applySeriesState();
+    }
+
+    /**
+     * Emphasise one series and dim the others
+     * @param {string|null} series - Series label, or null to clear
+     */
+    highlightSeries(series) {
+        this.highlightedSeries = series;
+        this.applySeriesState();
+    }
+
+    /**
+     * Show every series and clear any highlight
+     */
+    showAllSeries() {
+        this.hiddenSeries.clear();
+        this.highlightedSeries = null;
+        this.applySeriesState();
+    }
+
+    /**
+     * Check whether a point is shown: not hidden through the legend and not removed by a filter
+     * @param {Object} point - Data point
+     * @returns {boolean} True if visible
+     */
+    isPointVisible(point) {
+        if (this.filteredOut.has(point.id)) return false;
+        return !(point.series !== null && point.series !== undefined && this.hiddenSeries.has(point.series));
+    }
+
+    /**
+     * Get the points that are currently visible
+     * @returns {Array} Visible data points
+     */
+    getVisiblePoints() {
+        return this.dataPoints.filter(point => this.isPointVisible(point));
+    }
+
+    /**
+     * Style marks according to legend visibility, legend highlight and the active filter
+     */
+    applyPointVisibility() {
+        const highlighted = this.highlightedSeries;
+        const dim = this.options.filterMode === 'dim';
+
+        this.dataPoints.forEach(point => {
+            const legendHidden = point.series !== null && point.series !== undefined && this.hiddenSeries.has(point.series);
+            const filtered = this.filteredOut.has(point.id);
+
+            this.getPointElements(point).forEach(element => {
+                const style = element.style;
+                const original = this.getPartStyle(point, element);
+                style.display = legendHidden || (filtered && !dim) ? 'none' : original.display;
+                style.pointerEvents = filtered ? 'none' : '';
+                if (filtered) {
+                    style.opacity = '0.15';
+                } else {
+                    style.opacity = highlighted !== null && point.series !== highlighted ? '0.2' : original.opacity;
+                }
+            });
+        });
+
+        // Hidden marks cannot be hovered or stay selected
+        if (this.hoverPoint && !this.isPointVisible(this.hoverPoint)) {
+            this.setHoverPoint(null, null);
+        }
+        const deselected = this.getSelectedData().filter(point => !this.isPointVisible(point));
+        deselected.forEach(point => {
+            this.selectedPoints.delete(point.id);
+            this.resetStyle(point);
+        });
+
+        // Listeners and linked charts must see the smaller selection
+        if (deselected.length > 0) {
+            this.options.onSelect(this.getSelectedData(), null);
+            this.publishSelection();
+        }
+    }
+
+    /**
+     * Apply series visibility / highlight to marks and legend entries
+     */
+    applySeriesState() {
+        const highlighted = this.highlightedSeries;
+        this.applyPointVisibility();
+
+        if (this.legend) {
+            this.legend.entries.forEach(entry => {
+                const active = !this.hiddenSeries.has(entry.label) && (highlighted === null || highlighted === entry.label);
+                [entry.text, entry.swatch].forEach(element => {
+                    element.style.opacity = active ? '' : '0.35';
+                });
+                if (entry.text.hasAttribute('aria-pressed')) {
+                    entry.text.setAttribute('aria-pressed', this.hiddenSeries.has(entry.label) ? 'false' : 'true');
+                }
+            });
+        }
+
+        this.options.onLegendChange({
+            hidden: Array.from(this.hiddenSeries),
+            highlighted: highlighted
+        });
+        this.schedulePersist();
+    }
+
+    /**
+     * Keep only the points that match a predicate; the others are dimmed or hidden (filterMode)
+     * @param {Function} predicate - function(point) => boolean
+     * @param {Object} description - Optional description stored with the filter (e.g. the range)
+     */
+    filter(predicate, description = {}) {
+        this.activeFilter = { predicate, ...description };
+        this.filteredOut = new Set(this.dataPoints.filter(point => !predicate(point)).map(point => point.id));
+        this.applyPointVisibility();
+        this.updateColorbarSelection();
+        this.options.onFilter(this.getFilterState());
+        this.schedulePersist();
+    }
+
+    /**
+     * Keep the points inside a data-unit range
+     * @param {Object} range - {x: [min, max], y: [min, max], color: [min, max], size: [min, max]}; any of them may be omitted
+     */
+    filterByRange(range) {
+        this.filterBy({ range });
+    }
+
+    /**
+     * Filter by a serialisable description; a description without conditions removes the filter
+     * @param {Object} description - {range: {x, y, color, size}, series: [names, or null for points without a series], types: [mark types]}; all optional
+     */
+    filterBy(description) {
+        const range = description.range || null;
+        const series = description.series ? new Set(description.series) : null;
+        const types = description.types ? new Set(description.types) : null;
+
+        if (!range && !series && !types) {
+            this.resetFilter();
+            return;
+        }
+        this.filter(point =>
+            (!range || this.isInRange(point, range)) &&
+            (!series || series.has(point.series === undefined ? null : point.series)) &&
+            (!types || types.has(point.type)),
+        { range, series: description.series || null, types: description.types || null });
+    }
+
+    /**
+     * Remove the active filter
+     */
+    resetFilter() {
+        this.activeFilter = null;
+        this.filteredOut.clear();
+        this.applyPointVisibility();
+        this.updateColorbarSelection();
+        this.options.onFilter(this.getFilterState());
+        this.schedulePersist();
+    }
+
+    /**
+     * Check a point against a data range; lines match when any vertex is inside
+     * Colour and size ranges only match points with a colour or size value
+     * @param {Object} point - Data point
+     * @param {Object} range - {x: [min, max], y: [min, max], color: [min, max], size: [min, max]}
+     * @returns {boolean} True if inside
+     */
+    isInRange(point, range) {
+        const inside = (value, bounds) => !bounds || (value >= Math.min(...bounds) && value <= Math.max(...bounds));
+        if (range.color && (point.colorValue === null || point.colorValue === undefined || !inside(point.colorValue, range.color))) {
+            return false;
+        }
+        if (range.size && (point.sizeValue === null || point.sizeValue === undefined || !inside(point.sizeValue, range.size))) {
+            return false;
+        }
+
+        if (point.points && point.points.length > 0) {
+            const mapper = this.getMapper(point);
+            return point.points.some(p =>
+                inside(mapper.mapSVGToDataX(p.x), range.x) && inside(mapper.mapSVGToDataY(p.y), range.y));
+        }
+        return inside(point.dataX, range.x) && inside(point.dataY, range.y);
+    }
+
+    /**
+     * Describe the active filter
+     * @returns {Object} {active, mode, range, series, types, visibleCount, totalCount}
+     */
+    getFilterState() {
+        return {
+            active: this.activeFilter !== null,
+            mode: this.options.filterMode,
+            range: this.activeFilter && this.activeFilter.range ? this.activeFilter.range : null,
+            series: this.activeFilter && this.activeFilter.series ? this.activeFilter.series : null,
+            types: this.activeFilter && this.activeFilter.types ? this.activeFilter.types : null,
+            visibleCount: this.getVisiblePoints().length,
+            totalCount: this.dataPoints.length
+        };
+    }
+
+    /**
+     * Highlight the marks whose colour value lies in a range; the other filter conditions are kept
+     * @param {Array|null} range - [min, max] in colour bar units, or null to drop the colour condition
+     */
+    highlightColorRange(range) {
+        const state = this.getFilterState();
+        const ranges = { ...(state.range || {}) };
+        if (range) {
+            ranges.color = [Math.min(...range), Math.max(...range)];
+        } else {
+            delete ranges.color;
+        }
+        this.filterBy({ range: Object.keys(ranges).length > 0 ? ranges : null, series: state.series, types: state.types });
+        this.syncFilterPanel();
+    }
+
+    /**
+     * Let the user drag along the colour bar to highlight marks in that value range (options.colorbarBrush)
+     * A click without dragging clears the range
+     */
+    setupColorbarBrush() {
+        if (!this.options.colorbarBrush || !this.colorScale) return;
+
+        const scale = this.colorScale;
+        const vertical = scale.orientation === 'vertical';
+        const { left, right, top, bottom } = scale.bounds;
+        const along = (pt) => (vertical ? Math.min(Math.max(pt.y, top), bottom) : Math.min(Math.max(pt.x, left), right));
+        scale.elements.forEach(element => {
+            element.style.cursor = vertical ? 'ns-resize' : 'ew-resize';
+        });
+
+        this.colorbarHandlers = {
+            down: (event) => {
+                const pt = this.clientToSVG(event);
+                if (pt.x < left - 3 || pt.x > right + 3 || pt.y < top - 3 || pt.y > bottom + 3) return;
+                // Keep the plot brush and pan from starting as well
+                event.preventDefault();
+                event.stopPropagation();
+                this.colorbarDrag = { start: along(pt), end: along(pt) };
+            },
+            move: (event) => {
+                if (!this.colorbarDrag) return;
+                this.colorbarDrag.end = along(this.clientToSVG(event));
+                this.drawColorbarSelection(this.colorbarDrag.start, this.colorbarDrag.end);
+            },
+            up: () => {
+                const drag = this.colorbarDrag;
+                if (!drag) return;
+                this.colorbarDrag = null;
+                if (Math.abs(drag.end - drag.start) < 2) {
+                    this.highlightColorRange(null);
+                } else {
+                    this.highlightColorRange([this.getColorbarValue(drag.start), this.getColorbarValue(drag.end)]);
+                }
+            }
+        };
+        this.svg.addEventListener('pointerdown', this.colorbarHandlers.down, true);
+        window.addEventListener('pointermove', this.colorbarHandlers.move);
+        window.addEventListener('pointerup', this.colorbarHandlers.up);
+        window.addEventListener('pointercancel', this.colorbarHandlers.up);
+    }
+
+    /**
+     * Outline a stretch of the colour bar, or remove the outline
+     * @param {number|null} start - SVG coordinate along the bar (null to remove)
+     * @param {number} end - SVG coordinate along the bar
+     */
+    drawColorbarSelection(start, end) {
+        if (start === null) {
+            if (this.colorbarSelection && this.colorbarSelection.parentNode) {
+                this.colorbarSelection.parentNode.removeChild(this.colorbarSelection);
+            }
+            this.colorbarSelection = null;
+            return;
+        }
+
+        if (!this.colorbarSelection) {
+            this.colorbarSelection = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            this.colorbarSelection.setAttribute('class', 'svg-interactive-colorbar-selection');
+            this.colorbarSelection.style.cssText = 'fill: none; stroke: #000; stroke-width: 1.5px; pointer-events: none;';
+            this.svg.appendChild(this.colorbarSelection);
+        }
+        const { left, right, top, bottom } = this.colorScale.bounds;
+        const [lo, hi] = [Math.min(start, end), Math.max(start, end)];
+        const box = this.colorScale.orientation === 'vertical'
+            ? { x: left - 2, y: lo, width: right - left + 4, height: hi - lo }
+            : { x: lo, y: top - 2, width: hi - lo, height: bottom - top + 4 };
+        Object.entries(box).forEach(([attr, value]) => this.colorbarSelection.setAttribute(attr, value));
+    }
+
+    /**
+     * Show the active colour range on the colour bar
+     */
+    updateColorbarSelection() {
+        if (!this.colorbarHandlers) return;
+        const range = this.activeFilter && this.activeFilter.range ? this.activeFilter.range.color : null;
+        if (range) {
+            this.drawColorbarSelection(this.getColorbarPosition(range[0]), this.getColorbarPosition(range[1]));
+        } else {
+            this.drawColorbarSelection(null);
+        }
+    }
+
+    /**
+     * Build the optional filter panel: range sliders per numeric axis and the colour bar, checkboxes per series and mark type
+     */
+    setupFilterPanel() {
+        if (!this.options.showFilterPanel || this.dataPoints.length === 0) return;
+
+        const panel = document.createElement('div');
+        panel.className = 'svg-interactive-filter-panel';
+        panel.style.cssText = 'font-family: sans-serif; font-size: 12px; display: flex; flex-wrap: wrap; gap: 16px; padding: 8px 0;';
+
+        // values maps each checkbox to what it filters by; null stands for points without a series
+        const controls = { ranges: {}, series: [], types: [], values: new Map() };
+        const labels = this.coordinateMapper.getAxisLabels();
+
+        // Rebuild the filter from the current control values
+        const update = () => {
+            const range = {};
+            let restricted = false;
+            Object.entries(controls.ranges).forEach(([axis, { sliders, readout, min, max }]) => {
+                const lo = Math.min(parseFloat(sliders[0].value), parseFloat(sliders[1].value));
+                const hi = Math.max(parseFloat(sliders[0].value), parseFloat(sliders[1].value));
+                readout.textContent = `${this.formatFilterValue(lo, axis)} – ${this.formatFilterValue(hi, axis)}`;
+                const tolerance = (max - min) / 400;
+                if (lo > min + tolerance || hi < max - tolerance) {
+                    range[axis] = [lo, hi];
+                    restricted = true;
+                }
+            });
+            const checked = (list) => (list.some(i => !i.checked) ? list.filter(i => i.checked).map(i => controls.values.get(i)) : null);
+
+            this.filterBy({
+                range: restricted ? range : null,
+                series: checked(controls.series),
+                types: checked(controls.types)
+            });
+        };
+
+        // Colour and size values come from the colour bar and the size legend
+        const encoded = { color: ['colorScale', 'colorValue'], size: ['sizeScale', 'sizeValue'] };
+        ['x', 'y', 'color', 'size'].forEach(axis => {
+            if (encoded[axis] ? !this[encoded[axis][0]] : this.coordinateMapper.getScale(axis).type === 'categorical') return;
+
+            // Lines contribute all their vertices, other marks their position
+            const values = [];
+            this.dataPoints.forEach(p => {
+                if (encoded[axis]) {
+                    const value = p[encoded[axis][1]];
+                    if (value !== null && value !== undefined) values.push(value);
+                } else if (p.points && p.points.length > 0) {
+                    const mapper = this.getMapper(p);
+                    p.points.forEach(v => values.push(axis === 'x' ? mapper.mapSVGToDataX(v.x) : mapper.mapSVGToDataY(v.y)));
+                } else {
+                    values.push(axis === 'x' ? p.dataX : p.dataY);
+                }
+            });
+            const finite = values.filter(v => isFinite(v));
+            if (finite.length === 0) return;
+            const min = finite.reduce((a, b) => Math.min(a, b));
+            const max = finite.reduce((a, b) => Math.max(a, b));
+            if (min === max) return;
+
+            const fieldset = document.createElement('fieldset');
+            fieldset.style.cssText = 'border: 1px solid #ddd; border-radius: 4px; margin: 0;';
+            const legend = document.createElement('legend');
+            legend.textContent = {
+                x: labels.xLabel,
+                y: labels.yLabel,
+                color: this.colorScale && (this.colorScale.title || 'Colour value'),
+                size: this.sizeScale && (this.sizeScale.title || 'Size value')
+            }[axis];
+            const readout = document.createElement('div');
+            fieldset.appendChild(legend);
+
+            const sliders = ['min', 'max'].map(bound => {
+                const input = document.createElement('input');
+                input.type = 'range';
+                input.min = min;
+                input.max = max;
+                input.step = (max - min) / 200;
+                input.value = bound === 'min' ? min : max;
+                input.setAttribute('aria-label', `${legend.textContent} ${bound}imum`);
+                input.addEventListener('input', update);
+                fieldset.appendChild(input);
+                return input;
+            });
+            fieldset.appendChild(readout);
+            panel.appendChild(fieldset);
+            controls.ranges[axis] = { sliders, readout, min, max };
+        });
+
+        const addCheckboxes = (title, values, list) => {
+            if (values.length < 2) return;
+            const fieldset = document.createElement('fieldset');
+            fieldset.style.cssText = 'border: 1px solid #ddd; border-radius: 4px; margin: 0;';
+            const legend = document.createElement('legend');
+            legend.textContent = title;
+            fieldset.appendChild(legend);
+
+            values.forEach(value => {
+                const label = document.createElement('label');
+                label.style.cssText = 'display: block; white-space: nowrap;';
+                const input = document.createElement('input');
+                input.type = 'checkbox';
+                input.checked = true;
+                input.value = value === null ? '' : value;
+                input.addEventListener('change', update);
+                label.appendChild(input);
+                label.appendChild(document.createTextNode(' ' + (value === null ? '(no series)' : value)));
+                fieldset.appendChild(label);
+                list.push(input);
+                controls.values.set(input, value);
+            });
+            panel.appendChild(fieldset);
+        };
+
+        const seriesNames = [...new Set(this.dataPoints.map(p => p.series).filter(s => s !== null && s !== undefined))];
+        // Marks outside the legend get their own box, so unchecking a series does not hide them too
+        if (seriesNames.length > 0 && this.dataPoints.some(p => p.series === null || p.series === undefined)) {
+            seriesNames.push(null);
+        }
+        addCheckboxes((this.legend && this.legend.title) || 'Series', seriesNames, controls.series);
+        addCheckboxes('Mark type', [...new Set(this.dataPoints.map(p => p.type))], controls.types);
+
+        const reset = document.createElement('button');
+        reset.type = 'button';
+        reset.textContent = 'Reset filter';
+        reset.addEventListener('click', () => {
+            Object.values(controls.ranges).forEach(({ sliders, min, max }) => {
+                sliders[0].value = min;
+                sliders[1].value = max;
+            });
+            controls.series.concat(controls.types).forEach(input => { input.checked = true; });
+            update();
+        });
+        panel.appendChild(reset);
+
+        const container = this.options.filterPanelContainer;
+        if (container) {
+            container.appendChild(panel);
+        } else if (this.svg.parentNode) {
+            this.svg.parentNode.insertBefore(panel, this.svg.nextSibling);
+        }
+        this.filterPanel = panel;
+        this.filterControls = controls;
+
+        // Fill in the range readouts
+        Object.entries(controls.ranges).forEach(([axis, { readout, min, max }]) => {
+            readout.textContent = `${this.formatFilterValue(min, axis)} – ${this.formatFilterValue(max, axis)}`;
+        });
+    }
+
+    /**
+     * Format a filter panel range value
+     * @param {number} value - Value
+     * @param {string} key - 'x', 'y', 'color' or 'size'
+     * @returns {string} Formatted value
+     */
+    formatFilterValue(value, key) {
+        return key === 'color' || key === 'size' ? this.formatScaleValue(value) : this.coordinateMapper.formatValue(value, key);
+    }
+
+    /**
+     * Build the optional export toolbar: scope picker, copy and download buttons
+     */
+    setupToolbar() {
+        if (!this.options.showToolbar) return;
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'svg-interactive-toolbar';
+        toolbar.setAttribute('role', 'toolbar');
+        toolbar.setAttribute('aria-label', 'Export data');
+        toolbar.style.cssText = 'font-family: sans-serif; font-size: 12px; display: flex; align-items: center; gap: 6px; padding: 4px 0;';
+
+        const scope = document.createElement('select');
+        scope.setAttribute('aria-label', 'Points to export');
+        [['all', 'All points'], ['selected', 'Selected'], ['filtered', 'Filtered']].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            scope.appendChild(option);
+        });
+        toolbar.appendChild(scope);
+
+        const status = document.createElement('span');
+        status.setAttribute('aria-live', 'polite');
+        status.style.color = '#666';
+
+        const report = (text) => {
+            status.textContent = text;
+            clearTimeout(this.toolbarStatusTimer);
+            this.toolbarStatusTimer = setTimeout(() => { status.textContent = ''; }, 2500);
+        };
+        const count = () => `${this.getExportPoints(scope.value).length} point(s)`;
+
+        [
+            ['Copy CSV', () => this.copyData('csv', { scope: scope.value })
+                .then(() => report(`Copied ${count()}`), error => report(error.message))],
+            ['Download CSV', () => this.downloadData('csv', { scope: scope.value })],
+            ['Download JSON', () => this.downloadData('json', { scope: scope.value })]
+        ].forEach(([text, action]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = text;
+            button.addEventListener('click', action);
+            toolbar.appendChild(button);
+        });
+        toolbar.appendChild(status);
+
+        const container = this.options.toolbarContainer;
+        if (container) {
+            container.appendChild(toolbar);
+        } else if (this.svg.parentNode) {
+            this.svg.parentNode.insertBefore(toolbar, this.svg.nextSibling);
+        }
+        this.toolbar = toolbar;
+    }
+
+    /**
+     * Check if element is likely a background/grid element
+     * @param {Element} element - SVG element
+     * @returns {boolean} True if background element
+     */
+    isBackgroundElement(element) {
+        return this.getBackgroundReason(element) !== null;
+    }
+
+    /**
+     * Explain why an element looks like a background/grid element
+     * Include rules win over exclude rules; the first matching exclude rule gives the reason
+     * @param {Element} element - SVG element
+     * @returns {string|null} Reason, or null if the element looks like data
+     */
+    getBackgroundReason(element) {
+        const rules = this.getBackgroundRules();
+        const info = this.describeElement(element);
+        
+        if (rules.include.some(rule => this.matchesRule(rule, element, info))) {
+            return null;
+        }
+        
+        const rule = rules.exclude.find(rule => this.matchesRule(rule, element, info));
+        return rule ? rule.reason || 'background rule' : null;
+    }
+
+    /**
+     * Collect the active background rules: custom rules first, then the theme profile, then the common rules
+     * @returns {Object} {include: [rule], exclude: [rule]}
+     */
+    getBackgroundRules() {
+        if (this.backgroundRules) return this.backgroundRules;
+        
+        const custom = this.options.backgroundRules || {};
+        const common = SVGInteractive.commonBackgroundRules;
+        const include = [];
+        const exclude = [];
+        
+        // A profile may extend another one (seaborn builds on matplotlib, gramm on MATLAB)
+        let profile = this.getThemeProfile();
+        const seen = new Set();
+        while (profile && !seen.has(profile)) {
+            seen.add(profile);
+            include.push(...(profile.include || []));
+            exclude.push(...(profile.rules || []));
+            profile = profile.extends ? SVGInteractive.themeProfiles[profile.extends] : null;
+        }
+        
+        this.backgroundRules = {
+            include: [...(custom.include || []), ...include, ...common.include],
+            exclude: [...(custom.exclude || []), ...exclude, ...common.exclude]
+        };
+        return this.backgroundRules;
+    }
+
+    /**
+     * Resolve the theme profile from options.themeProfile, detecting it from the SVG when set to 'auto'
+     * @returns {Object} Profile {label, detect?, extends?, rules, include?}
+     */
+    getThemeProfile() {
+        const option = this.options.themeProfile;
+        const profiles = SVGInteractive.themeProfiles;
+        
+        if (option && typeof option === 'object') {
+            this.themeProfile = option.name || 'custom';
+            return option;
+        }
+        
+        if (option && option !== 'auto') {
+            if (profiles[option]) {
+                this.themeProfile = option;
+                return profiles[option];
+            }
+            console.warn(`Unknown theme profile "${option}", detecting one instead`);
+        }
+        
+        const name = Object.keys(profiles).find(key => {
+            const detect = profiles[key].detect;
+            try {
+                return typeof detect === 'function' && detect(this.svg, this);
+            } catch (error) {
+                console.warn(`Theme profile "${key}" detection failed:`, error);
+                return false;
+            }
+        }) || 'generic';
+        
+        this.themeProfile = name;
+        return profiles[name];
+    }
+
+    /**
+     * Identify the software that wrote the SVG from its signatures
+     * @returns {string|null} 'matplotlib', 'ggplot' (svglite / ggiraph), 'matlab' or null
+     */
+    detectProducer() {
+        const svg = this.svg;
+        const comments = [];
+        const walker = document.createTreeWalker(svg, NodeFilter.SHOW_COMMENT);
+        while (walker.nextNode()) comments.push(walker.currentNode.textContent);
+        if (svg.ownerDocument && svg.ownerDocument.documentElement === svg) {
+            // Producer comments usually sit in the prolog, before the root element
+            Array.from(svg.ownerDocument.childNodes)
+                .filter(node => node.nodeType === Node.COMMENT_NODE)
+                .forEach(node => comments.push(node.textContent));
+        }
+        const text = [
+            ...comments,
+            ...Array.from(svg.querySelectorAll('metadata, desc, title')).map(el => el.textContent)
+        ].join(' ');
+        
+        if (svg.querySelector('g#figure_1') || /matplotlib/i.test(text)) return 'matplotlib';
+        if (svg.classList.contains('svglite') || /svglite|ggplot/i.test(text) ||
+            (/^svg_[\w-]+$/.test(svg.id || '') && svg.querySelector('[id*="_el_"]'))) return 'ggplot';
+        if (/MATLAB/.test(text)) return 'matlab';
+        return null;
+    }
+
+    /**
+     * Check whether any drawn shape uses one of the given colours
+     * @param {string} property - 'fill' or 'stroke'
+     * @param {Array} colors - Colours to look for
+     * @returns {boolean} True if at least one shape uses one of them
+     */
+    hasPaint(property, colors) {
+        const wanted = colors.map(color => this.normalizeColor(color));
+        return Array.from(this.svg.querySelectorAll('rect, path, polygon, polyline, line')).some(element =>
+            !element.closest('defs, clipPath, marker, symbol, pattern, mask') &&
+            wanted.includes(this.normalizeColor(this.getPaint(element, property))));
+    }
+
+    /**
+     * Gather what background rules test: tag, paint, geometry and the figure size
+     * @param {Element} element - SVG element
+     * @returns {Object} {tag, fill, stroke, strokeWidth, strokeOpacity, bbox, figure, segment, axisAligned}
+     */
+    describeElement(element) {
+        const style = window.getComputedStyle(element);
+        const info = {
+            tag: element.tagName.toLowerCase(),
+            fill: this.normalizeColor(this.getPaint(element, 'fill')),
+            stroke: this.normalizeColor(this.getPaint(element, 'stroke')),
+            strokeWidth: parseFloat(style.strokeWidth || element.getAttribute('stroke-width')) || 1,
+            strokeOpacity: parseFloat(style.strokeOpacity || element.getAttribute('stroke-opacity')),
+            bbox: null,
+            figure: null,
+            segment: null
+        };
+        if (isNaN(info.strokeOpacity)) info.strokeOpacity = 1;
+        
+        try {
+            info.bbox = element.getBBox();
+            info.figure = this.svg.getBBox();
+        } catch (error) {
+            // Not rendered; size rules do not apply
+        }
+        
+        // Two-point line, polyline or path: grid lines, spines and axis lines
+        if (info.tag === 'line' || info.tag === 'polyline' || info.tag === 'path') {
+            info.segment = this.coordinateMapper.getSegment(element);
+        }
+        info.axisAligned = !!info.segment &&
+            (Math.abs(info.segment[0].x - info.segment[1].x) < 1 || Math.abs(info.segment[0].y - info.segment[1].y) < 1);
+        return info;
+    }
+
+    /**
+     * Check one background rule; every condition the rule specifies must hold
+     * Rule: {reason, tags?, selector?, fill?: [colours], stroke?: [colours], test?(element, info, chart)}
+     * @param {Object} rule - Background rule
+     * @param {Element} element - SVG element
+     * @param {Object} info - Description from describeElement()
+     * @returns {boolean} True if the rule matches
+     */
+    matchesRule(rule, element, info) {
+        if (rule.tags && !rule.tags.includes(info.tag)) return false;
+        if (rule.selector && !element.matches(rule.selector)) return false;
+        if (rule.fill && !rule.fill.some(color => this.normalizeColor(color) === info.fill)) return false;
+        if (rule.stroke && !rule.stroke.some(color => this.normalizeColor(color) === info.stroke)) return false;
+        if (rule.test && !rule.test(element, info, this)) return false;
+        return true;
+    }
+
+    /**
+     * Run an extractor on an element and add a data point per record
+     * @param {Element} element - SVG element
+     * @param {Object} extractor - Extractor that claimed the element
+     */
+    processElement(element, extractor) {
+        let records;
+        try {
+            records = extractor.extract(element, this);
+        } catch (error) {
+            console.warn(`Extractor "${extractor.name}" failed:`, error);
+            this.rejectElement(element, `the "${extractor.name}" extractor failed: ${error.message}`);
+            return;
+        }
+
+        // A string names the reason the extractor turned the element down
+        if (typeof records === 'string') {
+            this.rejectElement(element, records);
+            return;
+        }
+
+        const valid = [].concat(records || []).filter(record => record && isFinite(record.x) && isFinite(record.y));
+        if (valid.length === 0) {
+            this.rejectElement(element, `no usable geometry from the "${extractor.name}" extractor`);
+        }
+        valid.forEach(record => this.addDataPoint(element, record.type || extractor.name, record));
+    }
+
+    /**
+     * Turn an extracted record into a data point in data coordinates
+     * @param {Element} element - SVG element
+     * @param {string} type - Mark type
+     * @param {Object} record - Extractor record {x, y, width, height, ...additional data}
+     */
+    addDataPoint(element, type, record) {
+        const { x, y, width: recordWidth, height: recordHeight, type: recordType, ...additionalData } = record;
+        let svgX = x, svgY = y;
+        let width = recordWidth || 0, height = recordHeight || 0;
+
+        // Resolve group/element transforms so marks share the axes' coordinate system
+        const matrix = this.coordinateMapper.getElementMatrix(element);
+        if (!this.coordinateMapper.isIdentity(matrix)) {
+            ({ x: svgX, y: svgY } = this.coordinateMapper.transformPoint(matrix, svgX, svgY));
+            width *= Math.hypot(matrix.a, matrix.b);
+            height *= Math.hypot(matrix.c, matrix.d);
+
+            if (additionalData.points) {
+                additionalData.points = additionalData.points.map(p => this.coordinateMapper.transformPoint(matrix, p.x, p.y));
+                additionalData.startPoint = additionalData.points[0];
+                additionalData.endPoint = additionalData.points[additionalData.points.length - 1];
+            }
+        }
+
+        // Convert to data coordinates with the mapper of the panel the mark sits in
+        const panel = this.getPanelAt(svgX, svgY);
+        const mapper = panel.mapper;
+        const dataX = mapper.mapSVGToDataX(svgX);
+        const dataY = mapper.mapSVGToDataY(svgY);
+        
+        // Marks on categorical axes belong to the category whose tick/band they sit on
+        const categoryX = mapper.getCategory(svgX, 'x');
+        const categoryY = mapper.getCategory(svgY, 'y');
+        
+        if (categoryX && categoryY) {
+            additionalData.categories = { x: categoryX.category, y: categoryY.category };
+        }
+        
+        const dataPoint = {
+            id: this.dataPoints.length,
+            element: element,
+            type: type,
+            svgX: svgX,
+            svgY: svgY,
+            dataX: dataX,
+            dataY: dataY,
+            category: categoryX ? categoryX.category : (categoryY ? categoryY.category : null),
+            panel: panel.index,
+            facetLabels: panel.facetLabels,
+            width: width,
+            height: height,
+            originalStyle: this.getOriginalStyle(element),
+            ...additionalData
+        };
+        
+        this.dataPoints.push(dataPoint);
+    }
+
+    /**
+     * Record the style an element has before any hover, selection or visibility styling
+     * Opacity and display are the inline values only, so restoring them adds no inline style
+     * @param {Element} element - SVG element
+     * @returns {Object} {fill, stroke, strokeWidth, opacity, display}
+     */
+    getOriginalStyle(element) {
+        return {
+            fill: element.style.fill || window.getComputedStyle(element).fill,
+            stroke: element.style.stroke || window.getComputedStyle(element).stroke,
+            strokeWidth: element.style.strokeWidth || window.getComputedStyle(element).strokeWidth,
+            opacity: element.style.opacity,
+            display: element.style.display
+        };
+    }
+
+    /**
+     * Get the original style of one element of a point
+     * @param {Object} point - Data point
+     * @param {Element} element - One of the point's elements
+     * @returns {Object} Style recorded by getOriginalStyle()
+     */
+    getPartStyle(point, element) {
+        return point.partStyles ? point.partStyles.get(element) : point.originalStyle;
+    }
+
+    /**
+     * Get the elements that make up a point: every part of a glyph, otherwise the mark itself
+     * @param {Object} point - Data point
+     * @returns {Array} SVG elements
+     */
+    getPointElements(point) {
+        return point.parts || [point.element];
+    }
+
+    /**
+     * Parse polyline points string into coordinate array
+     * @param {string} pointsStr - Points attribute string
+     * @returns {Array} Array of {x, y} coordinates
+     */
+    parsePolylinePoints(pointsStr) {
+        try {
+            const coords = [];
+            const points = pointsStr.trim().split(/[\s,]+/);
+            
+            for (let i = 0; i < points.length; i += 2) {
+                if (i + 1 < points.length) {
+                    const x = parseFloat(points[i]);
+                    const y = parseFloat(points[i + 1]);
+                    
+                    if (!isNaN(x) && !isNaN(y)) {
+                        coords.push({ x, y });
+                    }
+                }
+            }
+            
+            return coords;
+        } catch (error) {
+            console.warn('Error parsing polyline points:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Calculate centroid of polyline points
+     * @param {Array} coords - Array of {x, y} coordinates
+     * @returns {Object} Centroid {x, y}
+     */
+    calculateCentroid(coords) {
+        if (coords.length === 0) return { x: 0, y: 0 };
+        
+        const sum = coords.reduce((acc, point) => ({
+            x: acc.x + point.x,
+            y: acc.y + point.y
+        }), { x: 0, y: 0 });
+        
+        return {
+            x: sum.x / coords.length,
+            y: sum.y / coords.length
+        };
+    }
+
+    /**
+     * Build an extractor record for a list of vertices: centroid, bounding box and endpoints
+     * @param {Array} coords - Array of {x, y} coordinates
+     * @returns {Object|null} Record, or null without vertices
+     */
+    getPointsRecord(coords) {
+        if (coords.length === 0) return null;
+
+        const centroid = this.calculateCentroid(coords);
+        const xs = coords.map(p => p.x);
+        const ys = coords.map(p => p.y);
+        return {
+            x: centroid.x,
+            y: centroid.y,
+            width: Math.max(...xs) - Math.min(...xs),
+            height: Math.max(...ys) - Math.min(...ys),
+            points: coords,
+            startPoint: coords[0],
+            endPoint: coords[coords.length - 1],
+            pointCount: coords.length
+        };
+    }
+
+    /**
+     * Classify a parsed path: open strokes are lines, small closed shapes marker glyphs, other closed shapes areas
+     * @param {Object} path - Result of CoordinateMapper.parsePathData
+     * @param {number} width - Bounding box width
+     * @param {number} height - Bounding box height
+     * @returns {string} 'line', 'area' or 'marker'
+     */
+    classifyPath(path, width, height) {
+        const closed = path.subpaths.some(subpath => {
+            const first = subpath.points[0];
+            const last = subpath.points[subpath.points.length - 1];
+            return subpath.closed || (subpath.points.length > 2 && Math.hypot(first.x - last.x, first.y - last.y) < 0.01);
+        });
+        if (!closed) return 'line';
+
+        // Marker glyphs are a few points across; bars, ribbons and violins are larger
+        return Math.max(width, height) <= 15 ? 'marker' : 'area';
+    }
+
+    /**
+     * Check whether a mark is read as a line: polylines and open paths
+     * @param {Object} point - Data point
+     * @returns {boolean} True for line marks
+     */
+    isLineMark(point) {
+        return point.type === 'polyline' || point.pathKind === 'line';
+    }
+
+    /**
+     * Setup tooltip element
+     */
+    setupTooltip() {
+        if (!this.options.enableTooltips && !this.options.enableDetailOnDemand) return;
+        
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'svg-interactive-tooltip';
+        
+        // Enhanced styling based on tooltip style
+        const baseStyle = `
+            position: absolute;
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            pointer-events: none;
+            z-index: 10000;
+            opacity: 0;
+            transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+            box-shadow: 0 4px 20px rgba(0, 0, 0, 0.15);
+            border-radius: 8px;
+            backdrop-filter: blur(10px);
+            word-wrap: break-word;
+            line-height: 1.4;
+        `;
+        
+        let styleVariant = '';
+        switch (this.options.tooltipStyle) {
+            case 'basic':
+                styleVariant = `
+                    background: rgba(0, 0, 0, 0.9);
+                    color: white;
+                    padding: 8px 12px;
+                    font-size: 12px;
+                    max-width: 200px;
+                `;
+                break;
+            case 'enhanced':
+                styleVariant = `
+                    background: rgba(255, 255, 255, 0.95);
+                    color: #333;
+                    padding: 12px 16px;
+                    font-size: 13px;
+                    max-width: 280px;
+                    border: 1px solid rgba(0, 0, 0, 0.1);
+                    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.1);
+                `;
+                break;
+            case 'detailed':
+                styleVariant = `
+                    background: linear-gradient(135deg, rgba(255, 255, 255, 0.98), rgba(248, 249, 250, 0.98));
+                    color: #2c3e50;
+                    padding: 16px 20px;
+                    font-size: 14px;
+                    max-width: 350px;
+                    border: 1px solid rgba(52, 152, 219, 0.2);
+                    box-shadow: 0 12px 40px rgba(0, 0, 0, 0.12);
+                `;
+                break;
+        }
+        
+        this.tooltip.style.cssText = baseStyle + styleVariant;
+        document.body.appendChild(this.tooltip);
+        
+        // Add tooltip hover delay timer
+        this.tooltipTimer = null;
+    }
+
+    /**
+     * Add event listeners to data points
+     */
+    addEventListeners() {
+        this.dataPoints.forEach(point => this.getPointElements(point).forEach(element => {
+            // Make element interactive
+            element.style.cursor = 'pointer';
+            
+            // Element listeners only apply to exact hit-testing; 'nearest' mode listens on the SVG
+            const exact = () => this.options.hitMode === 'element';
+            
+            // Pointer enter (hover start) - touch has no hover, taps are handled separately
+            element.addEventListener('pointerenter', (event) => {
+                if (exact() && event.pointerType !== 'touch') this.handleMouseEnter(event, point);
+            });
+            
+            // Pointer move (tooltip positioning)
+            element.addEventListener('pointermove', (event) => {
+                if (exact() && event.pointerType !== 'touch') this.handleMouseMove(event, point);
+            });
+            
+            // Pointer leave (hover end)
+            element.addEventListener('pointerleave', (event) => {
+                if (exact() && event.pointerType !== 'touch') this.handleMouseLeave(event, point);
+            });
+            
+            // Touch down (tap / long-press detection)
+            element.addEventListener('pointerdown', (event) => {
+                if (exact() && event.pointerType === 'touch') this.handleTouchStart(event, point);
+            });
+            
+            // Click (selection, also fired by taps)
+            element.addEventListener('click', (event) => {
+                if (exact()) this.handleClick(event, point);
+            });
+        }));
+    }
+
+    /**
+     * Setup SVG-level listeners for nearest-point hit-testing
+     */
+    setupHitTesting() {
+        this.hitHandlers = {
+            move: (event) => {
+                if (this.options.hitMode === 'nearest' && event.pointerType !== 'touch') this.handleNearestMove(event);
+            },
+            leave: (event) => {
+                if (this.hoverPoint && event.pointerType !== 'touch') this.setHoverPoint(null, event);
+            },
+            down: (event) => {
+                if (this.options.hitMode !== 'nearest' || event.pointerType !== 'touch') return;
+                const hit = this.findNearestPoint(this.clientToSVG(event));
+                if (hit) this.handleTouchStart(event, hit.point);
+            },
+            click: (event) => {
+                if (this.options.hitMode !== 'nearest') return;
+                const hit = this.findNearestPoint(this.clientToSVG(event));
+                if (hit) this.handleClick(event, hit.point);
+            }
+        };
+        this.svg.addEventListener('pointermove', this.hitHandlers.move);
+        this.svg.addEventListener('pointerleave', this.hitHandlers.leave);
+        this.svg.addEventListener('pointerdown', this.hitHandlers.down);
+        this.svg.addEventListener('click', this.hitHandlers.click);
+    }
+
+    /**
+     * Switch hit-testing mode
+     * @param {string} mode - 'element' or 'nearest'
+     */
+    setHitMode(mode) {
+        if (mode !== 'element' && mode !== 'nearest') {
+            console.warn(`Unknown hit mode: ${mode}`);
+            return;
+        }
+
+        if (this.hoverPoint) {
+            this.setHoverPoint(null, null);
+        }
+        this.options.hitMode = mode;
+    }
+
+    /**
+     * Index marks, and polyline segments, in a quadtree
+     * Large marks (bars, long segments) are kept in a separate list so they do not widen every query
+     */
+    buildSpatialIndex() {
+        const small = [];
+        const large = [];
+        const reachLimit = 10; // SVG units
+
+        const add = (item) => (item.reach > reachLimit ? large : small).push(item);
+
+        this.dataPoints.forEach(point => {
+            // Lines are hit along their segments; areas and glyphs by their box
+            if (point.points && point.points.length > 1 && (this.isLineMark(point) || point.type === 'line')) {
+                const starts = new Set(point.subpathStarts || []);
+                for (let i = 1; i < point.points.length; i++) {
+                    if (starts.has(i)) continue; // No segment between subpaths
+                    const a = point.points[i - 1];
+                    const b = point.points[i];
+                    add({
+                        x: (a.x + b.x) / 2,
+                        y: (a.y + b.y) / 2,
+                        reach: Math.hypot(b.x - a.x, b.y - a.y) / 2,
+                        point: point,
+                        segment: i - 1
+                    });
+                }
+            } else {
+                const hw = (point.width || 0) / 2;
+                const hh = (point.height || 0) / 2;
+                add({ x: point.svgX, y: point.svgY, reach: Math.hypot(hw, hh), hw, hh, point: point });
+            }
+        });
+
+        this.spatialIndex = {
+            tree: QuadTree.fromItems(small),
+            large: large,
+            reach: reachLimit
+        };
+    }
+
+    /**
+     * Find the mark closest to an SVG position
+     * @param {Object} pt - SVG coordinates {x, y}
+     * @param {number} radius - Search radius in SVG units (defaults to hitRadius in screen pixels)
+     * @returns {Object|null} {point, distance, vertexIndex, position} or null if nothing is within the radius
+     */
+    findNearestPoint(pt, radius = this.getHitRadius()) {
+        if (typeof QuadTree === 'undefined') {
+            console.warn('Nearest-point hit-testing needs lib/quadtree.js');
+            return null;
+        }
+        if (!this.spatialIndex) {
+            this.buildSpatialIndex();
+        }
+
+        const span = radius + this.spatialIndex.reach;
+        const candidates = this.spatialIndex.tree
+            .search(pt.x - span, pt.y - span, pt.x + span, pt.y + span)
+            .concat(this.spatialIndex.large);
+
+        let best = null;
+        candidates.forEach(item => {
+            if (!this.isPointVisible(item.point)) return;
+            const hit = this.measureHit(item, pt);
+            if (!(hit.distance <= radius)) return; // also rejects NaN positions
+
+            // On ties (cursor inside several marks) prefer the smaller mark
+            const area = (item.point.width || 0) * (item.point.height || 0);
+            if (!best || hit.distance < best.distance || (hit.distance === best.distance && area < best.area)) {
+                best = { ...hit, point: item.point, area: area };
+            }
+        });
+
+        if (!best) return null;
+        delete best.area;
+        return best;
+    }
+
+    /**
+     * Distance from a position to an indexed mark or segment
+     * @param {Object} item - Spatial index item
+     * @param {Object} pt - SVG coordinates {x, y}
+     * @returns {Object} {distance, vertexIndex, position}
+     */
+    measureHit(item, pt) {
+        if (item.segment === undefined) {
+            const dx = Math.max(0, Math.abs(pt.x - item.x) - item.hw);
+            const dy = Math.max(0, Math.abs(pt.y - item.y) - item.hh);
+            return { distance: Math.hypot(dx, dy), vertexIndex: null, position: { x: item.x, y: item.y } };
+        }
+
+        const a = item.point.points[item.segment];
+        const b = item.point.points[item.segment + 1];
+        const lengthSq = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+        const t = lengthSq > 0 ? Math.min(Math.max(((pt.x - a.x) * (b.x - a.x) + (pt.y - a.y) * (b.y - a.y)) / lengthSq, 0), 1) : 0;
+        const position = { x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y) };
+
+        return {
+            distance: Math.hypot(pt.x - position.x, pt.y - position.y),
+            vertexIndex: t < 0.5 ? item.segment : item.segment + 1,
+            segment: item.segment,
+            t: t,
+            position: position
+        };
+    }
+
+    /**
+     * Convert hitRadius from screen pixels to SVG units at the current zoom
+     * @returns {number} Radius in SVG units
+     */
+    getHitRadius() {
+        const ctm = this.svg.getScreenCTM ? this.svg.getScreenCTM() : null;
+        const scale = ctm ? Math.hypot(ctm.a, ctm.b) : 0;
+        return this.options.hitRadius / (scale || 1);
+    }
+
+    /**
+     * Drive hover from the nearest mark under the pointer
+     * @param {Event} event - Pointer event
+     */
+    handleNearestMove(event) {
+        if (this.brush && this.brush.active) return;
+
+        const hit = this.findNearestPoint(this.clientToSVG(event));
+        this.hoverHit = hit;
+        this.setHoverPoint(hit ? hit.point : null, event);
+
+        if (this.hoverPoint) {
+            this.handleMouseMove(event, this.hoverPoint);
+        }
+    }
+
+    /**
+     * Move hover from the current mark to another one
+     * @param {Object|null} point - Newly hovered point, or null
+     * @param {Event} event - Triggering event
+     */
+    setHoverPoint(point, event) {
+        if (point === this.hoverPoint) return;
+
+        const previous = this.hoverPoint;
+        this.hoverPoint = point;
+        if (previous) {
+            this.handleMouseLeave(event, previous);
+        }
+        if (point) {
+            this.handleMouseEnter(event, point);
+        }
+    }
+
+    /**
+     * Setup tap, long-press and tap-outside handling for touch input
+     */
+    setupTouch() {
+        this.touchHandlers = {
+            move: (event) => this.handleTouchMove(event),
+            end: (event) => this.handleTouchEnd(event),
+            cancel: () => this.cancelTouch(),
+            outside: (event) => {
+                if (this.pinnedPoint && event.target !== this.pinnedPoint.element) {
+                    this.unpinTooltip();
+                }
+            },
+            contextmenu: (event) => {
+                if (this.touch) event.preventDefault();
+            }
+        };
+        document.addEventListener('pointerdown', this.touchHandlers.outside, true);
+        this.svg.addEventListener('contextmenu', this.touchHandlers.contextmenu);
+        this.svg.style.webkitTouchCallout = 'none';
+        this.updateTouchAction();
+    }
+
+    /**
+     * Let the browser handle touch scrolling unless we need drags ourselves (brush, pan, pinch)
+     */
+    updateTouchAction() {
+        this.svg.style.touchAction = this.options.enableZoom || this.options.brushMode ? 'none' : 'manipulation';
+    }
+
+    /**
+     * Handle a finger touching a mark: start the long-press timer
+     * @param {Event} event - Pointer event
+     * @param {Object} point - Data point
+     */
+    handleTouchStart(event, point) {
+        this.cancelTouch();
+        this.touch = {
+            point: point,
+            clientX: event.clientX,
+            clientY: event.clientY,
+            longPress: false,
+            timer: null
+        };
+
+        if (this.options.enableDetailOnDemand) {
+            this.touch.timer = setTimeout(() => {
+                this.touch.longPress = true;
+                this.pinTooltip(point, true);
+            }, this.options.longPressDelay);
+        }
+
+        window.addEventListener('pointermove', this.touchHandlers.move);
+        window.addEventListener('pointerup', this.touchHandlers.end);
+        window.addEventListener('pointercancel', this.touchHandlers.cancel);
+    }
+
+    /**
+     * Cancel tap / long-press once the finger moves away (drag, pan, brush)
+     * @param {Event} event - Pointer event
+     */
+    handleTouchMove(event) {
+        const touch = this.touch;
+        if (!touch) return;
+
+        if (Math.hypot(event.clientX - touch.clientX, event.clientY - touch.clientY) > 10) {
+            this.cancelTouch();
+        }
+    }
+
+    /**
+     * Handle finger lift: a short tap pins the tooltip to the mark
+     * @param {Event} event - Pointer event
+     */
+    handleTouchEnd(event) {
+        const touch = this.touch;
+        this.cancelTouch();
+        if (!touch) return;
+
+        if (touch.longPress) {
+            // A long-press shows detail but does not toggle the selection
+            this.suppressClick = true;
+            setTimeout(() => { this.suppressClick = false; }, 400);
+        } else {
+            this.pinTooltip(touch.point, false);
+        }
+    }
+
+    /**
+     * Stop tracking the current touch
+     */
+    cancelTouch() {
+        if (this.touch && this.touch.timer) {
+            clearTimeout(this.touch.timer);
+        }
+        this.touch = null;
+        window.removeEventListener('pointermove', this.touchHandlers.move);
+        window.removeEventListener('pointerup', this.touchHandlers.end);
+        window.removeEventListener('pointercancel', this.touchHandlers.cancel);
+    }
+
+    /**
+     * Show a tooltip that stays on a mark until the user taps elsewhere
+     * @param {Object} point - Data point
+     * @param {boolean} detailed - Show the detailed (detail-on-demand) tooltip
+     */
+    pinTooltip(point, detailed) {
+        if (this.pinnedPoint && this.pinnedPoint !== point) {
+            this.unpinTooltip();
+        }
+        this.pinnedPoint = point;
+        this.applyHoverStyle(point);
+
+        if (this.tooltip && (this.options.enableTooltips || this.options.enableDetailOnDemand)) {
+            const context = { ...this.getDataContext(point), detailed: detailed };
+            this.tooltip.innerHTML = this.options.tooltipFormat(point, context);
+            this.positionTooltipAt(point);
+            this.showTooltip();
+        }
+
+        this.announce(this.getAccessibleLabel(point));
+        this.options.onHover(point, 'enter');
+    }
+
+    /**
+     * Dismiss a pinned tooltip
+     */
+    unpinTooltip() {
+        const point = this.pinnedPoint;
+        if (!point) return;
+
+        this.pinnedPoint = null;
+        if (!this.selectedPoints.has(point.id)) {
+            this.resetStyle(point);
+        }
+        this.hideTooltip();
+        this.options.onHover(point, 'leave');
+    }
+
+    /**
+     * Place the tooltip next to a mark (for taps and keyboard focus)
+     * @param {Object} point - Data point
+     */
+    positionTooltipAt(point) {
+        if (!this.tooltip) return;
+
+        const rect = point.element.getBoundingClientRect();
+        this.tooltip.style.left = (rect.right + window.pageXOffset + 10) + 'px';
+        this.tooltip.style.top = (rect.top + window.pageYOffset - 10) + 'px';
+    }
+
+    /**
+     * Handle mouse enter event
+     * @param {Event} event - Mouse event
+     * @param {Object} point - Data point
+     */
+    handleMouseEnter(event, point) {
+        // Apply hover styling immediately
+        this.applyHoverStyle(point);
+        
+        // Show tooltip with delay
+        if ((this.options.enableTooltips || this.options.enableDetailOnDemand) && this.tooltip) {
+            // Clear any existing timer
+            if (this.tooltipTimer) {
+                clearTimeout(this.tooltipTimer);
+            }
+            
+            // Set delay before showing tooltip
+            this.tooltipTimer = setTimeout(() => {
+                const content = this.options.tooltipFormat(point, this.getTooltipContext(point));
+                this.tooltip.innerHTML = content;
+                this.showTooltip();
+            }, this.options.tooltipDelay);
+        }
+        
+        // Keyboard focus is read out from the element's own label
+        if (event.type !== 'focus') {
+            this.announce(this.getAccessibleLabel(point));
+        }
+        
+        // Call user callback
+        this.options.onHover(point, 'enter');
+    }
+
+    /**
+     * Handle mouse move event
+     * @param {Event} event - Mouse event
+     * @param {Object} point - Data point
+     */
+    handleMouseMove(event, point) {
+        if (this.tooltip && this.options.enableTooltips) {
+            this.tooltip.style.left = (event.pageX + 10) + 'px';
+            this.tooltip.style.top = (event.pageY - 10) + 'px';
+        }
+        
+        // Track the hovered position along a line
+        if (this.isLineMark(point) && this.options.polylineHover !== 'series' && point.points && point.points.length > 0) {
+            this.trackPolyline(event, point);
+        }
+    }
+
+    /**
+     * Follow the pointer along a polyline: marker dot, optional compare rule and a per-vertex tooltip
+     * @param {Event} event - Pointer event
+     * @param {Object} point - Polyline data point
+     */
+    trackPolyline(event, point) {
+        const pt = this.clientToSVG(event);
+        const mapper = this.getMapper(point);
+        const interpolate = this.options.polylineHover === 'interpolate';
+
+        const position = (interpolate && this.interpolateAtX(point.points, pt.x)) || this.nearestVertex(point.points, pt);
+        const interpolated = interpolate && position.interpolated;
+
+        // A line with one embedded row per vertex reads exact values at its vertices
+        const row = point.rows && point.rows.length === point.points.length && !interpolated ? point.rows[position.vertexIndex] : null;
+        const exact = this.getRowValues(point, row);
+
+        const previous = this.trackedVertex;
+        this.trackedVertex = {
+            point: point,
+            index: position.vertexIndex,
+            interpolated: interpolated,
+            svgX: position.x,
+            svgY: position.y,
+            dataX: exact.dataX !== null ? exact.dataX : mapper.mapSVGToDataX(position.x),
+            dataY: exact.dataY !== null ? exact.dataY : mapper.mapSVGToDataY(position.y),
+            row: row
+        };
+
+        this.drawTrackOverlay(point, position);
+
+        // Refresh a visible tooltip when the tracked value changes
+        const changed = !previous || previous.point !== point || previous.index !== position.vertexIndex || interpolate;
+        if (changed && this.tooltip && this.tooltip.style.opacity === '1') {
+            this.tooltip.innerHTML = this.options.tooltipFormat(point, this.getTooltipContext(point));
+        }
+        if (changed && (!previous || previous.index !== position.vertexIndex)) {
+            this.options.onHover(point, 'move', this.trackedVertex);
+        }
+    }
+
+    /**
+     * Find the polyline vertex closest to a position
+     * @param {Array} points - Polyline vertices in SVG coordinates
+     * @param {Object} pt - SVG coordinates {x, y}
+     * @returns {Object} {x, y, vertexIndex}
+     */
+    nearestVertex(points, pt) {
+        let best = 0;
+        let bestDistance = Infinity;
+        points.forEach((p, i) => {
+            const distance = Math.hypot(p.x - pt.x, p.y - pt.y);
+            if (distance < bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        });
+        return { x: points[best].x, y: points[best].y, vertexIndex: best, interpolated: false };
+    }
+
+    /**
+     * Linearly interpolate a polyline at an SVG x position
+     * @param {Array} points - Polyline vertices in SVG coordinates
+     * @param {number} x - SVG x coordinate
+     * @returns {Object|null} {x, y, vertexIndex, interpolated}, or null when x is outside the line
+     */
+    interpolateAtX(points, x) {
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            if ((a.x - x) * (b.x - x) > 0) continue;
+
+            const t = b.x !== a.x ? (x - a.x) / (b.x - a.x) : 0;
+            return {
+                x: x,
+                y: a.y + t * (b.y - a.y),
+                vertexIndex: t < 0.5 ? i - 1 : i,
+                interpolated: t > 0 && t < 1
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Values of every polyline in the same panel at an SVG x position (for the compare rule)
+     * @param {Object} point - Hovered polyline
+     * @param {number} x - SVG x coordinate
+     * @returns {Array} [{point, name, color, svgY, dataY}] sorted top to bottom
+     */
+    getCompareValues(point, x) {
+        const mapper = this.getMapper(point);
+        return this.dataPoints
+            .filter(p => this.isLineMark(p) && p.panel === point.panel && p.points && p.points.length > 1)
+            .map(p => {
+                const position = this.interpolateAtX(p.points, x);
+                return position && {
+                    point: p,
+                    name: this.getPointName(p),
+                    color: p.originalStyle.stroke,
+                    svgY: position.y,
+                    dataY: mapper.mapSVGToDataY(position.y)
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.svgY - b.svgY);
+    }
+
+    /**
+     * Draw the marker dot and the optional compare rule
+     * @param {Object} point - Hovered polyline
+     * @param {Object} position - Tracked SVG position {x, y}
+     */
+    drawTrackOverlay(point, position) {
+        const ns = 'http://www.w3.org/2000/svg';
+        if (!this.trackOverlay) {
+            const group = document.createElementNS(ns, 'g');
+            group.setAttribute('class', 'svg-interactive-track');
+            group.style.pointerEvents = 'none';
+
+            const rule = document.createElementNS(ns, 'line');
+            rule.setAttribute('stroke', '#888');
+            rule.setAttribute('stroke-width', '1');
+            rule.setAttribute('vector-effect', 'non-scaling-stroke');
+
+            const marker = document.createElementNS(ns, 'circle');
+            marker.setAttribute('stroke', '#fff');
+            marker.setAttribute('stroke-width', '1.5');
+            marker.setAttribute('vector-effect', 'non-scaling-stroke');
+
+            group.appendChild(rule);
+            group.appendChild(marker);
+            this.svg.appendChild(group);
+            this.trackOverlay = { group, rule, marker };
+        }
+
+        const { group, rule, marker } = this.trackOverlay;
+        const scale = this.viewBox ? this.getZoom().scale : 1;
+        marker.setAttribute('cx', position.x);
+        marker.setAttribute('cy', position.y);
+        marker.setAttribute('r', 4 / scale);
+        marker.setAttribute('fill', point.originalStyle.stroke);
+
+        const bounds = this.panels[point.panel] ? this.panels[point.panel].bounds : null;
+        if (this.options.compareRule && bounds) {
+            rule.setAttribute('x1', position.x);
+            rule.setAttribute('x2', position.x);
+            rule.setAttribute('y1', bounds.top);
+            rule.setAttribute('y2', bounds.bottom);
+            rule.style.display = '';
+        } else {
+            rule.style.display = 'none';
+        }
+        group.style.display = '';
+    }
+
+    /**
+     * Hide the marker dot and compare rule
+     */
+    hideTrackOverlay() {
+        this.trackedVertex = null;
+        if (this.trackOverlay) {
+            this.trackOverlay.group.style.display = 'none';
+        }
+    }
+
+    /**
+     * Tooltip context: data context plus the tracked vertex and compare values for polylines
+     * @param {Object} point - Data point
+     * @returns {Object} Context passed to tooltipFormat
+     */
+    getTooltipContext(point) {
+        const context = this.getDataContext(point);
+        const vertex = this.trackedVertex;
+        if (vertex && vertex.point === point) {
+            context.vertex = vertex;
+            if (this.options.compareRule) {
+                context.compare = this.getCompareValues(point, vertex.svgX);
+            }
+        }
+        return context;
+    }
+
+    /**
+     * Handle mouse leave event
+     * @param {Event} event - Mouse event
+     * @param {Object} point - Data point
+     */
+    handleMouseLeave(event, point) {
+        // Remove hover styling (if not selected)
+        if (!this.selectedPoints.has(point.id)) {
+            this.resetStyle(point);
+        }
+        
+        if (this.trackedVertex && this.trackedVertex.point === point) {
+            this.hideTrackOverlay();
+        }
+        
+        // Clear tooltip timer and hide tooltip
+        if (this.tooltipTimer) {
+            clearTimeout(this.tooltipTimer);
+            this.tooltipTimer = null;
+        }
+        
+        if (this.tooltip) {
+            this.hideTooltip();
+        }
+        
+        // Call user callback
+        this.options.onHover(point, 'leave');
+    }
+
+    /**
+     * Handle click event
+     * @param {Event} event - Mouse event
+     * @param {Object} point - Data point
+     */
+    handleClick(event, point) {
+        // A brush drag that ends on a mark also produces a click on it
+        if (this.suppressClick) {
+            this.suppressClick = false;
+            return;
+        }
+        
+        const isMultiSelect = this.options.enableMultiSelect && (event.ctrlKey || event.metaKey);
+        
+        // Handle selection
+        if (this.selectedPoints.has(point.id)) {
+            // Deselect
+            this.selectedPoints.delete(point.id);
+            this.resetStyle(point);
+        } else {
+            // Select
+            if (!isMultiSelect) {
+                // Clear other selections
+                this.clearSelection();
+            }
+            this.selectedPoints.add(point.id);
+            this.applySelectionStyle(point);
+        }
+        
+        // Get selected points data
+        const selectedData = this.getSelectedData();
+        
+        // Call user callback
+        this.options.onSelect(selectedData, point);
+        this.publishSelection();
+    }
+
+    /**
+     * Share the current selection with linked instances and screen readers
+     */
+    publishSelection() {
+        if (this.selectionGroup) {
+            this.selectionGroup.publish(this);
+        }
+        this.schedulePersist();
+        
+        const selected = this.getSelectedData();
+        if (selected.length === 0) {
+            this.announce('Selection cleared');
+        } else if (selected.length === 1) {
+            this.announce(`Selected ${this.getAccessibleLabel(selected[0])}`);
+        } else {
+            this.announce(`${selected.length} points selected`);
+        }
+    }
+
+    /**
+     * Setup rectangular / lasso brush listeners on the SVG
+     */
+    setupBrush() {
+        this.brushHandlers = {
+            down: (event) => this.handleBrushStart(event),
+            move: (event) => this.handleBrushMove(event),
+            up: (event) => this.handleBrushEnd(event),
+            cancel: () => this.cancelBrush()
+        };
+        this.svg.addEventListener('pointerdown', this.brushHandlers.down);
+        this.setBrushMode(this.options.brushMode);
+    }
+
+    /**
+     * Switch brush mode
+     * @param {string|null} mode - 'rect', 'lasso', 'zoom' (zoom to the dragged rectangle) or null to disable brushing
+     */
+    setBrushMode(mode) {
+        if (mode && mode !== 'rect' && mode !== 'lasso' && mode !== 'zoom') {
+            console.warn(`Unknown brush mode: ${mode}`);
+            return;
+        }
+
+        this.options.brushMode = mode || null;
+        this.svg.style.cursor = this.options.brushMode ? 'crosshair' : '';
+        this.updateTouchAction();
+    }
+
+    /**
+     * Convert a mouse event position to SVG user coordinates
+     * @param {Event} event - Mouse event
+     * @returns {Object} SVG coordinates {x, y}
+     */
+    clientToSVG(event) {
+        const ctm = this.svg.getScreenCTM ? this.svg.getScreenCTM() : null;
+        if (!ctm) {
+            return { x: event.offsetX, y: event.offsetY };
+        }
+
+        const pt = this.svg.createSVGPoint();
+        pt.x = event.clientX;
+        pt.y = event.clientY;
+        const svgPt = pt.matrixTransform(ctm.inverse());
+        return { x: svgPt.x, y: svgPt.y };
+    }
+
+    /**
+     * Clamp an SVG coordinate to the plot area of a panel
+     * @param {Object} pt - SVG coordinates {x, y}
+     * @param {Object} panel - Panel to clamp to
+     * @returns {Object} Clamped coordinates {x, y}
+     */
+    clampToPlot(pt, panel) {
+        const plotBounds = panel.bounds;
+        return {
+            x: Math.min(Math.max(pt.x, plotBounds.left), plotBounds.right),
+            y: Math.min(Math.max(pt.y, plotBounds.top), plotBounds.bottom)
+        };
+    }
+
+    /**
+     * Handle brush start (mouse down on the SVG)
+     * @param {Event} event - Mouse event
+     */
+    handleBrushStart(event) {
+        if (!this.options.brushMode || event.button !== 0) return;
+
+        // Modifiers: Alt subtracts, Shift/Ctrl/Cmd adds, none replaces
+        let operation = 'replace';
+        if (event.altKey) {
+            operation = 'subtract';
+        } else if (this.options.enableMultiSelect && (event.shiftKey || event.ctrlKey || event.metaKey)) {
+            operation = 'add';
+        }
+
+        // Brushes stay inside the panel they start in
+        const origin = this.clientToSVG(event);
+        const panel = this.getPanelAt(origin.x, origin.y);
+        const start = this.clampToPlot(origin, panel);
+        this.brush = {
+            mode: this.options.brushMode,
+            panel: panel,
+            operation: operation,
+            start: start,
+            current: start,
+            path: [start],
+            active: false,
+            shape: null
+        };
+
+        // Track the drag on the window so releasing outside the SVG still ends it
+        window.addEventListener('pointermove', this.brushHandlers.move);
+        window.addEventListener('pointerup', this.brushHandlers.up);
+        window.addEventListener('pointercancel', this.brushHandlers.cancel);
+        event.preventDefault();
+    }
+
+    /**
+     * Handle brush drag
+     * @param {Event} event - Mouse event
+     */
+    handleBrushMove(event) {
+        const brush = this.brush;
+        if (!brush) return;
+
+        const pt = this.clampToPlot(this.clientToSVG(event), brush.panel);
+        brush.current = pt;
+
+        if (!brush.active) {
+            // Small movements are still treated as clicks
+            if (Math.hypot(pt.x - brush.start.x, pt.y - brush.start.y) < 3) return;
+            brush.active = true;
+            brush.shape = this.createBrushShape(brush.mode);
+
+            if (this.tooltip) {
+                this.hideTooltip();
+            }
+        }
+
+        if (brush.mode === 'lasso') {
+            brush.path.push(pt);
+            brush.shape.setAttribute('d', 'M' + brush.path.map(p => `${p.x},${p.y}`).join('L') + 'Z');
+        } else {
+            const rect = this.getBrushRect(brush);
+            brush.shape.setAttribute('x', rect.left);
+            brush.shape.setAttribute('y', rect.top);
+            brush.shape.setAttribute('width', rect.right - rect.left);
+            brush.shape.setAttribute('height', rect.bottom - rect.top);
+        }
+    }
+
+    /**
+     * Handle brush end: select enclosed points and notify listeners
+     * @param {Event} event - Mouse event
+     */
+    handleBrushEnd(event) {
+        const brush = this.brush;
+        this.cancelBrush();
+
+        if (!brush || !brush.active) return;
+
+        if (brush.shape && brush.shape.parentNode) {
+            brush.shape.parentNode.removeChild(brush.shape);
+        }
+
+        // Swallow the click that follows a drag ending over a mark
+        this.suppressClick = true;
+        setTimeout(() => { this.suppressClick = false; }, 0);
+
+        if (brush.mode === 'zoom') {
+            this.zoomToRect(this.getBrushRect(brush));
+            return;
+        }
+
+        const contains = brush.mode === 'lasso' ?
+            (x, y) => this.isInsidePolygon(x, y, brush.path) :
+            (rect => (x, y) => x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom)(this.getBrushRect(brush));
+
+        const brushed = this.dataPoints.filter(point => {
+            if (!this.isPointVisible(point)) return false;
+            if (point.points && point.points.length > 0) {
+                return point.points.some(p => contains(p.x, p.y));
+            }
+            return contains(point.svgX, point.svgY);
+        });
+
+        this.applyBrushSelection(brushed, brush.operation);
+
+        this.lastBrush = this.describeBrush(brush);
+        const bins = this.getBinRanges(brushed);
+        if (bins.length > 0) {
+            this.lastBrush.bins = bins;
+        }
+        const selectedData = this.getSelectedData();
+        this.options.onBrush(this.lastBrush, selectedData, brushed);
+        this.options.onSelect(selectedData, null);
+        this.publishSelection();
+    }
+
+    /**
+     * Abort a brush in progress without changing the selection
+     */
+    cancelBrush() {
+        window.removeEventListener('pointermove', this.brushHandlers.move);
+        window.removeEventListener('pointerup', this.brushHandlers.up);
+        window.removeEventListener('pointercancel', this.brushHandlers.cancel);
+
+        if (this.brush && this.brush.shape && this.brush.shape.parentNode) {
+            this.brush.shape.parentNode.removeChild(this.brush.shape);
+        }
+        this.brush = null;
+    }
+
+    /**
+     * Create the visual brush overlay
+     * @param {string} mode - 'rect' or 'lasso'
+     * @returns {Element} Overlay element appended to the SVG
+     */
+    createBrushShape(mode) {
+        const shape = document.createElementNS('http://www.w3.org/2000/svg', mode === 'lasso' ? 'path' : 'rect');
+        shape.setAttribute('class', 'svg-interactive-brush');
+        shape.style.fill = this.options.hoverColor;
+        shape.style.fillOpacity = '0.12';
+        shape.style.stroke = this.options.hoverColor;
+        shape.style.strokeWidth = '1px';
+        shape.style.strokeDasharray = '4 3';
+        shape.style.pointerEvents = 'none';
+        shape.setAttribute('vector-effect', 'non-scaling-stroke');
+        this.svg.appendChild(shape);
+        return shape;
+    }
+
+    /**
+     * Get normalised rectangle of a rect brush
+     * @param {Object} brush - Brush state
+     * @returns {Object} Rectangle {left, right, top, bottom} in SVG coordinates
+     */
+    getBrushRect(brush) {
+        return {
+            left: Math.min(brush.start.x, brush.current.x),
+            right: Math.max(brush.start.x, brush.current.x),
+            top: Math.min(brush.start.y, brush.current.y),
+            bottom: Math.max(brush.start.y, brush.current.y)
+        };
+    }
+
+    /**
+     * Ray-casting point-in-polygon test
+     * @param {number} x - SVG x coordinate
+     * @param {number} y - SVG y coordinate
+     * @param {Array} polygon - Array of {x, y} vertices
+     * @returns {boolean} True if (x, y) lies inside the polygon
+     */
+    isInsidePolygon(x, y, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Apply a brush result to the current selection
+     * @param {Array} points - Data points enclosed by the brush
+     * @param {string} operation - 'replace', 'add' or 'subtract'
+     */
+    applyBrushSelection(points, operation) {
+        if (operation === 'replace') {
+            this.clearSelection();
+        }
+
+        points.forEach(point => {
+            if (operation === 'subtract') {
+                if (this.selectedPoints.delete(point.id)) {
+                    this.resetStyle(point);
+                }
+            } else if (!this.selectedPoints.has(point.id)) {
+                this.selectedPoints.add(point.id);
+                this.applySelectionStyle(point);
+            }
+        });
+    }
+
+    /**
+     * Describe a brush in SVG and data units
+     * @param {Object} brush - Brush state
+     * @returns {Object} Brush extent {mode, operation, svg, data}
+     */
+    describeBrush(brush) {
+        const vertices = brush.mode === 'lasso' ? brush.path : [brush.start, brush.current];
+        const xs = vertices.map(p => p.x);
+        const ys = vertices.map(p => p.y);
+        const svgRect = {
+            left: Math.min(...xs),
+            right: Math.max(...xs),
+            top: Math.min(...ys),
+            bottom: Math.max(...ys)
+        };
+
+        const mapper = brush.panel.mapper;
+        const dataXs = [svgRect.left, svgRect.right].map(x => mapper.mapSVGToDataX(x));
+        const dataYs = [svgRect.top, svgRect.bottom].map(y => mapper.mapSVGToDataY(y));
+
+        const description = {
+            mode: brush.mode,
+            operation: brush.operation,
+            panel: brush.panel.index,
+            svg: svgRect,
+            data: {
+                x: [Math.min(...dataXs), Math.max(...dataXs)],
+                y: [Math.min(...dataYs), Math.max(...dataYs)]
+            }
+        };
+
+        if (brush.mode === 'lasso') {
+            description.data.polygon = brush.path.map(p => ({
+                x: mapper.mapSVGToDataX(p.x),
+                y: mapper.mapSVGToDataY(p.y)
+            }));
+        }
+
+        return description;
+    }
+
+    /**
+     * Setup wheel/pinch zoom, drag pan and double-click reset
+     */
+    setupZoom() {
+        this.baseViewBox = this.getBaseViewBox();
+        this.originalViewBox = this.svg.getAttribute('viewBox');
+        this.viewBox = { ...this.baseViewBox };
+
+        if (!this.options.enableZoom) return;
+
+        this.zoomHandlers = {
+            wheel: (event) => this.handleWheel(event),
+            dblclick: () => this.resetZoom(),
+            down: (event) => this.handlePanStart(event),
+            move: (event) => this.handlePanMove(event),
+            up: (event) => this.handlePanEnd(event)
+        };
+        this.svg.addEventListener('wheel', this.zoomHandlers.wheel, { passive: false });
+        this.svg.addEventListener('dblclick', this.zoomHandlers.dblclick);
+        this.svg.addEventListener('pointerdown', this.zoomHandlers.down);
+    }
+
+    /**
+     * Get the unzoomed viewBox from the viewBox attribute, width/height or the bounding box
+     * @returns {Object} ViewBox {x, y, width, height}
+     */
+    getBaseViewBox() {
+        const viewBox = this.svg.getAttribute('viewBox');
+        if (viewBox) {
+            const [x, y, width, height] = viewBox.trim().split(/[\s,]+/).map(Number);
+            if (width > 0 && height > 0) {
+                return { x, y, width, height };
+            }
+        }
+
+        const width = parseFloat(this.svg.getAttribute('width'));
+        const height = parseFloat(this.svg.getAttribute('height'));
+        if (width > 0 && height > 0) {
+            return { x: 0, y: 0, width, height };
+        }
+
+        const bbox = this.svg.getBBox();
+        return { x: bbox.x, y: bbox.y, width: bbox.width || 1, height: bbox.height || 1 };
+    }
+
+    /**
+     * Apply a viewBox, keeping it inside the unzoomed figure
+     * @param {Object} viewBox - ViewBox {x, y, width, height}
+     */
+    setViewBox(viewBox) {
+        const base = this.baseViewBox;
+        const width = Math.min(Math.max(viewBox.width, base.width / this.options.maxZoom), base.width);
+        const height = width * base.height / base.width;
+        const x = Math.min(Math.max(viewBox.x, base.x), base.x + base.width - width);
+        const y = Math.min(Math.max(viewBox.y, base.y), base.y + base.height - height);
+
+        this.viewBox = { x, y, width, height };
+        this.svg.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+
+        // Tooltip and crosshair refer to the old view
+        this.unpinTooltip();
+        if (this.tooltip) {
+            this.hideTooltip();
+        }
+        this.hideCrosshair();
+
+        this.options.onZoom(this.getZoom());
+        this.schedulePersist();
+    }
+
+    /**
+     * Zoom by a factor around a fixed SVG point
+     * @param {number} factor - Zoom factor (> 1 zooms in)
+     * @param {Object} center - SVG coordinates {x, y} that stay in place (defaults to the view centre)
+     */
+    zoomBy(factor, center) {
+        this.setViewBox(this.scaleViewBox(this.viewBox, factor, center));
+    }
+
+    /**
+     * Scale a viewBox around a fixed point
+     * @param {Object} viewBox - ViewBox {x, y, width, height}
+     * @param {number} factor - Zoom factor (> 1 zooms in)
+     * @param {Object} center - SVG coordinates {x, y} that stay in place
+     * @returns {Object} Scaled viewBox
+     */
+    scaleViewBox(viewBox, factor, center) {
+        const c = center || { x: viewBox.x + viewBox.width / 2, y: viewBox.y + viewBox.height / 2 };
+        return {
+            x: c.x - (c.x - viewBox.x) / factor,
+            y: c.y - (c.y - viewBox.y) / factor,
+            width: viewBox.width / factor,
+            height: viewBox.height / factor
+        };
+    }
+
+    /**
+     * Zoom so that a rectangle fills the view (aspect ratio is kept)
+     * @param {Object} rect - Rectangle {left, right, top, bottom} in SVG coordinates
+     */
+    zoomToRect(rect) {
+        const base = this.baseViewBox;
+        const aspect = base.width / base.height;
+        const width = Math.max(rect.right - rect.left, (rect.bottom - rect.top) * aspect);
+        const height = width / aspect;
+
+        this.setViewBox({
+            x: (rect.left + rect.right) / 2 - width / 2,
+            y: (rect.top + rect.bottom) / 2 - height / 2,
+            width,
+            height
+        });
+    }
+
+    /**
+     * Check whether the view differs from the original one
+     * @returns {boolean} True if zoomed or panned
+     */
+    isZoomed() {
+        const base = this.baseViewBox;
+        return !!this.viewBox && !!base && ['x', 'y', 'width'].some(key =>
+            Math.abs(this.viewBox[key] - base[key]) > base.width * 1e-6);
+    }
+
+    /**
+     * Restore the original view
+     */
+    resetZoom() {
+        this.setViewBox(this.baseViewBox);
+        if (this.originalViewBox === null) {
+            this.svg.removeAttribute('viewBox');
+        }
+    }
+
+    /**
+     * Get current zoom state
+     * @returns {Object} {scale, viewBox}
+     */
+    getZoom() {
+        return {
+            scale: this.baseViewBox.width / this.viewBox.width,
+            viewBox: { ...this.viewBox }
+        };
+    }
+
+    /**
+     * Handle wheel and trackpad pinch (ctrl+wheel) zoom
+     * @param {Event} event - Wheel event
+     */
+    handleWheel(event) {
+        event.preventDefault();
+        const speed = event.ctrlKey ? 0.01 : 0.002;
+        this.zoomBy(Math.exp(-event.deltaY * speed), this.clientToSVG(event));
+    }
+
+    /**
+     * Handle pan start (pointer down when no brush is active); a second finger starts a pinch
+     * @param {Event} event - Pointer event
+     */
+    handlePanStart(event) {
+        if (event.pointerType === 'touch') {
+            this.activePointers.set(event.pointerId, { clientX: event.clientX, clientY: event.clientY });
+            if (this.activePointers.size === 2) {
+                this.handlePinchStart();
+                return;
+            }
+        }
+
+        window.addEventListener('pointermove', this.zoomHandlers.move);
+        window.addEventListener('pointerup', this.zoomHandlers.up);
+        window.addEventListener('pointercancel', this.zoomHandlers.up);
+
+        if (this.options.brushMode || event.button !== 0) return;
+
+        const ctm = this.svg.getScreenCTM ? this.svg.getScreenCTM() : null;
+        this.pan = {
+            clientX: event.clientX,
+            clientY: event.clientY,
+            viewBox: { ...this.viewBox },
+            unitsPerPixel: ctm && ctm.a ? 1 / ctm.a : this.viewBox.width / (this.svg.clientWidth || this.viewBox.width),
+            active: false
+        };
+    }
+
+    /**
+     * Handle pan drag
+     * @param {Event} event - Mouse event
+     */
+    handlePanMove(event) {
+        if (this.activePointers.has(event.pointerId)) {
+            this.activePointers.set(event.pointerId, { clientX: event.clientX, clientY: event.clientY });
+            if (this.pinch) {
+                this.handlePinchMove();
+                return;
+            }
+        }
+
+        const pan = this.pan;
+        if (!pan) return;
+
+        const dx = event.clientX - pan.clientX;
+        const dy = event.clientY - pan.clientY;
+        if (!pan.active) {
+            if (Math.hypot(dx, dy) < 3) return;
+            pan.active = true;
+            this.svg.style.cursor = 'grabbing';
+        }
+
+        this.setViewBox({
+            ...pan.viewBox,
+            x: pan.viewBox.x - dx * pan.unitsPerPixel,
+            y: pan.viewBox.y - dy * pan.unitsPerPixel
+        });
+    }
+
+    /**
+     * Handle pan / pinch end
+     * @param {Event} event - Pointer event
+     */
+    handlePanEnd(event) {
+        this.activePointers.delete(event.pointerId);
+        if (this.activePointers.size < 2) {
+            this.pinch = null;
+        }
+        if (this.activePointers.size === 0) {
+            window.removeEventListener('pointermove', this.zoomHandlers.move);
+            window.removeEventListener('pointerup', this.zoomHandlers.up);
+            window.removeEventListener('pointercancel', this.zoomHandlers.up);
+        }
+
+        if (this.pan && this.pan.active) {
+            this.svg.style.cursor = '';
+            this.suppressClick = true;
+            setTimeout(() => { this.suppressClick = false; }, 0);
+        }
+        this.pan = null;
+    }
+
+    /**
+     * Start a two-finger gesture: pinch zooms, moving both fingers pans
+     */
+    handlePinchStart() {
+        // The second finger turns a pan, brush or tap into a pinch
+        this.pan = null;
+        this.cancelBrush();
+        this.cancelTouch();
+
+        const [a, b] = Array.from(this.activePointers.values());
+        const ctm = this.svg.getScreenCTM ? this.svg.getScreenCTM() : null;
+        this.pinch = {
+            distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY) || 1,
+            clientX: (a.clientX + b.clientX) / 2,
+            clientY: (a.clientY + b.clientY) / 2,
+            center: this.clientToSVG({ clientX: (a.clientX + b.clientX) / 2, clientY: (a.clientY + b.clientY) / 2 }),
+            viewBox: { ...this.viewBox },
+            unitsPerPixel: ctm && ctm.a ? 1 / ctm.a : this.viewBox.width / (this.svg.clientWidth || this.viewBox.width)
+        };
+
+        window.addEventListener('pointermove', this.zoomHandlers.move);
+        window.addEventListener('pointerup', this.zoomHandlers.up);
+        window.addEventListener('pointercancel', this.zoomHandlers.up);
+    }
+
+    /**
+     * Update a two-finger pinch / pan
+     */
+    handlePinchMove() {
+        const pinch = this.pinch;
+        const [a, b] = Array.from(this.activePointers.values());
+        const factor = Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY) / pinch.distance;
+        const viewBox = this.scaleViewBox(pinch.viewBox, factor, pinch.center);
+
+        // Follow the midpoint of the two fingers
+        const dx = ((a.clientX + b.clientX) / 2 - pinch.clientX) * pinch.unitsPerPixel / factor;
+        const dy = ((a.clientY + b.clientY) / 2 - pinch.clientY) * pinch.unitsPerPixel / factor;
+        this.setViewBox({ ...viewBox, x: viewBox.x - dx, y: viewBox.y - dy });
+    }
+
+    /**
+     * Setup the optional crosshair with a live data X/Y readout
+     */
+    setupCrosshair() {
+        if (!this.options.showCrosshair) return;
+
+        const ns = 'http://www.w3.org/2000/svg';
+        const group = document.createElementNS(ns, 'g');
+        group.setAttribute('class', 'svg-interactive-crosshair');
+        group.style.pointerEvents = 'none';
+        group.style.display = 'none';
+
+        const vertical = document.createElementNS(ns, 'line');
+        const horizontal = document.createElementNS(ns, 'line');
+        [vertical, horizontal].forEach(line => {
+            line.setAttribute('stroke', '#666');
+            line.setAttribute('stroke-width', '1');
+            line.setAttribute('stroke-dasharray', '3 3');
+            line.setAttribute('vector-effect', 'non-scaling-stroke');
+            group.appendChild(line);
+        });
+
+        const label = document.createElementNS(ns, 'text');
+        label.setAttribute('fill', '#333');
+        label.setAttribute('font-family', 'sans-serif');
+        group.appendChild(label);
+
+        this.svg.appendChild(group);
+        this.crosshair = { group, vertical, horizontal, label };
+
+        this.crosshairHandlers = {
+            move: (event) => {
+                if (event.pointerType !== 'touch') this.updateCrosshair(event);
+            },
+            leave: () => this.hideCrosshair()
+        };
+        this.svg.addEventListener('pointermove', this.crosshairHandlers.move);
+        this.svg.addEventListener('pointerleave', this.crosshairHandlers.leave);
+    }
+
+    /**
+     * Move the crosshair to the cursor and show its data coordinates
+     * @param {Event} event - Mouse event
+     */
+    updateCrosshair(event) {
+        if (!this.crosshair) return;
+
+        const pt = this.clientToSVG(event);
+        const panel = this.getPanelAt(pt.x, pt.y);
+        const b = panel.bounds;
+        if (pt.x < b.left || pt.x > b.right || pt.y < b.top || pt.y > b.bottom) {
+            this.hideCrosshair();
+            return;
+        }
+
+        const { group, vertical, horizontal, label } = this.crosshair;
+        vertical.setAttribute('x1', pt.x);
+        vertical.setAttribute('x2', pt.x);
+        vertical.setAttribute('y1', b.top);
+        vertical.setAttribute('y2', b.bottom);
+        horizontal.setAttribute('x1', b.left);
+        horizontal.setAttribute('x2', b.right);
+        horizontal.setAttribute('y1', pt.y);
+        horizontal.setAttribute('y2', pt.y);
+
+        // Readout keeps a constant on-screen size at any zoom level
+        const mapper = panel.mapper;
+        const labels = mapper.getAxisLabels();
+        const scale = this.getZoom().scale;
+        const x = mapper.formatValue(mapper.mapSVGToDataX(pt.x), 'x');
+        const y = mapper.formatValue(mapper.mapSVGToDataY(pt.y), 'y');
+        label.textContent = `${labels.xLabel}: ${x}, ${labels.yLabel}: ${y}`;
+        const flip = pt.x > (b.left + b.right) / 2;
+        label.setAttribute('font-size', 11 / scale);
+        label.setAttribute('x', pt.x + (flip ? -6 : 6) / scale);
+        label.setAttribute('y', pt.y - 6 / scale);
+        label.setAttribute('text-anchor', flip ? 'end' : 'start');
+
+        // Keep the overlay on top of anything appended later
+        if (group.nextSibling) {
+            this.svg.appendChild(group);
+        }
+        group.style.display = '';
+    }
+
+    /**
+     * Hide the crosshair
+     */
+    hideCrosshair() {
+        if (this.crosshair) {
+            this.crosshair.group.style.display = 'none';
+        }
+    }
+
+    /**
+     * Make points focusable (roving tabindex), label them for screen readers and add a live region
+     */
+    setupAccessibility() {
+        if (!this.options.enableAccessibility || this.dataPoints.length === 0) return;
+
+        const labels = this.coordinateMapper.getAxisLabels();
+        this.svg.setAttribute('role', 'listbox');
+        this.svg.setAttribute('aria-multiselectable', this.options.enableMultiSelect ? 'true' : 'false');
+        this.ownsSvgLabel = !this.svg.hasAttribute('aria-label');
+        if (this.ownsSvgLabel) {
+            this.svg.setAttribute('aria-label', `${labels.yLabel} by ${labels.xLabel}, ${this.dataPoints.length} data points. Use arrow keys to move, Enter or Space to select, Escape to clear.`);
+        }
+
+        // Subpaths of one <path> share its element; only the first of them can take focus
+        this.focusTargets = new Map();
+        this.navOrder = this.getNavigationOrder().filter(point => {
+            if (this.focusTargets.has(point.element)) return false;
+            this.focusTargets.set(point.element, point);
+            return true;
+        });
+        this.navOrder.forEach((point, index) => {
+            const element = point.element;
+            element.setAttribute('tabindex', index === 0 ? '0' : '-1');
+            element.setAttribute('role', 'option');
+            element.setAttribute('aria-selected', 'false');
+            element.setAttribute('aria-label', this.getAccessibleLabel(point));
+
+            // The other parts of a glyph are described by its label
+            this.getPointElements(point)
+                .filter(part => part !== element && !this.focusTargets.has(part))
+                .forEach(part => part.setAttribute('aria-hidden', 'true'));
+        });
+
+        // Focus does not bubble; focusin/focusout reach the SVG from every point
+        this.focusHandlers = {
+            focus: (event) => {
+                const point = this.focusTargets.get(event.target);
+                if (point) this.handleFocus(event, point);
+            },
+            blur: (event) => {
+                const point = this.focusTargets.get(event.target);
+                if (point) this.handleMouseLeave(event, point);
+            }
+        };
+        this.svg.addEventListener('focusin', this.focusHandlers.focus);
+        this.svg.addEventListener('focusout', this.focusHandlers.blur);
+
+        // Off-screen live region for hover and selection announcements
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'svg-interactive-live-region';
+        this.liveRegion.setAttribute('role', 'status');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.style.cssText = 'position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; border: 0;';
+        document.body.appendChild(this.liveRegion);
+
+        this.keyHandler = (event) => this.handleKeyDown(event);
+        this.svg.addEventListener('keydown', this.keyHandler);
+    }
+
+    /**
+     * Order points for keyboard navigation
+     * @returns {Array} Points sorted by dataX then dataY, grouped by series in 'series' mode
+     */
+    getNavigationOrder() {
+        const byData = (a, b) => (a.dataX - b.dataX) || (a.dataY - b.dataY) || (a.id - b.id);
+
+        if (this.options.navigationOrder !== 'series') {
+            return [...this.dataPoints].sort(byData);
+        }
+
+        const series = new Map();
+        this.dataPoints.forEach(point => {
+            const key = this.getSeriesKey(point);
+            if (!series.has(key)) {
+                series.set(key, []);
+            }
+            series.get(key).push(point);
+        });
+        return Array.from(series.values()).flatMap(points => points.sort(byData));
+    }
+
+    /**
+     * Get the series a point belongs to (its series name, else its colour)
+     * @param {Object} point - Data point
+     * @returns {string} Series key
+     */
+    getSeriesKey(point) {
+        if (point.series !== undefined && point.series !== null) {
+            return point.series;
+        }
+        return this.isLineMark(point) ? point.originalStyle.stroke : point.originalStyle.fill;
+    }
+
+    /**
+     * Build a plain-text label from the same data the tooltip shows
+     * @param {Object} point - Data point
+     * @returns {string} Accessible label
+     */
+    getAccessibleLabel(point) {
+        const mapper = this.getMapper(point);
+        const labels = mapper.getAxisLabels();
+        const parts = [this.getPointName(point)];
+
+        if (this.isLineMark(point) && point.points && point.points.length > 0) {
+            const first = point.points[0];
+            const last = point.points[point.points.length - 1];
+            parts.push(`line with ${point.pointCount || point.points.length} points`);
+            parts.push(`${labels.xLabel} from ${mapper.formatValue(mapper.mapSVGToDataX(first.x), 'x')} to ${mapper.formatValue(mapper.mapSVGToDataX(last.x), 'x')}`);
+        } else if (point.glyph) {
+            const names = { boxplot: 'box plot', violin: 'violin', interval: 'interval' };
+            parts.push(names[point.glyph.kind] || point.glyph.kind);
+            this.getGlyphFields(point).forEach(field => parts.push(`${field.name.toLowerCase()} ${field.value}`));
+        } else if (point.bin) {
+            this.getBinFields(point).forEach(field => parts.push(`${field.name}: ${field.value}`));
+        } else {
+            parts.push(`${labels.xLabel}: ${mapper.formatValue(point.dataX, 'x')}`);
+            parts.push(`${labels.yLabel}: ${mapper.formatValue(point.dataY, 'y')}`);
+        }
+
+        [...this.getColorFields(point), ...this.getSizeFields(point)].forEach(field => parts.push(`${field.name}: ${field.value}`));
+
+        if (point.facetLabels && point.facetLabels.length > 0) {
+            parts.push(`panel ${point.facetLabels.join(', ')}`);
+        }
+
+        return parts.join(', ');
+    }
+
+    /**
+     * Get the display name of a point (series name for lines, category or index otherwise)
+     * @param {Object} point - Data point
+     * @returns {string} Point name
+     */
+    getPointName(point) {
+        const hasSeries = point.series !== null && point.series !== undefined;
+        if (this.isLineMark(point)) {
+            return point.element.getAttribute('data-id') || point.element.getAttribute('title') || (hasSeries ? point.series : 'Time series');
+        }
+        if (point.category !== null && point.category !== undefined) {
+            return hasSeries ? `${point.category} · ${point.series}` : point.category;
+        }
+        return hasSeries ? point.series : `Point ${point.id}`;
+    }
+
+    /**
+     * Handle keyboard focus on a point: roving tabindex, hover style and tooltip
+     * @param {Event} event - Focus event
+     * @param {Object} point - Data point
+     */
+    handleFocus(event, point) {
+        const index = this.navOrder.indexOf(point);
+        const previous = this.navOrder[this.focusIndex];
+        if (previous && previous !== point) {
+            previous.element.setAttribute('tabindex', '-1');
+        }
+        point.element.setAttribute('tabindex', '0');
+        this.focusIndex = index;
+
+        this.ensureVisible(point);
+        this.handleMouseEnter(event, point);
+
+        // Place the tooltip next to the focused mark
+        this.positionTooltipAt(point);
+    }
+
+    /**
+     * Pan a zoomed view so that a point is visible
+     * @param {Object} point - Data point
+     */
+    ensureVisible(point) {
+        const vb = this.viewBox;
+        if (!vb || !this.svg.hasAttribute('viewBox')) return;
+
+        const inside = point.svgX >= vb.x && point.svgX <= vb.x + vb.width &&
+            point.svgY >= vb.y && point.svgY <= vb.y + vb.height;
+        if (!inside) {
+            this.setViewBox({ ...vb, x: point.svgX - vb.width / 2, y: point.svgY - vb.height / 2 });
+        }
+    }
+
+    /**
+     * Handle keyboard navigation and selection
+     * @param {Event} event - Keyboard event
+     */
+    handleKeyDown(event) {
+        const point = this.navOrder[this.focusIndex];
+        if (!point || event.target !== point.element) return;
+
+        const bySeries = this.options.navigationOrder === 'series';
+        switch (event.key) {
+            case 'ArrowRight':
+                this.focusPoint(this.focusIndex + 1);
+                break;
+            case 'ArrowLeft':
+                this.focusPoint(this.focusIndex - 1);
+                break;
+            case 'ArrowDown':
+                bySeries ? this.focusAdjacentSeries(point, 1) : this.focusPoint(this.focusIndex + 1);
+                break;
+            case 'ArrowUp':
+                bySeries ? this.focusAdjacentSeries(point, -1) : this.focusPoint(this.focusIndex - 1);
+                break;
+            case 'Home':
+                this.focusPoint(0);
+                break;
+            case 'End':
+                this.focusPoint(this.navOrder.length - 1);
+                break;
+            case 'Enter':
+            case ' ':
+                this.handleClick(event, point);
+                break;
+            case 'Escape':
+                this.clearSelection();
+                this.hideTooltip();
+                this.options.onSelect([], null);
+                this.publishSelection();
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+
+    /**
+     * Move keyboard focus to a position in the navigation order
+     * @param {number} index - Position (clamped to the available points)
+     */
+    focusPoint(index) {
+        // Step over points hidden through the legend
+        const step = index < this.focusIndex ? -1 : 1;
+        let i = Math.min(Math.max(index, 0), this.navOrder.length - 1);
+        while (this.navOrder[i] && !this.isPointVisible(this.navOrder[i])) {
+            i += step;
+        }
+        const target = this.navOrder[i];
+        if (target) {
+            target.element.focus();
+        }
+    }
+
+    /**
+     * Move focus to the point with the closest dataX in the previous/next series
+     * @param {Object} point - Focused point
+     * @param {number} direction - 1 for the next series, -1 for the previous one
+     */
+    focusAdjacentSeries(point, direction) {
+        const seriesKeys = [...new Set(this.navOrder.map(p => this.getSeriesKey(p)))];
+        const current = seriesKeys.indexOf(this.getSeriesKey(point));
+        const targetKey = seriesKeys[current + direction];
+        if (targetKey === undefined) return;
+
+        const candidates = this.navOrder.filter(p => this.getSeriesKey(p) === targetKey);
+        const closest = candidates.reduce((best, p) =>
+            Math.abs(p.dataX - point.dataX) < Math.abs(best.dataX - point.dataX) ? p : best);
+        closest.element.focus();
+    }
+
+    /**
+     * Read a message out through the live region
+     * @param {string} message - Message for screen readers
+     */
+    announce(message) {
+        if (this.liveRegion) {
+            this.liveRegion.textContent = message;
+        }
+    }
+
+    /**
+     * Apply hover styling to element
+     * @param {Object} point - Data point
+     */
+    applyHoverStyle(point) {
+        const isLine = this.isLineMark(point);
+        
+        this.getPointElements(point).forEach(element => {
+            if (isLine) {
+                // For polylines, keep original color and just enhance visibility
+                element.style.strokeWidth = '2.5px'; // Slightly thicker
+                element.style.filter = 'drop-shadow(1px 1px 3px rgba(0,0,0,0.4))'; // Subtle highlight
+                // Keep original stroke color
+            } else {
+                // For other elements, apply blue hover color
+                element.style.stroke = this.options.hoverColor;
+                element.style.strokeWidth = '2px';
+                element.style.filter = 'drop-shadow(2px 2px 4px rgba(0,0,0,0.3))';
+            }
+        });
+    }
+
+    /**
+     * Apply selection styling to element
+     * @param {Object} point - Data point
+     */
+    applySelectionStyle(point) {
+        if (point.element.hasAttribute('aria-selected')) {
+            point.element.setAttribute('aria-selected', 'true');
+        }
+        
+        const isLine = this.isLineMark(point);
+        this.getPointElements(point).forEach(element => {
+            if (isLine) {
+                // For polylines (line charts), only enhance the stroke without changing color
+                element.style.strokeWidth = '3px'; // Make line thicker
+                element.style.filter = 'drop-shadow(0 0 4px rgba(0,0,0,0.3))'; // Subtle shadow
+                // Keep original stroke color, don't change to orange
+            } else {
+                // For other elements (circles, rects), apply the original orange selection
+                // Unfilled glyph parts (whiskers, caps, error bars) stay unfilled
+                if (!point.parts || this.normalizeColor(point.partStyles.get(element).fill)) {
+                    element.style.fill = this.options.selectionColor;
+                }
+                element.style.stroke = this.options.selectionColor;
+                element.style.strokeWidth = '2px';
+                element.style.filter = 'drop-shadow(0 0 8px ' + this.options.selectionColor + ')';
+            }
+        });
+    }
+
+    /**
+     * Reset element styling
+     * @param {Object} point - Data point
+     */
+    resetStyle(point) {
+        if (point.element.hasAttribute('aria-selected')) {
+            point.element.setAttribute('aria-selected', 'false');
+        }
+        this.getPointElements(point).forEach(element => {
+            const original = this.getPartStyle(point, element);
+            element.style.fill = original.fill;
+            element.style.stroke = original.stroke;
+            element.style.strokeWidth = original.strokeWidth;
+            element.style.filter = '';
+        });
+    }
+
+    /**
+     * Clear all selections
+     */
+    clearSelection() {
+        this.selectedPoints.forEach(id => {
+            const point = this.dataPoints.find(p => p.id === id);
+            if (point) {
+                this.resetStyle(point);
+            }
+        });
+        this.selectedPoints.clear();
+    }
+
+    /**
+     * Get selected data points
+     * @returns {Array} Array of selected data points
+     */
+    getSelectedData() {
+        return this.dataPoints.filter(point => this.selectedPoints.has(point.id));
+    }
+
+    /**
+     * Show tooltip with animation
+     */
+    showTooltip() {
+        if (this.tooltip) {
+            this.tooltip.style.opacity = '1';
+            this.tooltip.style.transform = 'translateY(0) scale(1)';
+        }
+    }
+    
+    /**
+     * Hide tooltip with animation
+     */
+    hideTooltip() {
+        if (this.tooltip) {
+            this.tooltip.style.opacity = '0';
+            this.tooltip.style.transform = 'translateY(-5px) scale(0.95)';
+        }
+    }
+    
+    /**
+     * Get data context for enhanced tooltips
+     * @param {Object} point - Data point
+     * @returns {Object} Context information
+     */
+    getDataContext(point) {
+        if (!this.options.showDataContext && !this.options.showStatistics) {
+            return {};
+        }
+        
+        // Statistics only cover what is currently shown
+        const allPoints = this.getVisiblePoints();
+        const xValues = allPoints.map(p => p.dataX);
+        const yValues = allPoints.map(p => p.dataY);
+        
+        // Calculate statistics
+        const xStats = this.calculateStats(xValues);
+        const yStats = this.calculateStats(yValues);
+        
+        // Find nearest neighbors
+        const neighbors = this.findNearestNeighbors(point, 3);
+        
+        // Calculate percentiles
+        const xPercentile = this.calculatePercentile(point.dataX, xValues);
+        const yPercentile = this.calculatePercentile(point.dataY, yValues);
+        
+        // Size values of the circles, read from the size legend
+        const sizeValues = allPoints.map(p => p.sizeValue).filter(v => v !== null && v !== undefined && isFinite(v));
+        const sizeStats = sizeValues.length > 0 ? this.calculateStats(sizeValues) : null;
+        const sizePercentile = sizeStats && point.sizeValue !== null && point.sizeValue !== undefined ?
+            this.calculatePercentile(point.sizeValue, sizeValues) : null;
+        
+        // Numeric columns of embedded data rows
+        const columns = {};
+        allPoints.forEach(p => this.getRowFields(p).forEach(field => {
+            if (typeof field.value === 'number' && isFinite(field.value)) {
+                (columns[field.name] = columns[field.name] || []).push(field.value);
+            }
+        }));
+        Object.keys(columns).forEach(name => {
+            columns[name] = this.calculateStats(columns[name]);
+        });
+        
+        return {
+            stats: { x: xStats, y: yStats, size: sizeStats, columns: columns },
+            neighbors: neighbors,
+            percentiles: { x: xPercentile, y: yPercentile, size: sizePercentile },
+            totalPoints: allPoints.length,
+            selectedCount: this.selectedPoints.size
+        };
+    }
+    
+    /**
+     * Calculate basic statistics for a dataset
+     * @param {Array} values - Numeric values
+     * @returns {Object} Statistics
+     */
+    calculateStats(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const sum = values.reduce((a, b) => a + b, 0);
+        const mean = sum / values.length;
+        
+        return {
+            min: Math.min(...values),
+            max: Math.max(...values),
+            mean: mean,
+            median: sorted[Math.floor(sorted.length / 2)],
+            count: values.length
+        };
+    }
+    
+    /**
+     * Calculate percentile rank of a value
+     * @param {number} value - Value to rank
+     * @param {Array} dataset - All values
+     * @returns {number} Percentile (0-100)
+     */
+    calculatePercentile(value, dataset) {
+        const sorted = [...dataset].sort((a, b) => a - b);
+        const index = sorted.findIndex(v => v >= value);
+        return Math.round((index / sorted.length) * 100);
+    }
+    
+    /**
+     * Find nearest neighbors to a point
+     * @param {Object} point - Target point
+     * @param {number} count - Number of neighbors to find
+     * @returns {Array} Nearest neighbor points
+     */
+    findNearestNeighbors(point, count = 3) {
+        const distances = this.getVisiblePoints()
+            .filter(p => p.id !== point.id)
+            .map(p => ({
+                point: p,
+                distance: Math.sqrt(
+                    Math.pow(p.dataX - point.dataX, 2) + 
+                    Math.pow(p.dataY - point.dataY, 2)
+                )
+            }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, count);
+        
+        return distances.map(d => d.point);
+    }
+    
+    /**
+     * Default tooltip format function
+     * @param {Object} point - Data point
+     * @param {Object} context - Data context
+     * @returns {string} Tooltip HTML content
+     */
+    defaultTooltipFormat(point, context = {}) {
+        const mapper = this.getMapper(point);
+        const labels = mapper.getAxisLabels();
+        const fmt = (value, axis, digits) => mapper.formatValue(value, axis, digits);
+        
+        // Get element-specific info
+        let elementInfo = '';
+        
+        // Names can come from embedded data rows, so they are escaped like the other row fields
+        const dataInfo = this.escapeHTML(this.getPointName(point));
+        if (this.isLineMark(point)) {
             elementInfo = `${point.pointCount || 0} data points`;
-            dataInfo = point.element.getAttribute('data-id') || point.element.getAttribute('title') || 'Time series';
         } else {
             elementInfo = `${point.type} element`;
-            dataInfo = `Point ${point.id}`;
         }
         
-        switch (this.options.tooltipStyle) {
+        // Bin ranges, colour and size values, glyph summaries, stacked bar values and extra columns of an embedded data row
+        const rowFields = this.formatRowFields([
+            ...this.getBinFields(point),
+            ...this.getColorFields(point),
+            ...this.getSizeFields(point),
+            ...this.getGlyphFields(point),
+            ...this.getBarFields(point),
+            ...this.getRowFields(point)
+        ]);
+        
+        // Series name and heading come from the legend when one was found
+        const seriesTitle = this.escapeHTML((this.legend && this.legend.title) || 'Series');
+        const seriesName = this.escapeHTML(point.series || point.element.getAttribute('data-id') || 'Unknown');
+        
+        // Hovered position along a line: show its values instead of the series summary
+        if (context.vertex) {
+            const vertex = context.vertex;
+            const position = vertex.interpolated ?
+                'interpolated' :
+                `point ${vertex.index + 1} of ${point.points.length}`;
+            const compare = (context.compare || []).map(row => `
+                <div style="display: flex; align-items: center; gap: 6px;${row.point === point ? ' font-weight: bold;' : ''}">
+                    <span style="display: inline-block; width: 10px; height: 2px; background: ${row.color};"></span>
+                    <span style="flex: 1;">${this.escapeHTML(row.name)}</span>
+                    <span>${fmt(row.dataY, 'y', 3)}</span>
+                </div>
+            `).join('');
+            
+            return `
+                <div style="border-bottom: 1px solid #eee; padding-bottom: 6px; margin-bottom: 6px;">
+                    <strong>${dataInfo}</strong>
+                    <div style="font-size: 10px; color: #7f8c8d;">${position}</div>
+                </div>
+                <div style="font-size: 12px;">
+                    <div><strong>${labels.xLabel}:</strong> ${fmt(vertex.dataX, 'x', 3)}</div>
+                    <div><strong>${labels.yLabel}:</strong> ${fmt(vertex.dataY, 'y', 3)}</div>
+                    ${vertex.row ? this.formatRowFields(this.getRowFields(point, vertex.row)) : ''}
+                </div>
+                ${compare ? `
+                    <div style="margin-top: 8px; padding-top: 6px; border-top: 1px solid #eee; font-size: 11px;">${compare}</div>
+                ` : ''}
+            `;
+        }
+        
+        // Long-press asks for the detailed view regardless of the configured style
+        const tooltipStyle = context.detailed ? 'detailed' : this.options.tooltipStyle;
+        
+        switch (tooltipStyle) {
             case 'basic':
-                if (point.type === 'polyline') {
+                if (this.isLineMark(point)) {
                     return `
                         <strong>${dataInfo}</strong><br>
                         <small>Time series with ${elementInfo}</small><br>
@@ -697,13 +5463,14 @@ class SVGInteractive {
                 } else {
                     return `
                         <strong>${dataInfo}</strong><br>
-                        ${labels.xLabel}: ${point.dataX.toFixed(2)}<br>
-                        ${labels.yLabel}: ${point.dataY.toFixed(2)}
+                        ${labels.xLabel}: ${fmt(point.dataX, 'x', 2)}<br>
+                        ${labels.yLabel}: ${fmt(point.dataY, 'y', 2)}
+                        ${rowFields}
                     `;
                 }
                 
             case 'enhanced':
-                if (point.type === 'polyline') {
+                if (this.isLineMark(point)) {
                     return `
                         <div style="border-bottom: 1px solid #eee; padding-bottom: 8px; margin-bottom: 8px;">
                             <strong style="color: #2c3e50; font-size: 14px;">${dataInfo}</strong>
@@ -711,7 +5478,7 @@ class SVGInteractive {
                         </div>
                         <div style="font-size: 12px;">
                             <div style="margin-bottom: 6px;"><strong>Author:</strong> <span style="color: #3498db;">${point.element.getAttribute('title') || 'Unknown'}</span></div>
-                            <div style="margin-bottom: 6px;"><strong>Species:</strong> <span style="color: #e74c3c;">${point.element.getAttribute('data-id') || 'Unknown'}</span></div>
+                            <div style="margin-bottom: 6px;"><strong>${seriesTitle}:</strong> <span style="color: #e74c3c;">${seriesName}</span></div>
                             <div><strong>Data Range:</strong> <span style="color: #27ae60;">${labels.xLabel} time series</span></div>
                         </div>
                         ${context.stats ? `
@@ -726,19 +5493,20 @@ class SVGInteractive {
                             <strong style="color: #2c3e50; font-size: 14px;">${dataInfo}</strong>
                         </div>
                         <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px; font-size: 12px;">
-                            <div><strong>${labels.xLabel}:</strong><br><span style="color: #3498db;">${point.dataX.toFixed(3)}</span></div>
-                            <div><strong>${labels.yLabel}:</strong><br><span style="color: #e74c3c;">${point.dataY.toFixed(3)}</span></div>
+                            <div><strong>${labels.xLabel}:</strong><br><span style="color: #3498db;">${fmt(point.dataX, 'x', 3)}</span></div>
+                            <div><strong>${labels.yLabel}:</strong><br><span style="color: #e74c3c;">${fmt(point.dataY, 'y', 3)}</span></div>
                         </div>
+                        ${rowFields ? `<div style="margin-top: 8px; font-size: 12px;">${rowFields}</div>` : ''}
                         ${context.percentiles ? `
                             <div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid #eee; font-size: 11px; color: #7f8c8d;">
-                                Percentiles: ${context.percentiles.x}th (X), ${context.percentiles.y}th (Y)
+                                Percentiles: ${context.percentiles.x}th (X), ${context.percentiles.y}th (Y)${context.percentiles.size !== null && context.percentiles.size !== undefined ? `, ${context.percentiles.size}th (size)` : ''}
                             </div>
                         ` : ''}
                     `;
                 }
                 
             case 'detailed':
-                if (point.type === 'polyline') {
+                if (this.isLineMark(point)) {
                     return `
                         <div style="border-bottom: 2px solid #3498db; padding-bottom: 10px; margin-bottom: 12px;">
                             <h4 style="margin: 0; color: #2c3e50; font-size: 16px;">📈 ${dataInfo}</h4>
@@ -751,8 +5519,8 @@ class SVGInteractive {
                             <div style="font-weight: bold; color: #2c3e50; font-size: 14px; margin-bottom: 8px;">📋 Legend Information</div>
                             <div style="display: grid; grid-template-columns: 1fr; gap: 8px;">
                                 <div style="background: #fff; padding: 8px; border-radius: 4px; border-left: 4px solid #3498db;">
-                                    <div style="font-weight: bold; color: #3498db; font-size: 12px;">Species</div>
-                                    <div style="font-size: 14px; color: #2c3e50;">${point.element.getAttribute('data-id') || 'Unknown'}</div>
+                                    <div style="font-weight: bold; color: #3498db; font-size: 12px;">${seriesTitle}</div>
+                                    <div style="font-size: 14px; color: #2c3e50;">${seriesName}</div>
                                 </div>
                                 <div style="background: #fff; padding: 8px; border-radius: 4px; border-left: 4px solid #e74c3c;">
                                     <div style="font-weight: bold; color: #e74c3c; font-size: 12px;">Author</div>
@@ -793,29 +5561,37 @@ class SVGInteractive {
                         <div style="border-bottom: 2px solid #3498db; padding-bottom: 10px; margin-bottom: 12px;">
                             <h4 style="margin: 0; color: #2c3e50; font-size: 16px;">📊 ${dataInfo}</h4>
                             <div style="font-size: 11px; color: #7f8c8d; margin-top: 2px;">
-                                ${elementInfo}
+                                ${elementInfo} · ${point.exact ? 'exact values' : `${Math.round(point.confidence * 100)}% confidence`}
                             </div>
                         </div>
                         
                         <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin-bottom: 12px;">
                             <div style="background: #ecf0f1; padding: 8px; border-radius: 4px;">
                                 <div style="font-weight: bold; color: #3498db; font-size: 12px;">${labels.xLabel}</div>
-                                <div style="font-size: 14px; color: #2c3e50;">${point.dataX.toFixed(3)}</div>
+                                <div style="font-size: 14px; color: #2c3e50;">${fmt(point.dataX, 'x', 3)}</div>
                                 ${context.percentiles ? `<div style="font-size: 10px; color: #7f8c8d;">${context.percentiles.x}th percentile</div>` : ''}
                             </div>
                             <div style="background: #ecf0f1; padding: 8px; border-radius: 4px;">
                                 <div style="font-weight: bold; color: #e74c3c; font-size: 12px;">${labels.yLabel}</div>
-                                <div style="font-size: 14px; color: #2c3e50;">${point.dataY.toFixed(3)}</div>
+                                <div style="font-size: 14px; color: #2c3e50;">${fmt(point.dataY, 'y', 3)}</div>
                                 ${context.percentiles ? `<div style="font-size: 10px; color: #7f8c8d;">${context.percentiles.y}th percentile</div>` : ''}
                             </div>
                         </div>
                         
+                        ${rowFields ? `
+                            <div style="background: #ecf0f1; padding: 8px; border-radius: 4px; margin-bottom: 12px; font-size: 12px; color: #2c3e50;">${rowFields}</div>
+                        ` : ''}
+                        
                         ${context.stats ? `
                             <div style="background: #f8f9fa; padding: 8px; border-radius: 4px; margin-bottom: 8px;">
                                 <div style="font-weight: bold; font-size: 11px; color: #2c3e50; margin-bottom: 4px;">📈 Dataset Overview</div>
                                 <div style="font-size: 10px; color: #7f8c8d; line-height: 1.3;">
-                                    ${labels.xLabel}: ${context.stats.x.min.toFixed(2)} - ${context.stats.x.max.toFixed(2)} (μ: ${context.stats.x.mean.toFixed(2)})<br>
-                                    ${labels.yLabel}: ${context.stats.y.min.toFixed(2)} - ${context.stats.y.max.toFixed(2)} (μ: ${context.stats.y.mean.toFixed(2)})
+                                    ${labels.xLabel}: ${fmt(context.stats.x.min, 'x', 2)} - ${fmt(context.stats.x.max, 'x', 2)} (μ: ${fmt(context.stats.x.mean, 'x', 2)})<br>
+                                    ${labels.yLabel}: ${fmt(context.stats.y.min, 'y', 2)} - ${fmt(context.stats.y.max, 'y', 2)} (μ: ${fmt(context.stats.y.mean, 'y', 2)})
+                                    ${context.stats.size ? `<br>${this.escapeHTML(this.sizeScale.title || 'Size value')}: ${this.formatScaleValue(context.stats.size.min)} - ${this.formatScaleValue(context.stats.size.max)} (μ: ${this.formatScaleValue(context.stats.size.mean)})` : ''}
+                                    ${Object.entries(context.stats.columns || {}).map(([name, stats]) =>
+                                        `<br>${this.escapeHTML(name)}: ${+stats.min.toPrecision(4)} - ${+stats.max.toPrecision(4)} (μ: ${+stats.mean.toPrecision(4)})`
+                                    ).join('')}
                                 </div>
                             </div>
                         ` : ''}
@@ -825,7 +5601,7 @@ class SVGInteractive {
                                 <div style="font-weight: bold; font-size: 10px; margin-bottom: 2px;">🎯 Nearest Neighbors</div>
                                 <div style="font-size: 9px;">
                                     ${context.neighbors.slice(0, 2).map(n => 
-                                        `${n.type === 'polyline' ? 'Line' : 'Point'} ${n.id}: (${n.dataX.toFixed(1)}, ${n.dataY.toFixed(1)})`
+                                        `${this.isLineMark(n) ? 'Line' : 'Point'} ${n.id}: (${fmt(n.dataX, 'x', 1)}, ${fmt(n.dataY, 'y', 1)})`
                                     ).join('<br>')}
                                 </div>
                             </div>
@@ -836,33 +5612,388 @@ class SVGInteractive {
                         </div>
                     `;
                 }
-                
-            default:
-                return this.defaultTooltipFormat(point, context);
+                
+            default:
+                return this.defaultTooltipFormat(point, context);
+        }
+    }
+
+    /**
+     * Get all data points
+     * @returns {Array} Array of all data points
+     */
+    getDataPoints() {
+        return this.dataPoints;
+    }
+
+    /**
+     * Select points programmatically
+     * @param {Array} pointIds - Array of point IDs to select
+     */
+    selectPoints(pointIds) {
+        this.clearSelection();
+        pointIds.forEach(id => {
+            const point = this.dataPoints.find(p => p.id === id);
+            if (point) {
+                this.selectedPoints.add(id);
+                this.applySelectionStyle(point);
+            }
+        });
+        this.schedulePersist();
+    }
+
+    /**
+     * Change the tooltip style
+     * @param {string} style - 'basic', 'enhanced' or 'detailed'
+     */
+    setTooltipStyle(style) {
+        this.options.tooltipStyle = style;
+        this.schedulePersist();
+    }
+
+    /**
+     * Get the interaction state in a stable, JSON-serialisable form
+     * Points are referenced by their keys (element id, data-id or bound row), not extraction order
+     * @returns {Object} {version, selection, filter, legend, zoom, tooltipStyle}
+     */
+    getState() {
+        const filter = this.activeFilter;
+
+        return {
+            version: 1,
+            selection: this.getSelectedData().map(point => point.key),
+            filter: filter ? {
+                range: filter.range || null,
+                series: filter.series || null,
+                types: filter.types || null,
+                // Predicate filters from filter() cannot be serialised
+                custom: !filter.range && !filter.series && !filter.types
+            } : null,
+            legend: {
+                hidden: Array.from(this.hiddenSeries),
+                highlighted: this.highlightedSeries
+            },
+            zoom: this.isZoomed() ? { ...this.viewBox } : null,
+            tooltipStyle: this.options.tooltipStyle
+        };
+    }
+
+    /**
+     * Restore an interaction state from getState(); keys that are left out keep their current value.
+     * A malformed state is ignored with a warning
+     * @param {Object} state - State object (or its JSON string)
+     */
+    setState(state) {
+        if (typeof state === 'string') {
+            try {
+                state = JSON.parse(state);
+            } catch (error) {
+                console.warn('Could not parse the state:', error);
+                return;
+            }
+        }
+        const problem = this.checkState(state);
+        if (problem) {
+            console.warn(`Ignoring an invalid state: ${problem}`);
+            return;
+        }
+
+        if (state.tooltipStyle) {
+            this.options.tooltipStyle = state.tooltipStyle;
+        }
+
+        if (state.legend) {
+            this.hiddenSeries = new Set(state.legend.hidden || []);
+            this.highlightedSeries = state.legend.highlighted !== undefined ? state.legend.highlighted : null;
+            this.applySeriesState();
+        }
+
+        if (state.filter !== undefined) {
+            if (state.filter && state.filter.custom) {
+                console.warn('A predicate filter cannot be restored from saved state');
+            } else {
+                this.filterBy(state.filter || {});
+            }
+            this.syncFilterPanel();
+        }
+
+        if (state.zoom !== undefined && this.baseViewBox) {
+            if (state.zoom) {
+                this.setViewBox(state.zoom);
+            } else if (this.isZoomed()) {
+                // Resetting an unchanged view would still report a zoom
+                this.resetZoom();
+            }
+        }
+
+        if (state.selection) {
+            const keys = new Set(state.selection);
+            this.selectPoints(this.dataPoints.filter(point => keys.has(point.key) && this.isPointVisible(point)).map(point => point.id));
+            if (this.selectionGroup) {
+                this.selectionGroup.publish(this);
+            }
+        }
+
+        this.schedulePersist();
+    }
+
+    /**
+     * Check that a state has the shape getState() produces before any of it is applied
+     * @param {*} state - Parsed state
+     * @returns {string|null} What is wrong with it, or null if it can be restored
+     */
+    checkState(state) {
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isList = (value) => value === null || value === undefined || Array.isArray(value);
+
+        if (!isObject(state)) return 'not an object';
+        if (!isList(state.selection)) return 'selection is not a list';
+        if (state.legend !== undefined && (!isObject(state.legend) || !isList(state.legend.hidden))) {
+            return 'legend is not {hidden, highlighted}';
+        }
+        if (state.filter !== undefined && state.filter !== null) {
+            const filter = state.filter;
+            if (!isObject(filter) || !isList(filter.series) || !isList(filter.types) ||
+                (filter.range !== undefined && filter.range !== null && !isObject(filter.range))) {
+                return 'filter is not {range, series, types}';
+            }
+            const badRange = Object.values(filter.range || {}).some(bounds =>
+                !Array.isArray(bounds) || bounds.length !== 2 || bounds.some(value => typeof value !== 'number'));
+            if (badRange) return 'filter ranges are not [min, max]';
+        }
+        if (state.zoom !== undefined && state.zoom !== null &&
+            (!isObject(state.zoom) || ['x', 'y', 'width', 'height'].some(key => !Number.isFinite(state.zoom[key])))) {
+            return 'zoom is not {x, y, width, height}';
+        }
+        if (state.tooltipStyle !== undefined && typeof state.tooltipStyle !== 'string') return 'tooltipStyle is not a string';
+        return null;
+    }
+
+    /**
+     * Move the filter panel controls to the active filter
+     */
+    syncFilterPanel() {
+        const controls = this.filterControls;
+        if (!controls) return;
+
+        const state = this.getFilterState();
+        Object.entries(controls.ranges).forEach(([axis, { sliders, readout, min, max }]) => {
+            const bounds = state.range && state.range[axis] ? state.range[axis] : [min, max];
+            sliders[0].value = Math.min(...bounds);
+            sliders[1].value = Math.max(...bounds);
+            readout.textContent = `${this.formatFilterValue(Math.min(...bounds), axis)} – ${this.formatFilterValue(Math.max(...bounds), axis)}`;
+        });
+        controls.series.forEach(input => { input.checked = !state.series || state.series.includes(controls.values.get(input)); });
+        controls.types.forEach(input => { input.checked = !state.types || state.types.includes(controls.values.get(input)); });
+    }
+
+    /**
+     * Restore saved state and keep it in sync when options.persistState is 'hash' or 'localStorage'
+     */
+    setupStatePersistence() {
+        if (!this.options.persistState) return;
+
+        const saved = this.readPersistedState();
+        if (saved) {
+            this.setState(saved);
+        }
+
+        // Links pasted into the same tab only change the hash
+        if (this.options.persistState === 'hash') {
+            this.hashHandler = () => {
+                const state = this.readPersistedState();
+                if (state && JSON.stringify(state) !== JSON.stringify(this.getState())) {
+                    this.setState(state);
+                }
+            };
+            window.addEventListener('hashchange', this.hashHandler);
         }
     }
 
     /**
-     * Get all data points
-     * @returns {Array} Array of all data points
+     * Name of the saved state: options.stateKey, the SVG id or 'figure'
+     * @returns {string} State key
      */
-    getDataPoints() {
-        return this.dataPoints;
+    getStateKey() {
+        return this.options.stateKey || this.svg.getAttribute('id') || 'figure';
     }
 
     /**
-     * Select points programmatically
-     * @param {Array} pointIds - Array of point IDs to select
+     * Read the saved state from the URL hash or localStorage
+     * @returns {Object|null} State, or null if nothing was saved
      */
-    selectPoints(pointIds) {
-        this.clearSelection();
-        pointIds.forEach(id => {
-            const point = this.dataPoints.find(p => p.id === id);
-            if (point) {
-                this.selectedPoints.add(id);
-                this.applySelectionStyle(point);
+    readPersistedState() {
+        try {
+            if (this.options.persistState === 'hash') {
+                const value = new URLSearchParams(window.location.hash.slice(1)).get(this.getStateKey());
+                return value ? JSON.parse(value) : null;
+            }
+            if (this.options.persistState === 'localStorage') {
+                const value = window.localStorage.getItem(`svg-interactive:${this.getStateKey()}`);
+                return value ? JSON.parse(value) : null;
+            }
+        } catch (error) {
+            console.warn('Could not read the saved state:', error);
+        }
+        return null;
+    }
+
+    /**
+     * Save the state shortly after the last change, so wheel zoom and drags write once
+     */
+    schedulePersist() {
+        if (!this.options.persistState) return;
+        clearTimeout(this.persistTimer);
+        this.persistTimer = setTimeout(() => this.persistState(), 250);
+    }
+
+    /**
+     * Write the current state to the URL hash or localStorage
+     */
+    persistState() {
+        const value = JSON.stringify(this.getState());
+        try {
+            if (this.options.persistState === 'hash') {
+                // Other figures on the page keep their own entries in the hash
+                const params = new URLSearchParams(window.location.hash.slice(1));
+                params.set(this.getStateKey(), value);
+                window.history.replaceState(null, '', `#${params.toString()}`);
+            } else if (this.options.persistState === 'localStorage') {
+                window.localStorage.setItem(`svg-interactive:${this.getStateKey()}`, value);
+            }
+        } catch (error) {
+            console.warn('Could not save the state:', error);
+        }
+    }
+
+    /**
+     * Report how the figure was read: axes per panel, rejected elements and point confidence
+     * @returns {Object} {panels, themeProfile, colorScale, sizeScale, rejected, points, warnings}
+     */
+    getDiagnostics() {
+        const panels = this.panels.map(panel => ({
+            index: panel.index,
+            facetLabels: panel.facetLabels,
+            ...panel.mapper.getDiagnostics()
+        }));
+        const confidences = this.dataPoints.map(point => point.confidence);
+        const warnings = [];
+        panels.forEach(panel => panel.warnings.forEach(warning => {
+            warnings.push(this.panels.length > 1 ? `Panel ${panel.index}: ${warning}` : warning);
+        }));
+        const uncounted = this.dataPoints.filter(point => point.bin && point.bin.kind === 'grid' && point.bin.count === null).length;
+        if (uncounted > 0) {
+            warnings.push(`${uncounted} 2-D bins have no count: it needs a colour bar, a data-count attribute or a bound row with a count column`);
+        }
+
+        return {
+            panels: panels,
+            themeProfile: this.themeProfile,
+            colorScale: this.colorScale ? {
+                orientation: this.colorScale.orientation,
+                title: this.colorScale.title,
+                scale: this.colorScale.scale,
+                domain: this.colorScale.domain,
+                ticks: this.colorScale.ticks.map(tick => tick.value)
+            } : null,
+            sizeScale: this.sizeScale ? {
+                orientation: this.sizeScale.orientation,
+                title: this.sizeScale.title,
+                model: this.sizeScale.model,
+                residual: this.sizeScale.residual,
+                keys: this.sizeScale.keys.map(key => ({ radius: key.radius, value: key.value }))
+            } : null,
+            rejected: this.rejectedElements.map(({ element, reason }) => ({
+                element: element,
+                tag: element.tagName.toLowerCase(),
+                id: element.getAttribute('id'),
+                reason: reason
+            })),
+            points: {
+                count: this.dataPoints.length,
+                exact: this.dataPoints.filter(point => point.exact).length,
+                meanConfidence: confidences.length > 0 ? confidences.reduce((a, b) => a + b, 0) / confidences.length : null,
+                lowConfidence: confidences.filter(c => c < 0.5).length
+            },
+            warnings: warnings
+        };
+    }
+
+    /**
+     * Draw the detected plot bounds, ticks and rejected elements on the SVG
+     */
+    showDebugOverlay() {
+        this.hideDebugOverlay();
+
+        const ns = 'http://www.w3.org/2000/svg';
+        const group = document.createElementNS(ns, 'g');
+        group.setAttribute('class', 'svg-interactive-debug');
+        group.style.pointerEvents = 'none';
+
+        const add = (tag, attributes, text) => {
+            const element = document.createElementNS(ns, tag);
+            Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+            if (text !== undefined) element.textContent = text;
+            group.appendChild(element);
+            return element;
+        };
+        const stroke = { 'fill': 'none', 'stroke-width': 1, 'vector-effect': 'non-scaling-stroke' };
+
+        this.panels.forEach(panel => {
+            const { left, right, top, bottom } = panel.bounds;
+            add('rect', { ...stroke, x: left, y: top, width: right - left, height: bottom - top, stroke: '#e91e63', 'stroke-dasharray': '6 3' });
+
+            // Ticks: cross at the mapped position, value next to it; open circles were not anchored to a tick mark
+            const diagnostics = panel.mapper.getDiagnostics();
+            ['x', 'y'].forEach(axis => diagnostics.axes[axis].ticks.forEach(tick => {
+                const x = axis === 'x' ? tick.position : left;
+                const y = axis === 'x' ? bottom : tick.position;
+                add('circle', { ...stroke, cx: x, cy: y, r: 3, stroke: '#009688', fill: tick.anchored ? '#009688' : 'none' });
+                add('text', {
+                    x: axis === 'x' ? x : x + 5,
+                    y: axis === 'x' ? y - 5 : y - 3,
+                    fill: '#009688',
+                    'font-size': 9,
+                    'font-family': 'sans-serif',
+                    'text-anchor': axis === 'x' ? 'middle' : 'start'
+                }, `${axis}=${panel.mapper.formatValue(tick.value, axis)}`);
+            }));
+        });
+
+        this.rejectedElements.forEach(({ element, reason }) => {
+            let bbox;
+            try {
+                bbox = element.getBBox();
+            } catch (error) {
+                return; // Not rendered
             }
+            const box = this.coordinateMapper.transformRect(this.coordinateMapper.getElementMatrix(element), bbox);
+            const outline = add('rect', {
+                ...stroke,
+                x: box.left,
+                y: box.top,
+                width: box.right - box.left,
+                height: box.bottom - box.top,
+                stroke: '#f44336',
+                'stroke-dasharray': '2 2'
+            });
+            const title = document.createElementNS(ns, 'title');
+            title.textContent = reason;
+            outline.appendChild(title);
         });
+
+        this.svg.appendChild(group);
+        this.debugOverlay = group;
+    }
+
+    /**
+     * Remove the debug overlay
+     */
+    hideDebugOverlay() {
+        if (this.debugOverlay && this.debugOverlay.parentNode) {
+            this.debugOverlay.parentNode.removeChild(this.debugOverlay);
+        }
+        this.debugOverlay = null;
     }
 
     /**
@@ -871,18 +6002,285 @@ class SVGInteractive {
      */
     exportData() {
         return {
-            dataPoints: this.dataPoints.map(point => ({
+            dataPoints: this.getVisiblePoints().map(point => ({
                 id: point.id,
                 type: point.type,
                 dataX: point.dataX,
                 dataY: point.dataY,
+                category: point.category,
+                series: point.series,
+                panel: point.panel,
+                facetLabels: point.facetLabels,
                 svgX: point.svgX,
-                svgY: point.svgY
+                svgY: point.svgY,
+                exact: point.exact || false,
+                confidence: point.confidence,
+                row: point.row || null,
+                rows: point.rows || null,
+                bar: point.bar || null,
+                glyph: point.glyph || null,
+                bin: point.bin || null,
+                colorValue: point.colorValue !== undefined ? point.colorValue : null,
+                sizeValue: point.sizeValue !== undefined ? point.sizeValue : null
             })),
             selectedPoints: Array.from(this.selectedPoints),
+            brush: this.lastBrush,
+            filter: this.getFilterState(),
+            legend: this.legend ? {
+                title: this.legend.title,
+                entries: this.legend.entries.map(entry => ({ label: entry.label, color: entry.color, shape: entry.shape })),
+                hidden: Array.from(this.hiddenSeries)
+            } : null,
             axisLabels: this.coordinateMapper.getAxisLabels(),
-            axisInfo: this.coordinateMapper.getDebugInfo()
+            axisInfo: this.coordinateMapper.getDebugInfo(),
+            panels: this.panels.map(panel => ({
+                index: panel.index,
+                bounds: panel.bounds,
+                facetLabels: panel.facetLabels,
+                axisInfo: panel.mapper.getDebugInfo()
+            }))
+        };
+    }
+
+    /**
+     * Get the points an export covers
+     * @param {string} scope - 'all', 'selected' or 'filtered' (points passing the filter and legend)
+     * @returns {Array} Data points
+     */
+    getExportPoints(scope = 'all') {
+        if (scope === 'selected') return this.getSelectedData();
+        if (scope === 'filtered') return this.getVisiblePoints();
+        return this.dataPoints;
+    }
+
+    /**
+     * Flatten points into export records; lines give one record per vertex
+     * @param {string} scope - 'all', 'selected' or 'filtered'
+     * @returns {Object} {columns, xColumn, yColumn, records}
+     */
+    getExportRecords(scope = 'all') {
+        const labels = this.coordinateMapper.getAxisLabels();
+        const xColumn = labels.xLabel;
+        const yColumn = labels.yLabel === xColumn ? `${labels.yLabel} (y)` : labels.yLabel;
+        const columns = ['id', 'type', 'series', 'category', 'panel', 'facet', 'vertex', xColumn, yColumn, 'exact', 'confidence'];
+        if (this.colorScale) {
+            columns.push('colorValue');
+        }
+        if (this.sizeScale) {
+            columns.push('sizeValue');
+        }
+        const barColumns = ['barValue', 'barBaseline', 'barCumulative', 'barGroup'];
+        const binColumns = ['binStart', 'binEnd', 'binYStart', 'binYEnd', 'count'];
+        const glyphColumns = [];
+        const metadataColumns = [];
+        const records = [];
+        let hasBars = false;
+        let hasBins = false;
+
+        const addRecord = (point, vertex, dataX, dataY, exact, row) => {
+            const mapper = this.getMapper(point);
+            const record = {
+                id: point.id,
+                type: point.type,
+                series: point.series !== undefined ? point.series : null,
+                category: point.category !== undefined ? point.category : null,
+                panel: point.panel !== undefined ? point.panel : null,
+                facet: point.facetLabels && point.facetLabels.length > 0 ? point.facetLabels.join(', ') : null,
+                vertex: vertex,
+                [xColumn]: exact ? dataX : this.getExportValue(dataX, 'x', mapper),
+                [yColumn]: exact ? dataY : this.getExportValue(dataY, 'y', mapper),
+                exact: exact,
+                confidence: exact ? 1 : point.confidence
+            };
+            if (this.colorScale) {
+                record.colorValue = point.colorValue;
+            }
+            if (this.sizeScale) {
+                record.sizeValue = point.sizeValue !== undefined ? point.sizeValue : null;
+            }
+
+            if (point.bar) {
+                hasBars = true;
+                record.barValue = point.bar.value;
+                record.barBaseline = point.bar.baseline;
+                record.barCumulative = point.bar.cumulative;
+                record.barGroup = point.bar.group;
+            }
+
+            if (point.bin) {
+                hasBins = true;
+                binColumns.forEach(name => {
+                    record[name] = point.bin[name];
+                });
+            }
+
+            if (point.glyph) {
+                // Summary values of box plots, violins and intervals; lists are space-separated
+                const { kind, orientation, valueAxis, ...summary } = point.glyph;
+                Object.keys(summary).forEach(name => {
+                    if (!glyphColumns.includes(name)) glyphColumns.push(name);
+                    record[name] = Array.isArray(summary[name]) ? summary[name].join(' ') : summary[name];
+                });
+            }
+
+            this.getExportMetadata(point, row).forEach(({ name, value }) => {
+                // Metadata never overwrites the standard columns
+                const standard = [columns, barColumns, binColumns, glyphColumns].some(list => list.includes(name));
+                const column = standard ? `row.${name}` : name;
+                if (!metadataColumns.includes(column)) metadataColumns.push(column);
+                record[column] = value;
+            });
+            records.push(record);
+        };
+
+        this.getExportPoints(scope).forEach(point => {
+            if (this.isLineMark(point) && point.points && point.points.length > 1) {
+                const mapper = this.getMapper(point);
+                const rows = point.rows && point.rows.length === point.points.length ? point.rows : null;
+                point.points.forEach((vertex, index) => {
+                    const row = rows ? rows[index] : null;
+                    const values = this.getRowValues(point, row);
+                    const exact = values.dataX !== null && values.dataY !== null;
+                    addRecord(point, index,
+                        values.dataX !== null ? values.dataX : mapper.mapSVGToDataX(vertex.x),
+                        values.dataY !== null ? values.dataY : mapper.mapSVGToDataY(vertex.y),
+                        exact, row);
+                });
+            } else {
+                addRecord(point, null, point.dataX, point.dataY, point.exact || false, point.row);
+            }
+        });
+
+        return {
+            columns: [...columns, ...(hasBars ? barColumns : []), ...(hasBins ? binColumns : []), ...glyphColumns, ...metadataColumns],
+            xColumn,
+            yColumn,
+            records
+        };
+    }
+
+    /**
+     * Convert an inferred axis value for export: ISO strings on date axes, category names on categorical ones
+     * @param {number} value - Data value
+     * @param {string} axis - 'x' or 'y'
+     * @param {CoordinateMapper} mapper - Mapper of the point's panel
+     * @returns {number|string|null} Export value
+     */
+    getExportValue(value, axis, mapper) {
+        if (value === null || value === undefined || !isFinite(value)) return null;
+
+        const scale = mapper.getScale(axis);
+        if (scale.type === 'date') return new Date(Math.round(value)).toISOString();
+        if (scale.type === 'categorical') return mapper.formatValue(value, axis);
+        return value;
+    }
+
+    /**
+     * Collect the metadata bound to a point: embedded row columns, value labels and data-* attributes
+     * @param {Object} point - Data point
+     * @param {Object} row - Embedded row for this record, if any
+     * @returns {Array} [{name, value}]
+     */
+    getExportMetadata(point, row) {
+        const fields = row ? this.getRowFields(point, row) : [];
+        if (point.label !== undefined) {
+            fields.push({ name: 'label', value: point.label });
+        }
+        Array.from(point.element.attributes).forEach(attribute => {
+            const name = attribute.name;
+            if (name.startsWith('data-') && !['data-row', 'data-rows', 'data-table'].includes(name)) {
+                fields.push({ name: name, value: attribute.value });
+            }
+        });
+        return fields;
+    }
+
+    /**
+     * Serialise points as CSV with the axis labels as column headers
+     * @param {Object} options - {scope: 'all'|'selected'|'filtered', delimiter: ','}
+     * @returns {string} CSV text
+     */
+    exportCSV(options = {}) {
+        const delimiter = options.delimiter || ',';
+        const { columns, records } = this.getExportRecords(options.scope);
+
+        const cell = (value) => {
+            if (value === null || value === undefined) return '';
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
         };
+
+        return [columns, ...records.map(record => columns.map(column => record[column]))]
+            .map(values => values.map(cell).join(delimiter))
+            .join('\r\n');
+    }
+
+    /**
+     * Serialise points as structured JSON
+     * @param {Object} options - {scope: 'all'|'selected'|'filtered', indent: 2}
+     * @returns {string} JSON text {scope, axes, columns, points}
+     */
+    exportJSON(options = {}) {
+        const scope = options.scope || 'all';
+        const { columns, xColumn, yColumn, records } = this.getExportRecords(scope);
+        const axis = (name, column) => ({ label: column, scale: this.coordinateMapper.getScale(name).type });
+
+        return JSON.stringify({
+            scope: scope,
+            axes: { x: axis('x', xColumn), y: axis('y', yColumn) },
+            columns: columns,
+            points: records
+        }, null, options.indent !== undefined ? options.indent : 2);
+    }
+
+    /**
+     * Copy exported points to the clipboard
+     * @param {string} format - 'csv' or 'json'
+     * @param {Object} options - Export options (scope, ...)
+     * @returns {Promise} Resolves once the text is on the clipboard
+     */
+    copyData(format = 'csv', options = {}) {
+        const text = format === 'json' ? this.exportJSON(options) : this.exportCSV(options);
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            return navigator.clipboard.writeText(text);
+        }
+
+        // Fallback for insecure contexts (file://) without the async clipboard API
+        return new Promise((resolve, reject) => {
+            const textarea = document.createElement('textarea');
+            textarea.value = text;
+            textarea.style.cssText = 'position: fixed; opacity: 0;';
+            document.body.appendChild(textarea);
+            textarea.select();
+            const copied = document.execCommand && document.execCommand('copy');
+            document.body.removeChild(textarea);
+            if (copied) {
+                resolve();
+            } else {
+                reject(new Error('Clipboard is not available'));
+            }
+        });
+    }
+
+    /**
+     * Download exported points as a file
+     * @param {string} format - 'csv' or 'json'
+     * @param {Object} options - Export options (scope, filename without extension, ...)
+     */
+    downloadData(format = 'csv', options = {}) {
+        const json = format === 'json';
+        const text = json ? this.exportJSON(options) : this.exportCSV(options);
+        const blob = new Blob([text], { type: json ? 'application/json' : 'text/csv' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${options.filename || this.options.exportFilename}.${json ? 'json' : 'csv'}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
     }
 
     /**
@@ -894,11 +6292,142 @@ class SVGInteractive {
             this.tooltip.parentNode.removeChild(this.tooltip);
         }
         
+        // Remove brush listeners and overlay
+        if (this.brushHandlers) {
+            this.svg.removeEventListener('pointerdown', this.brushHandlers.down);
+            this.cancelBrush();
+        }
+        this.svg.style.cursor = '';
+        
+        this.hideDebugOverlay();
+        
+        // Remove the polyline marker / compare rule
+        if (this.trackOverlay) {
+            this.trackOverlay.group.parentNode.removeChild(this.trackOverlay.group);
+            this.trackOverlay = null;
+        }
+        this.trackedVertex = null;
+        
+        // Remove nearest-point listeners
+        if (this.hitHandlers) {
+            this.svg.removeEventListener('pointermove', this.hitHandlers.move);
+            this.svg.removeEventListener('pointerleave', this.hitHandlers.leave);
+            this.svg.removeEventListener('pointerdown', this.hitHandlers.down);
+            this.svg.removeEventListener('click', this.hitHandlers.click);
+        }
+        this.spatialIndex = null;
+        this.hoverPoint = null;
+        
+        // Remove touch listeners and any pinned tooltip
+        if (this.touchHandlers) {
+            this.cancelTouch();
+            this.unpinTooltip();
+            document.removeEventListener('pointerdown', this.touchHandlers.outside, true);
+            this.svg.removeEventListener('contextmenu', this.touchHandlers.contextmenu);
+            this.svg.style.touchAction = '';
+        }
+        
+        if (this.selectionGroup) {
+            this.selectionGroup.leave(this);
+        }
+        
+        // Remove zoom listeners, crosshair and restore the original view
+        if (this.zoomHandlers) {
+            this.svg.removeEventListener('wheel', this.zoomHandlers.wheel);
+            this.svg.removeEventListener('dblclick', this.zoomHandlers.dblclick);
+            this.svg.removeEventListener('pointerdown', this.zoomHandlers.down);
+            window.removeEventListener('pointermove', this.zoomHandlers.move);
+            window.removeEventListener('pointerup', this.zoomHandlers.up);
+            window.removeEventListener('pointercancel', this.zoomHandlers.up);
+        }
+        if (this.isZoomed()) {
+            // setState() can zoom even without enableZoom
+            this.resetZoom();
+        } else if (this.viewBox && this.originalViewBox === null) {
+            this.svg.removeAttribute('viewBox');
+        }
+        if (this.crosshair) {
+            this.svg.removeEventListener('pointermove', this.crosshairHandlers.move);
+            this.svg.removeEventListener('pointerleave', this.crosshairHandlers.leave);
+            this.crosshair.group.parentNode.removeChild(this.crosshair.group);
+            this.crosshair = null;
+        }
+        
+        // Remove keyboard navigation, ARIA attributes and the live region
+        if (this.keyHandler) {
+            this.svg.removeEventListener('keydown', this.keyHandler);
+            this.svg.removeEventListener('focusin', this.focusHandlers.focus);
+            this.svg.removeEventListener('focusout', this.focusHandlers.blur);
+            this.focusHandlers = null;
+            ['role', 'aria-multiselectable'].forEach(attr => this.svg.removeAttribute(attr));
+            if (this.ownsSvgLabel) {
+                this.svg.removeAttribute('aria-label');
+            }
+        }
+        if (this.liveRegion && this.liveRegion.parentNode) {
+            this.liveRegion.parentNode.removeChild(this.liveRegion);
+        }
+        this.liveRegion = null;
+        
+        // Remove the colour bar brush
+        if (this.colorbarHandlers) {
+            this.svg.removeEventListener('pointerdown', this.colorbarHandlers.down, true);
+            window.removeEventListener('pointermove', this.colorbarHandlers.move);
+            window.removeEventListener('pointerup', this.colorbarHandlers.up);
+            window.removeEventListener('pointercancel', this.colorbarHandlers.up);
+            this.colorScale.elements.forEach(element => {
+                element.style.cursor = '';
+            });
+            this.drawColorbarSelection(null);
+            this.colorbarHandlers = null;
+        }
+        
+        // Remove the filter panel
+        if (this.filterPanel && this.filterPanel.parentNode) {
+            this.filterPanel.parentNode.removeChild(this.filterPanel);
+        }
+        this.filterPanel = null;
+        if (this.toolbar && this.toolbar.parentNode) {
+            this.toolbar.parentNode.removeChild(this.toolbar);
+        }
+        clearTimeout(this.toolbarStatusTimer);
+        this.toolbar = null;
+        this.filterControls = null;
+        
+        // Undo legend state
+        if (this.legend) {
+            this.legend.entries.forEach(entry => {
+                [entry.text, entry.swatch].forEach(element => {
+                    element.style.cursor = '';
+                    element.style.opacity = '';
+                });
+                ['tabindex', 'role', 'aria-pressed'].forEach(attr => entry.text.removeAttribute(attr));
+            });
+        }
+        
         // Reset all styles
         this.dataPoints.forEach(point => {
             this.resetStyle(point);
-            point.element.style.cursor = '';
+            this.getPointElements(point).forEach(element => {
+                const original = this.getPartStyle(point, element);
+                element.style.cursor = '';
+                element.style.display = original.display;
+                element.style.opacity = original.opacity;
+                element.style.pointerEvents = '';
+            });
+            ['tabindex', 'role', 'aria-selected', 'aria-label'].forEach(attr => point.element.removeAttribute(attr));
+            if (this.focusTargets) {
+                this.getPointElements(point).forEach(element => element.removeAttribute('aria-hidden'));
+            }
         });
+        this.focusTargets = null;
+        
+        // Stop saving state; the resets above must not overwrite it
+        clearTimeout(this.persistTimer);
+        if (this.hashHandler) {
+            window.removeEventListener('hashchange', this.hashHandler);
+            this.hashHandler = null;
+        }
         
         // Clear data
         this.dataPoints = [];
@@ -906,6 +6435,304 @@ class SVGInteractive {
     }
 }
 
+/**
+ * Built-in mark extractors, tried in order; each element is claimed by the first one that matches
+ * Add producer-specific ones with SVGInteractive.registerExtractor() or options.extractors
+ */
+SVGInteractive.extractors = [
+    {
+        name: 'circle',
+        selector: 'circle',
+        extract: (element) => {
+            const r = parseFloat(element.getAttribute('r'));
+            return {
+                x: parseFloat(element.getAttribute('cx')),
+                y: parseFloat(element.getAttribute('cy')),
+                width: r * 2,
+                height: r * 2
+            };
+        }
+    },
+    {
+        name: 'rect',
+        selector: 'rect',
+        match: (element, chart) => !chart.isBackgroundElement(element),
+        extract: (element) => {
+            const width = parseFloat(element.getAttribute('width'));
+            const height = parseFloat(element.getAttribute('height'));
+            return {
+                x: parseFloat(element.getAttribute('x')) + width / 2,
+                y: parseFloat(element.getAttribute('y')) + height / 2,
+                width: width,
+                height: height
+            };
+        }
+    },
+    {
+        name: 'path',
+        selector: 'path',
+        match: (element, chart) => !chart.isBackgroundElement(element),
+        extract: (element, chart) => {
+            const path = chart.coordinateMapper.parsePathData(element.getAttribute('d'));
+            if (!path || path.subpaths.length === 0) {
+                // Unparseable data: fall back to the center of the bounding box
+                const bbox = element.getBBox();
+                return { x: bbox.x + bbox.width / 2, y: bbox.y + bbox.height / 2, width: bbox.width, height: bbox.height };
+            }
+
+            // Vertices of all subpaths; subpathStarts marks where a new subpath begins
+            const subpathStarts = [];
+            const coords = [];
+            path.subpaths.forEach(subpath => {
+                if (coords.length > 0) subpathStarts.push(coords.length);
+                coords.push(...subpath.points);
+            });
+
+            const record = chart.getPointsRecord(coords);
+            record.pathKind = chart.classifyPath(path, record.width, record.height);
+            record.subpathStarts = subpathStarts;
+
+            // Areas and glyphs are read at the centre of their box, lines at their centroid
+            if (record.pathKind !== 'line') {
+                const xs = coords.map(p => p.x);
+                const ys = coords.map(p => p.y);
+                record.x = (Math.min(...xs) + Math.max(...xs)) / 2;
+                record.y = (Math.min(...ys) + Math.max(...ys)) / 2;
+            }
+            return record;
+        }
+    },
+    {
+        name: 'polyline',
+        selector: 'polyline',
+        match: (element, chart) => !chart.isBackgroundElement(element),
+        extract: (element, chart) => {
+            const points = element.getAttribute('points');
+            return points ? chart.getPointsRecord(chart.parsePolylinePoints(points)) : null;
+        }
+    },
+    {
+        name: 'ellipse',
+        selector: 'ellipse',
+        match: (element, chart) => !chart.isBackgroundElement(element),
+        extract: (element) => ({
+            x: parseFloat(element.getAttribute('cx')) || 0,
+            y: parseFloat(element.getAttribute('cy')) || 0,
+            width: (parseFloat(element.getAttribute('rx')) || 0) * 2,
+            height: (parseFloat(element.getAttribute('ry')) || 0) * 2
+        })
+    },
+    {
+        name: 'line',
+        selector: 'line',
+        match: (element, chart) => !chart.isBackgroundElement(element),
+        extract: (element, chart) => chart.getPointsRecord(
+            [['x1', 'y1'], ['x2', 'y2']].map(([x, y]) => ({
+                x: parseFloat(element.getAttribute(x)) || 0,
+                y: parseFloat(element.getAttribute(y)) || 0
+            }))
+        )
+    },
+    {
+        name: 'polygon',
+        selector: 'polygon',
+        match: (element, chart) => !chart.isBackgroundElement(element),
+        extract: (element, chart) => {
+            const points = element.getAttribute('points');
+            return points ? chart.getPointsRecord(chart.parsePolylinePoints(points)) : null;
+        }
+    },
+    {
+        // Marker instances (matplotlib draws scatter markers and ticks as <use> of a path in <defs>)
+        name: 'use',
+        selector: 'use',
+        match: (element, chart) => !chart.isBackgroundElement(element),
+        extract: (element, chart) => {
+            const href = element.getAttribute('href') || element.getAttribute('xlink:href') ||
+                element.getAttributeNS('http://www.w3.org/1999/xlink', 'href') || '';
+            const target = href.startsWith('#') ? chart.coordinateMapper.findById(href.slice(1)) : null;
+            if (!target) return `unresolved reference "${href}"`;
+
+            const geometry = chart.extractGeometry(target);
+            // Zero-area references are tick marks and rules, not markers
+            if (!geometry || !(geometry.width > 0 && geometry.height > 0)) return 'references a shape without area (tick mark)';
+
+            const dx = parseFloat(element.getAttribute('x')) || 0;
+            const dy = parseFloat(element.getAttribute('y')) || 0;
+            const record = { ...geometry, x: geometry.x + dx, y: geometry.y + dy, href: href };
+            if (geometry.points) {
+                record.points = geometry.points.map(p => ({ x: p.x + dx, y: p.y + dy }));
+                record.startPoint = record.points[0];
+                record.endPoint = record.points[record.points.length - 1];
+            }
+            return record;
+        }
+    },
+    {
+        // Value labels drawn inside a plot area; tick labels, titles and strips sit outside it
+        name: 'text',
+        selector: 'text',
+        quiet: true, // Texts it skips are labels, not rejected marks
+        match: (element, chart) => {
+            if (!element.textContent.trim()) return false;
+            const pos = chart.coordinateMapper.getTextPosition(element);
+            return chart.panels.some(panel =>
+                pos.x > panel.bounds.left && pos.x < panel.bounds.right &&
+                pos.y > panel.bounds.top && pos.y < panel.bounds.bottom);
+        },
+        extract: (element, chart) => {
+            let box = null;
+            try {
+                box = element.getBBox();
+            } catch (error) {
+                // Not rendered
+            }
+            if (!box || (box.width === 0 && box.height === 0)) {
+                box = { x: parseFloat(element.getAttribute('x')) || 0, y: parseFloat(element.getAttribute('y')) || 0, width: 0, height: 0 };
+            }
+
+            const label = element.textContent.trim();
+            const number = chart.coordinateMapper.parseNumericLabel(label);
+            return {
+                x: box.x + box.width / 2,
+                y: box.y + box.height / 2,
+                width: box.width,
+                height: box.height,
+                label: label,
+                labelValue: number ? number.value : null
+            };
+        }
+    }
+];
+
+/**
+ * Background rules that apply under every theme profile
+ * Rule: {reason, tags?, selector?, fill?: [colours], stroke?: [colours], test?(element, info, chart)}
+ */
+SVGInteractive.commonBackgroundRules = {
+    include: [
+        {
+            // Marks carrying data attributes are interactive regardless of appearance
+            reason: 'data attributes',
+            test: (element) => element.hasAttribute('data-id') || element.hasAttribute('title')
+        }
+    ],
+    exclude: [
+        {
+            reason: 'white fill',
+            fill: ['#ffffff'],
+            test: (element, info) => info.tag !== 'polyline' // polylines typically have fill=none
+        },
+        {
+            // Ticks, axis lines and grid lines; diagonal segments stay data
+            reason: 'straight horizontal/vertical two-point line',
+            tags: ['polyline', 'line', 'path'],
+            test: (element, info) => info.axisAligned
+        },
+        {
+            reason: 'covers more than 80% of the figure',
+            test: (element, info) => !!info.bbox && !!info.figure &&
+                (info.bbox.width > info.figure.width * 0.8 || info.bbox.height > info.figure.height * 0.8)
+        }
+    ]
+};
+
+/**
+ * Built-in theme profiles, in detection order; the first whose detect() passes is used
+ * 'generic' has no detector and is the fallback
+ */
+SVGInteractive.themeProfiles = {
+    'seaborn': {
+        label: 'matplotlib with a seaborn style',
+        extends: 'matplotlib',
+        detect: (svg, chart) => chart.detectProducer() === 'matplotlib' &&
+            (chart.hasPaint('fill', ['#eaeaf2']) || chart.hasPaint('stroke', ['#cccccc'])),
+        rules: [
+            { reason: 'seaborn axes background', fill: ['#eaeaf2'] },
+            { reason: 'seaborn grid line', stroke: ['#ffffff', '#cccccc'], test: (element, info) => info.axisAligned }
+        ]
+    },
+    'matplotlib': {
+        label: 'matplotlib default style',
+        detect: (svg, chart) => chart.detectProducer() === 'matplotlib',
+        rules: [
+            { reason: 'matplotlib grid line', stroke: ['#b0b0b0'], test: (element, info) => info.axisAligned },
+            {
+                // Spines are unfilled two-point patches; bars are filled ones
+                reason: 'matplotlib axes spine',
+                selector: 'g[id^="patch_"] > path',
+                test: (element, info) => !info.fill && info.axisAligned
+            },
+            { reason: 'matplotlib tick mark', selector: 'g[id^="xtick_"] *, g[id^="ytick_"] *' }
+        ]
+    },
+    'ggplot-dark': {
+        label: 'ggplot2 theme_dark',
+        detect: (svg, chart) => chart.detectProducer() === 'ggplot' && chart.hasPaint('fill', ['#7f7f7f']),
+        rules: [
+            { reason: 'ggplot panel background', fill: ['#7f7f7f'] },
+            { reason: 'ggplot grid line', stroke: ['#6b6b6b'], test: (element, info) => info.axisAligned },
+            { reason: 'ggplot strip background', fill: ['#262626'], tags: ['rect', 'path', 'polygon'] }
+        ]
+    },
+    'ggplot': {
+        label: 'ggplot2 theme_grey',
+        detect: (svg, chart) => chart.detectProducer() === 'ggplot' && chart.hasPaint('fill', ['#ebebeb']),
+        rules: [
+            { reason: 'ggplot panel background', fill: ['#ebebeb'] },
+            { reason: 'ggplot grid line', stroke: ['#ffffff'], test: (element, info) => info.axisAligned },
+            { reason: 'ggplot strip background', fill: ['#d9d9d9'], tags: ['rect', 'path', 'polygon'] }
+        ]
+    },
+    'ggplot-minimal': {
+        label: 'ggplot2 theme_minimal / theme_bw / theme_light',
+        detect: (svg, chart) => chart.detectProducer() === 'ggplot',
+        rules: [
+            { reason: 'ggplot grid line', stroke: ['#ebebeb', '#dedede'], test: (element, info) => info.axisAligned },
+            { reason: 'ggplot strip background', fill: ['#d9d9d9', '#b3b3b3'], tags: ['rect', 'path', 'polygon'] }
+        ]
+    },
+    'gramm': {
+        label: 'gramm (MATLAB)',
+        extends: 'matlab',
+        detect: (svg, chart) => chart.detectProducer() === 'matlab' && chart.hasPaint('fill', ['#e5e5e5']),
+        rules: [
+            { reason: 'gramm panel background', fill: ['#e5e5e5'] },
+            { reason: 'gramm grid line', stroke: ['#ffffff'], test: (element, info) => info.axisAligned }
+        ]
+    },
+    'matlab': {
+        label: 'MATLAB default axes',
+        detect: (svg, chart) => chart.detectProducer() === 'matlab',
+        rules: [
+            { reason: 'MATLAB figure background', fill: ['#f0f0f0'] },
+            {
+                // Grid lines share the axes colour but are drawn translucent
+                reason: 'MATLAB grid line',
+                stroke: ['#262626'],
+                test: (element, info) => info.axisAligned && info.strokeOpacity < 0.5
+            },
+            { reason: 'MATLAB axes line', stroke: ['#262626'], test: (element, info) => info.axisAligned }
+        ]
+    },
+    'generic': {
+        label: 'Generic (no producer detected)',
+        rules: [
+            { reason: 'grid line colour', stroke: ['#ebebeb', '#b0b0b0'], test: (element, info) => info.axisAligned }
+        ]
+    }
+};
+
+/**
+ * Built-in glyph recognisers, tried in order; an element belongs to the first glyph that claims it
+ * Add others with SVGInteractive.registerGlyphRecognizer() or options.glyphRecognizers
+ */
+SVGInteractive.glyphRecognizers = [
+    { name: 'boxplot', recognize: (scene, chart) => chart.recognizeBoxPlots(scene) },
+    { name: 'violin', recognize: (scene, chart) => chart.recognizeViolins(scene) },
+    { name: 'interval', recognize: (scene, chart) => chart.recognizeIntervals(scene) }
+];
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = SVGInteractive;
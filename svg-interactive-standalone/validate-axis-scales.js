@@ -0,0 +1,141 @@
+/**
+ * Validation script for axis scale detection
+ * Checks that CoordinateMapper.buildAxis reads linear, log, date and categorical axes from tick labels
+ *
+ * Run with: node validate-axis-scales.js
+ */
+
+const CoordinateMapper = require('./lib/coordinate-mapper.js');
+
+let failures = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+    } else {
+        failures++;
+        console.log(`  ❌ ${name}${detail ? ` (${detail})` : ''}`);
+    }
+}
+
+// buildAxis() only needs the options, so no SVG is needed
+const mapper = Object.create(CoordinateMapper.prototype);
+mapper.options = {};
+
+// Tick label candidates as extractAxisInfo() builds them: one row of labels under the x-axis
+function xCandidates(labels, positions) {
+    return labels.map((label, i) => {
+        const x = positions ? positions[i] : 60 + i * 100;
+        return {
+            ...mapper.parseTickLabel(label),
+            label,
+            pos: { x, y: 400, width: 8 * label.length, height: 10 },
+            svgX: x,
+            anchored: true
+        };
+    });
+}
+
+// A column of labels left of the y-axis, listed from the bottom up
+function yCandidates(labels) {
+    return labels.map((label, i) => ({
+        ...mapper.parseTickLabel(label),
+        label,
+        pos: { x: 30, y: 380 - i * 80, width: 8 * label.length, height: 10 },
+        svgY: 380 - i * 80,
+        anchored: true
+    }));
+}
+
+function validateNumericScales() {
+    console.log('🔢 Testing numeric axes...');
+    const linear = mapper.buildAxis(xCandidates(['0', '25', '50', '75', '100']), 'x');
+    check('evenly spaced values are linear', linear.scale.type === 'linear' && linear.scale.detected &&
+        linear.ticks.length === 5, linear.scale.type);
+
+    const log = mapper.buildAxis(xCandidates(['1', '10', '100', '1000']), 'x');
+    check('evenly spaced powers of ten are log', log.scale.type === 'log', log.scale.type);
+
+    const powers = mapper.buildAxis(xCandidates(['10⁰', '10¹', '10²', '10³']), 'x');
+    check('superscript powers read as a log axis', powers.scale.type === 'log' &&
+        powers.ticks[3].value === 1000, powers.scale.type);
+
+    const twoTicks = mapper.buildAxis(xCandidates(['1', '10']), 'x');
+    check('two ticks are too few to call an axis log', twoTicks.scale.type === 'linear', twoTicks.scale.type);
+
+    const withZero = mapper.buildAxis(xCandidates(['0', '10', '100', '1000']), 'x');
+    check('an axis with a zero tick is not log', withZero.scale.type === 'linear', withZero.scale.type);
+
+    const reversed = mapper.buildAxis(xCandidates(['100', '50', '0']), 'x');
+    check('values falling along the axis mark it reversed', reversed.scale.reversed && reversed.scale.type === 'linear');
+
+    const vertical = mapper.buildAxis(yCandidates(['0', '0.5', '1.0']), 'y');
+    check('a y-axis read from the bottom is not reversed', vertical.scale.type === 'linear' && !vertical.scale.reversed &&
+        vertical.ticks[0].svgY === 380);
+}
+
+function validateDateScales() {
+    console.log('📅 Testing date axes...');
+    const iso = mapper.buildAxis(xCandidates(['2020-01', '2020-04', '2020-07', '2020-10']), 'x');
+    check('ISO months are a date axis', iso.scale.type === 'date' && iso.scale.hasYear && !iso.scale.hasTime,
+        iso.scale.type);
+    check('date ticks are UTC milliseconds', iso.ticks[1].value === Date.UTC(2020, 3, 1));
+
+    const months = mapper.buildAxis(xCandidates(['Oct', 'Nov', 'Dec', 'Jan', 'Feb']), 'x');
+    const values = months.ticks.map(t => t.value);
+    check('month names are a date axis', months.scale.type === 'date' && !months.scale.hasYear, months.scale.type);
+    check('month names roll into the next year', values.every((v, i) => i === 0 || v > values[i - 1]) &&
+        months.ticks[3].value === Date.UTC(2001, 0, 1), new Date(months.ticks[3].value).toISOString());
+
+    const times = mapper.buildAxis(xCandidates(['09:00', '12:00', '15:00']), 'x');
+    check('clock times are a time-only date axis', times.scale.type === 'date' && times.scale.hasTime &&
+        !times.scale.hasDate, times.scale.type);
+
+    const years = mapper.buildAxis(xCandidates(['2000', '2005', '2010']), 'x');
+    check('bare years stay numeric', years.scale.type === 'linear', years.scale.type);
+}
+
+function validateCategoricalScales() {
+    console.log('🏷️ Testing categorical axes...');
+    const fruit = mapper.buildAxis(xCandidates(['apple', 'banana', 'cherry']), 'x');
+    check('words are categories', fruit.scale.type === 'categorical' &&
+        fruit.scale.categories.join() === 'apple,banana,cherry', fruit.scale.type);
+    check('categories are numbered along the axis', fruit.ticks.map(t => t.value).join() === '0,1,2');
+
+    const mixed = mapper.buildAxis(xCandidates(['A1', 'B2', '3']), 'x');
+    check('one numeric label among words keeps the axis categorical', mixed.scale.type === 'categorical', mixed.scale.type);
+}
+
+function validateForcedScales() {
+    console.log('🎛️ Testing forced scale types...');
+    const log = mapper.buildAxis(xCandidates(['0', '1', '10', '100']), 'x', 'log');
+    check('a forced log axis drops non-positive ticks', log.scale.type === 'log' && !log.scale.detected &&
+        log.ticks.length === 3, `${log.ticks.length} ticks`);
+
+    const linear = mapper.buildAxis(xCandidates(['1', '10', '100', '1000']), 'x', 'linear');
+    check('a forced linear axis is not detected as log', linear.scale.type === 'linear', linear.scale.type);
+
+    const auto = mapper.buildAxis(xCandidates(['1', '10', '100', '1000']), 'x', 'auto');
+    check("'auto' still detects the scale", auto.scale.type === 'log' && auto.scale.detected, auto.scale.type);
+
+    const categories = mapper.buildAxis(xCandidates(['1', '2', '4']), 'x', 'categorical');
+    check('numbers can be forced to categories', categories.scale.type === 'categorical' &&
+        categories.scale.categories.join() === '1,2,4', categories.scale.type);
+}
+
+function validateAxisScales() {
+    console.log('🧪 Testing axis scale detection...');
+    validateNumericScales();
+    validateDateScales();
+    validateCategoricalScales();
+    validateForcedScales();
+    console.log(failures === 0 ? '✅ All axis scale tests passed!' : `❌ ${failures} axis scale test(s) failed`);
+    return failures === 0;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validateAxisScales };
+}
+if (require.main === module) {
+    process.exitCode = validateAxisScales() ? 0 : 1;
+}
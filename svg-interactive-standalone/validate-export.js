@@ -0,0 +1,132 @@
+/**
+ * Validation script for CSV export
+ * Checks that SVGInteractive.exportCSV quotes cells so the text reads back into the same values
+ *
+ * Run with: node validate-export.js
+ */
+
+const SVGInteractive = require('./lib/svg-interactive.js');
+
+let failures = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+    } else {
+        failures++;
+        console.log(`  ❌ ${name}${detail ? ` (${detail})` : ''}`);
+    }
+}
+
+// exportCSV() only formats what getExportRecords() returns, so the records are supplied directly
+function createChart(columns, records) {
+    const chart = Object.create(SVGInteractive.prototype);
+    chart.requestedScopes = [];
+    chart.getExportRecords = (scope) => {
+        chart.requestedScopes.push(scope);
+        return { columns, xColumn: columns[1], yColumn: columns[2], records };
+    };
+    return chart;
+}
+
+// RFC 4180 reader: quoted cells may hold delimiters, doubled quotes and line breaks
+function readCSV(text, delimiter = ',') {
+    const rows = [[]];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            rows[rows.length - 1].push(cell);
+            cell = '';
+        } else if (ch === '\r' && text[i + 1] === '\n') {
+            rows[rows.length - 1].push(cell);
+            rows.push([]);
+            cell = '';
+            i++;
+        } else {
+            cell += ch;
+        }
+    }
+    rows[rows.length - 1].push(cell);
+    return rows;
+}
+
+function validateQuoting() {
+    console.log('📝 Testing cell quoting...');
+    const columns = ['id', 'Weight, kg', 'label'];
+    const records = [
+        { id: 0, 'Weight, kg': 1.5, label: 'plain' },
+        { id: 1, 'Weight, kg': 2, label: 'Smith, J.' },
+        { id: 2, 'Weight, kg': 3, label: 'the "best" one' },
+        { id: 3, 'Weight, kg': 4, label: 'two\nlines' },
+        { id: 4, 'Weight, kg': 5, label: 'carriage\rreturn' },
+        { id: 5, 'Weight, kg': null, label: undefined },
+        { id: 6, 'Weight, kg': 7, label: { low: 1, high: [2, 3] } }
+    ];
+    const text = createChart(columns, records).exportCSV();
+    const lines = text.split('\r\n');
+
+    check('a header with the delimiter is quoted', lines[0] === 'id,"Weight, kg",label', lines[0]);
+    check('plain cells are left bare', lines[1] === '0,1.5,plain', lines[1]);
+    check('a cell with the delimiter is quoted', lines[2] === '1,2,"Smith, J."', lines[2]);
+    check('quotes are doubled inside a quoted cell', lines[3] === '2,3,"the ""best"" one"', lines[3]);
+    check('null and undefined become empty cells', text.includes('\r\n5,,\r\n'));
+    check('objects are written as JSON', text.includes('"{""low"":1,""high"":[2,3]}"'));
+
+    const rows = readCSV(text);
+    check('every record reads back as one row', rows.length === records.length + 1, `${rows.length} rows`);
+    check('line breaks survive inside quoted cells', rows[4][2] === 'two\nlines' && rows[5][2] === 'carriage\rreturn');
+    check('every cell reads back to its value', records.every((record, r) => columns.every((column, c) => {
+        const value = record[column];
+        const expected = value === null || value === undefined ? '' :
+            typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return rows[r + 1][c] === expected;
+    })));
+}
+
+function validateDelimiters() {
+    console.log('🔀 Testing delimiters...');
+    const columns = ['id', 'x', 'label'];
+    const records = [{ id: 0, x: '1,5', label: 'a;b' }, { id: 1, x: 2, label: 'c' }];
+    const chart = createChart(columns, records);
+
+    const semicolon = chart.exportCSV({ delimiter: ';' }).split('\r\n');
+    check('a semicolon delimiter quotes cells with semicolons', semicolon[1] === '0;1,5;"a;b"', semicolon[1]);
+
+    const tab = readCSV(chart.exportCSV({ delimiter: '\t' }), '\t');
+    check('a tab delimiter reads back', tab[1].join('|') === '0|1,5|a;b', tab[1].join('|'));
+
+    chart.exportCSV({ scope: 'selected' });
+    const scope = chart.requestedScopes[chart.requestedScopes.length - 1];
+    check('the scope is passed to getExportRecords', scope === 'selected', scope);
+
+    const empty = createChart(columns, []).exportCSV();
+    check('no records give just the header', empty === 'id,x,label', JSON.stringify(empty));
+}
+
+function validateExport() {
+    console.log('🧪 Testing CSV export...');
+    validateQuoting();
+    validateDelimiters();
+    console.log(failures === 0 ? '✅ All export tests passed!' : `❌ ${failures} export test(s) failed`);
+    return failures === 0;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validateExport };
+}
+if (require.main === module) {
+    process.exitCode = validateExport() ? 0 : 1;
+}
@@ -0,0 +1,113 @@
+/**
+ * Validation script for path parsing
+ * Checks CoordinateMapper.parsePathData on path commands and SVGInteractive.classifyPath on the results
+ *
+ * Run with: node validate-path-parsing.js
+ */
+
+const CoordinateMapper = require('./lib/coordinate-mapper.js');
+const SVGInteractive = require('./lib/svg-interactive.js');
+
+let failures = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+    } else {
+        failures++;
+        console.log(`  ❌ ${name}${detail ? ` (${detail})` : ''}`);
+    }
+}
+
+// parsePathData() and classifyPath() only read their arguments, so no SVG is needed
+const mapper = Object.create(CoordinateMapper.prototype);
+mapper.options = {};
+const chart = Object.create(SVGInteractive.prototype);
+
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+const samePoints = (points, expected) => points.length === expected.length &&
+    points.every((pt, i) => near(pt.x, expected[i][0]) && near(pt.y, expected[i][1]));
+const describe = (points) => points.map(pt => `${pt.x},${pt.y}`).join(' ');
+
+function validateStraightPaths() {
+    console.log('📏 Testing straight segments...');
+    const absolute = mapper.parsePathData('M10,10 L20,10 L20,30');
+    check('absolute M/L', samePoints(absolute.subpaths[0].points, [[10, 10], [20, 10], [20, 30]]) && !absolute.curved,
+        describe(absolute.subpaths[0].points));
+
+    const relative = mapper.parsePathData('m10,10 l5,0 l0,5 z');
+    check('relative m/l and z', samePoints(relative.subpaths[0].points, [[10, 10], [15, 10], [15, 15]]) &&
+        relative.subpaths[0].closed, describe(relative.subpaths[0].points));
+
+    const hv = mapper.parsePathData('M0 0H10V10h-5v-5');
+    check('H/V and h/v', samePoints(hv.subpaths[0].points, [[0, 0], [10, 0], [10, 10], [5, 10], [5, 5]]),
+        describe(hv.subpaths[0].points));
+
+    const implicit = mapper.parsePathData('M0 0 10 0 10 10');
+    check('extra pairs after M are line-tos', samePoints(implicit.subpaths[0].points, [[0, 0], [10, 0], [10, 10]]));
+
+    const compact = mapper.parsePathData('M1e1-5l-.5.5');
+    check('exponents, signs and leading dots split numbers', samePoints(compact.subpaths[0].points, [[10, -5], [9.5, -4.5]]),
+        describe(compact.subpaths[0].points));
+
+    const multiple = mapper.parsePathData('M0 0L10 0Z M20 0 L30 0');
+    check('each M starts a subpath', multiple.subpaths.length === 2 &&
+        multiple.subpaths[0].closed && !multiple.subpaths[1].closed);
+    check('Z does not repeat the first point', multiple.subpaths[0].points.length === 2);
+}
+
+function validateCurves() {
+    console.log('〰️ Testing curves...');
+    const cubic = mapper.parsePathData('M0,0 C0,10 10,10 10,0');
+    const points = cubic.subpaths[0].points;
+    check('C sets curved and is sampled', cubic.curved && points.length === 9, `${points.length} points`);
+    check('a cubic ends on its end point', near(points[points.length - 1].x, 10) && near(points[points.length - 1].y, 0));
+    check('a symmetric cubic peaks at 3/4 of its control height', near(points[4].x, 5) && near(points[4].y, 7.5),
+        `${points[4].x},${points[4].y}`);
+
+    const smooth = mapper.parsePathData('M0,0 Q5,10 10,0 T20,0');
+    const last = smooth.subpaths[0].points;
+    check('T reflects the previous control point', near(last[4].y, 5) && near(last[12].y, -5),
+        `${last[4].y}, ${last[12].y}`);
+
+    const arc = mapper.parsePathData('M0,0 A5,5 0 0 1 10,0');
+    const top = arc.subpaths[0].points.reduce((min, pt) => Math.min(min, pt.y), Infinity);
+    check('A follows the arc', arc.curved && near(top, -5), `top ${top}`);
+}
+
+function validateMalformed() {
+    console.log('🚫 Testing malformed data...');
+    check('an unknown command gives null', mapper.parsePathData('M0,0 X5') === null);
+    check('a truncated command gives null', mapper.parsePathData('M0,0 L') === null);
+    check('an empty string gives null', mapper.parsePathData('') === null);
+    check('a missing attribute gives null', mapper.parsePathData(null) === null);
+}
+
+function validateClassification() {
+    console.log('🏷️ Testing classifyPath...');
+    const classify = (d, width, height) => chart.classifyPath(mapper.parsePathData(d), width, height);
+
+    check('an open stroke is a line', classify('M0,0 L100,50 L200,20', 200, 50) === 'line');
+    check('a closed bar is an area', classify('M0,0 H40 V100 H0 Z', 40, 100) === 'area');
+    check('a small closed glyph is a marker', classify('M0,0 L6,0 L3,5 Z', 6, 5) === 'marker');
+    check('returning to the start closes a path without Z', classify('M0,0 L40,0 L40,40 L0,0', 40, 40) === 'area');
+    check('a two-point back-and-forth stays a line', classify('M0,0 L0,0', 0, 0) === 'line');
+    check('one closed subpath makes the path closed', classify('M0 0 L50 0 M0 10 L50 10 L50 30 Z', 50, 30) === 'area');
+}
+
+function validatePathParsing() {
+    console.log('🧪 Testing path parsing...');
+    validateStraightPaths();
+    validateCurves();
+    validateMalformed();
+    validateClassification();
+    console.log(failures === 0 ? '✅ All path parsing tests passed!' : `❌ ${failures} path parsing test(s) failed`);
+    return failures === 0;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validatePathParsing };
+}
+if (require.main === module) {
+    process.exitCode = validatePathParsing() ? 0 : 1;
+}
@@ -0,0 +1,137 @@
+/**
+ * Validation script for the quadtree spatial index
+ * Compares QuadTree range queries and nearest-point hit-testing with a brute-force search
+ *
+ * Run with: node validate-quadtree.js
+ */
+
+const QuadTree = require('./lib/quadtree.js');
+const SVGInteractive = require('./lib/svg-interactive.js');
+
+// findNearestPoint() looks the index up as a global, as it does in the browser
+global.QuadTree = QuadTree;
+
+let failures = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+    } else {
+        failures++;
+        console.log(`  ❌ ${name}${detail ? ` (${detail})` : ''}`);
+    }
+}
+
+// Seeded random numbers so every run checks the same layout
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+function validateRangeQueries() {
+    console.log('🔍 Testing range queries...');
+    const next = random(42);
+    const items = Array.from({ length: 2000 }, (_, id) => ({ id, x: next() * 576, y: next() * 432 }));
+    const tree = QuadTree.fromItems(items);
+
+    const boxes = [
+        [0, 0, 576, 432],
+        [100, 100, 150, 130],
+        [-50, -50, 10, 10],
+        [570, 0, 600, 432],
+        [300, 200, 300, 200]
+    ];
+    boxes.forEach(([x0, y0, x1, y1]) => {
+        const found = tree.search(x0, y0, x1, y1).map(item => item.id).sort((a, b) => a - b);
+        const expected = items
+            .filter(item => item.x >= x0 && item.x <= x1 && item.y >= y0 && item.y <= y1)
+            .map(item => item.id);
+        check(`search(${x0}, ${y0}, ${x1}, ${y1}) finds ${expected.length} items`,
+            found.length === expected.length && found.every((id, i) => id === expected[i]),
+            `got ${found.length}`);
+    });
+
+    // Items on the far edges of the root must be indexed too
+    const edges = QuadTree.fromItems([{ x: 0, y: 0 }, { x: 10, y: 10 }, { x: 10, y: 0 }]);
+    check('items on the right/bottom edge are found', edges.search(10, 0, 10, 10).length === 2);
+
+    // A stack of identical points stops splitting instead of recursing forever
+    const stack = QuadTree.fromItems(Array.from({ length: 500 }, () => ({ x: 5, y: 5 })), 4);
+    check('500 identical points are all stored', stack.search(5, 5, 5, 5).length === 500);
+
+    const empty = QuadTree.fromItems([{ x: NaN, y: 3 }]);
+    check('items without a position are skipped', empty.search(-1e9, -1e9, 1e9, 1e9).length === 0);
+}
+
+// An SVGInteractive with just the state findNearestPoint() reads
+function createChart(dataPoints) {
+    const chart = Object.create(SVGInteractive.prototype);
+    chart.dataPoints = dataPoints;
+    chart.filteredOut = new Set();
+    chart.hiddenSeries = new Set();
+    chart.spatialIndex = null;
+    chart.options = { hitRadius: 12 };
+    chart.svg = {};
+    return chart;
+}
+
+function validateNearestPoint() {
+    console.log('🎯 Testing nearest-point hit-testing...');
+    const next = random(7);
+    const markers = Array.from({ length: 500 }, (_, id) => ({
+        id, type: 'circle', svgX: next() * 576, svgY: next() * 432, width: 4, height: 4
+    }));
+    const chart = createChart(markers);
+
+    // Distance to the edge of a marker's box, as measureHit() computes it
+    const distance = (point, pt) => Math.hypot(
+        Math.max(0, Math.abs(pt.x - point.svgX) - point.width / 2),
+        Math.max(0, Math.abs(pt.y - point.svgY) - point.height / 2));
+
+    let mismatches = 0;
+    for (let i = 0; i < 200; i++) {
+        const pt = { x: next() * 576, y: next() * 432 };
+        const hit = chart.findNearestPoint(pt, 12);
+        const best = markers.reduce((nearest, point) => Math.min(nearest, distance(point, pt)), Infinity);
+        const expected = best <= 12 ? best : null;
+        if (expected === null ? hit !== null : !hit || Math.abs(hit.distance - expected) > 1e-9) {
+            mismatches++;
+        }
+    }
+    check('200 random queries match a brute-force search', mismatches === 0, `${mismatches} mismatches`);
+
+    // Bars are larger than the index reach and live in a separate list
+    const bar = { id: 0, type: 'rect', svgX: 100, svgY: 200, width: 40, height: 300 };
+    const line = {
+        id: 1, type: 'polyline', svgX: 0, svgY: 0, width: 0, height: 0,
+        points: [{ x: 200, y: 100 }, { x: 400, y: 100 }, { x: 400, y: 300 }]
+    };
+    const mixed = createChart([bar, line]);
+    const onBar = mixed.findNearestPoint({ x: 100, y: 60 }, 5);
+    check('a point inside a tall bar hits the bar', onBar && onBar.point === bar && onBar.distance === 0);
+    const nearLine = mixed.findNearestPoint({ x: 300, y: 104 }, 5);
+    check('a point next to a long segment hits the line', nearLine && nearLine.point === line && Math.abs(nearLine.distance - 4) < 1e-9,
+        nearLine ? `distance ${nearLine.distance}` : 'no hit');
+    check('nothing is hit outside the radius', mixed.findNearestPoint({ x: 300, y: 120 }, 5) === null);
+
+    mixed.filteredOut.add(bar.id);
+    check('filtered-out marks are not hit', mixed.findNearestPoint({ x: 100, y: 60 }, 5) === null);
+}
+
+function validateQuadTree() {
+    console.log('🧪 Testing QuadTree...');
+    validateRangeQueries();
+    validateNearestPoint();
+    console.log(failures === 0 ? '✅ All quadtree tests passed!' : `❌ ${failures} quadtree test(s) failed`);
+    return failures === 0;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validateQuadTree };
+}
+if (require.main === module) {
+    process.exitCode = validateQuadTree() ? 0 : 1;
+}
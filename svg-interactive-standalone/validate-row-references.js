@@ -0,0 +1,71 @@
+/**
+ * Validation script for embedded-data row references
+ * Checks how SVGInteractive.parseRowIndices reads data-row attributes against tables of a given size
+ *
+ * Run with: node validate-row-references.js
+ */
+
+const SVGInteractive = require('./lib/svg-interactive.js');
+
+let failures = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+    } else {
+        failures++;
+        console.log(`  ❌ ${name}${detail ? ` (${detail})` : ''}`);
+    }
+}
+
+// parseRowIndices() only reads its arguments, so no SVG is needed
+const chart = Object.create(SVGInteractive.prototype);
+
+function expectRows(name, reference, rowCount, expected) {
+    const indices = chart.parseRowIndices(reference, rowCount);
+    check(name, indices.length === expected.length && indices.every((index, i) => index === expected[i]),
+        `"${reference}" gave [${indices.join(', ')}]`);
+}
+
+function validateReferences() {
+    console.log('🔗 Testing row references...');
+    expectRows('a single row', '12', 20, [12]);
+    expectRows('a dash range includes both ends', '0-3', 20, [0, 1, 2, 3]);
+    expectRows('a colon range', '2:4', 20, [2, 3, 4]);
+    expectRows('a comma list', '3,5,8', 20, [3, 5, 8]);
+    expectRows('ranges and rows mixed with spaces', '0-2 5', 20, [0, 1, 2, 5]);
+    expectRows('padding around separators is ignored', ' 1 , 2 ', 20, [1, 2]);
+    expectRows('an empty reference binds nothing', '', 20, []);
+}
+
+function validateClamping() {
+    console.log('📐 Testing clamping...');
+    expectRows('a huge range stops at the last row', '0-999999999', 3, [0, 1, 2]);
+    expectRows('a range running past the table is cut', '1-10', 3, [1, 2]);
+    expectRows('a row past the table is dropped', '7', 3, []);
+    expectRows('a range starting past the table is dropped', '5-9', 3, []);
+    expectRows('a reversed range is empty', '5-2', 20, []);
+    expectRows('nothing is bound against an empty table', '0-4', 0, []);
+}
+
+function validateJunk() {
+    console.log('🚫 Testing malformed parts...');
+    expectRows('words, negatives, decimals and suffixes are skipped', 'a, -1, 2.5, 1x, 4', 20, [4]);
+    expectRows('a half-open range is skipped', '3-, -2, 6', 20, [6]);
+}
+
+function validateRowReferences() {
+    console.log('🧪 Testing row references...');
+    validateReferences();
+    validateClamping();
+    validateJunk();
+    console.log(failures === 0 ? '✅ All row reference tests passed!' : `❌ ${failures} row reference test(s) failed`);
+    return failures === 0;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validateRowReferences };
+}
+if (require.main === module) {
+    process.exitCode = validateRowReferences() ? 0 : 1;
+}